@@ -1,91 +1,197 @@
 // ─────────────────────────────────────────────────────────────
 //  api/paa.js – Vercel serverless function for PAA extraction
-//  Supports comma-separated keywords with retry until 8 unique Qs.
+//  Supports comma-separated keywords; runs the shared keyword
+//  pipeline (pipeline.js) for each one — PAA_CONCURRENCY at a
+//  time — and responds when done, with the batch's answer
+//  domain share (domains.js).
+//
+//  Once API tokens exist (tokens.js), requests need one; the batch
+//  is checked against its quotas up front, and its SERP calls come
+//  out of the token's call quota as they're made.
+//
+//  `dryRun: true` returns the batch's estimated SERP calls instead,
+//  and maxCredits / maxKeywordCredits cap what it may spend
+//  (budget.js).
+//
+//  It answers synchronously, so a batch must finish within the
+//  function's time limit: more than PAA_SYNC_MAX_KEYWORDS keywords
+//  (default 5) are refused up front. Bigger batches need the
+//  long-running server's background jobs (server.js).
+//
+//  Logs carry the caller's X-Request-Id (or a generated one, echoed
+//  back in the response) — see logger.js.
 // ─────────────────────────────────────────────────────────────
 
-import { getPAA } from "../paa.js";
-import { appendToSheet } from "../sheets.js";
-
-const MIN_QUESTIONS = 9;
-const MAX_QUESTIONS = 12;
-const MAX_RUNS = 6;
-
-/**
- * Process a single keyword: keep scraping until MIN_QUESTIONS
- * unique questions are collected (capped at MAX_QUESTIONS), then write once to the sheet.
- */
-async function processKeyword(kw, region, url) {
-    const collected = [];
-    const seen = new Set();
-    let run = 0;
-
-    while (collected.length < MIN_QUESTIONS && run < MAX_RUNS) {
-        run++;
-        const results = await getPAA(kw, region, url || undefined, 12, seen);
-
-        if (results.length === 0) continue;
-
-        for (const item of results) {
-            const qLower = item.question.toLowerCase();
-            if (seen.has(qLower)) continue;
-            seen.add(qLower);
-            collected.push(item);
-        }
-    }
+import { randomUUID } from "crypto";
+import {
+    outcomeSummary,
+    processKeywords,
+    resolveThresholds,
+    resolveTreeOptions,
+    splitKeywords,
+    writeDomainShare,
+} from "../pipeline.js";
+import { providerNames } from "../providers/index.js";
+import { resolveLocale } from "../locales.js";
+import { resolveSheetOptions } from "../sheets.js";
+import { resolveSimilarity } from "../similarity.js";
+import { resolveExpansions } from "../expansions.js";
+import { domainShare } from "../domains.js";
+import { creditSummary, estimateCredits, resolveBudgets } from "../budget.js";
+import { authEnabled, authenticate, quotaBudget, quotaError, recordUsage } from "../tokens.js";
+import { log, withLogContext } from "../logger.js";
+
+/** `Authorization: Bearer <token>` or `X-API-Key`. */
+function requestToken(req) {
+    const header = req.headers.authorization || "";
+    if (/^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, "").trim();
+    return req.headers["x-api-key"] || "";
+}
 
-    const final = collected.slice(0, MAX_QUESTIONS);
+const DEFAULT_SYNC_MAX_KEYWORDS = 5;
 
-    if (final.length > 0) {
-        try {
-            await appendToSheet(kw, region, url || "", final);
-        } catch (e) {
-            console.error(`⚠️  Sheet write failed for "${kw}":`, e.message);
-        }
-    } else {
-        try { await appendToSheet(kw, region, url || "", []); } catch { }
-    }
+/** Most keywords one request may run before it risks the function's time limit. */
+function syncMaxKeywords() {
+    const n = Number(process.env.PAA_SYNC_MAX_KEYWORDS);
+    return Number.isInteger(n) && n >= 1 ? n : DEFAULT_SYNC_MAX_KEYWORDS;
+}
+
+/** Booleans from JSON bodies or query strings ("true" / "1"). */
+function isTrue(value) {
+    return value === true || value === "true" || value === "1";
+}
 
-    return final;
+/** The caller's X-Request-Id if it looks sane, otherwise a new one. */
+function requestId(req) {
+    const given = req.headers["x-request-id"];
+    return typeof given === "string" && /^[\w.:-]{1,128}$/.test(given) ? given : randomUUID();
 }
 
-export default async function handler(req, res) {
+export default function handler(req, res) {
+    const id = requestId(req);
+    res.setHeader("X-Request-Id", id);
+    return withLogContext({ requestId: id }, () => handle(req, res));
+}
+
+async function handle(req, res) {
     if (req.method !== "POST") {
         return res.status(405).json({ error: "Method not allowed" });
     }
 
-    const { keyword, region, url } = req.body;
+    let token = null;
+    if (authEnabled()) {
+        token = authenticate(requestToken(req));
+        if (!token) {
+            return res.status(401).json({ error: "A valid API token is required (Authorization: Bearer <token>)." });
+        }
+    }
+
+    const { keyword, url, provider, refresh, extended, sheet = {} } = req.body;
 
     if (!keyword || !keyword.trim()) {
         return res.status(400).json({ error: "At least one keyword is required." });
     }
 
-    const validRegions = ["us", "in"];
-    const safeRegion = validRegions.includes(region) ? region : "us";
+    if (provider && !providerNames.includes(provider)) {
+        return res.status(400).json({ error: `Unknown provider "${provider}". Use one of: ${providerNames.join(", ")}.` });
+    }
+
+    let thresholds, locale, tree, similarity, expansions, budgets;
+    try {
+        thresholds = resolveThresholds(req.body);
+        locale = resolveLocale(req.body);
+        tree = resolveTreeOptions(req.body);
+        similarity = resolveSimilarity(req.body.similarity);
+        expansions = resolveExpansions(req.body.expansions);
+        budgets = resolveBudgets(req.body);
+        resolveSheetOptions(sheet);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
 
     // Split comma-separated keywords and deduplicate
-    const keywords = [...new Set(
-        keyword.split(",").map((k) => k.trim()).filter(Boolean)
-    )];
+    const keywords = splitKeywords(keyword);
+    const runId = randomUUID();
+
+    if (isTrue(req.body.dryRun)) {
+        const searches = keywords.map((kw) => ({ keyword: kw, ...locale, url: url || "" }));
+        return res.json(estimateCredits(searches, { ...thresholds, tree, expansions, ...budgets, tokenId: token?.admin ? null : token?.id }));
+    }
+
+    const maxKeywords = syncMaxKeywords();
+    if (keywords.length > maxKeywords) {
+        return res.status(413).json({
+            error: `This deployment answers synchronously and runs at most ${maxKeywords} keyword(s) per request. `
+                + "Split the batch, or use the long-running server (npm run serve) for background jobs.",
+        });
+    }
+
+    const quota = token && quotaError(token, keywords.length);
+    if (quota) {
+        return res.status(quota.status).json({ error: quota.error });
+    }
 
     try {
+        const results = await processKeywords(keywords, locale.region, url, {
+            provider,
+            language: locale.language,
+            location: locale.location,
+            device: locale.device,
+            tree,
+            similarity,
+            expansions,
+            extended: isTrue(extended),
+            refresh: isTrue(refresh),
+            ...thresholds,
+            sheetOptions: sheet,
+            runId,
+            tokenId: token?.id,
+            ...budgets,
+            budget: quotaBudget(token?.id),
+        });
+
         const grouped = {};
+        const outcomes = {};
         let totalCount = 0;
+        for (const [kw, outcome] of Object.entries(results)) {
+            grouped[kw] = outcome.questions;
+            outcomes[kw] = outcomeSummary(outcome);
+            totalCount += outcome.questions.length;
+        }
 
-        for (const kw of keywords) {
-            grouped[kw] = await processKeyword(kw, safeRegion, url);
-            totalCount += grouped[kw].length;
+        if (token) {
+            const outcomeList = Object.values(results);
+            recordUsage(token.id, {
+                cacheHits: outcomeList.reduce((sum, o) => sum + o.cacheHits, 0),
+                keywords: keywords.length,
+                questions: totalCount,
+                jobs: 1,
+            });
+        }
+
+        const domains = domainShare(Object.values(results).map((o) => ({ ...o, ...locale, url: url || "" })));
+        if (Object.values(outcomes).some((o) => o.sheet.written)) {
+            await writeDomainShare(runId, sheet);
         }
 
         return res.json({
+            runId,
             keywords,
-            region: safeRegion,
+            ...locale,
+            ...thresholds,
+            mode: tree ? "tree" : "list",
+            similarity,
+            expansions,
+            extended: isTrue(extended),
             totalCount,
             grouped,
-            sheetUpdated: true,
+            outcomes,
+            domains,
+            credits: creditSummary(results, budgets),
+            sheetUpdated: Object.values(outcomes).every((o) => o.sheet.written),
         });
     } catch (err) {
-        console.error("API error:", err.message);
+        log.error("❌  API error", { error: err.message });
         return res.status(500).json({ error: err.message });
     }
 }
-
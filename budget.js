@@ -0,0 +1,213 @@
+// ─────────────────────────────────────────────────────────────
+//  budget.js – Credit budgets and dry-run cost estimates
+//
+//  One credit is one SERP API call; pages served from the cache
+//  are free.
+//
+//  A request can cap its spend with `maxCredits` (the whole batch)
+//  and `maxKeywordCredits` (each keyword, across all its runs).
+//  Keyword budgets draw from the batch budget, and getPAA stops
+//  expanding — keeping what it already found — once either one
+//  is used up.
+//
+//  estimateCredits() predicts what a batch will cost without
+//  calling the API: a worst case from the expansion limits, and
+//  an expected count from past runs in the local history.
+// ─────────────────────────────────────────────────────────────
+
+import { findRuns, listHistory, MAX_HISTORY_LIMIT } from "./history.js";
+import { FallbackQueries, getTemplates, resolveExpansions } from "./expansions.js";
+
+const RELATED_PER_PAGE = 8;         // Google lists up to 8 related searches
+const NEW_QUESTIONS_PER_PAGE = 2;   // typical new questions per expanded page, without history
+const HISTORY_SAMPLE = 5;           // past runs of the same search to average
+
+const BUDGET_FIELDS = ["maxCredits", "maxKeywordCredits"];
+
+// ─── Budgets ────────────────────────────────────────────────
+
+export class CreditBudget {
+    /**
+     * @param {number|null}  [limit]  - credits allowed (null = unlimited)
+     * @param {CreditBudget} [parent] - a budget every credit also comes out of
+     */
+    constructor(limit = null, parent = null) {
+        this.limit = limit;
+        this.parent = parent;
+        this.spent = 0;
+    }
+
+    /** Credits left here and in every parent budget (null = unlimited). */
+    get remaining() {
+        const own = this.limit === null ? null : Math.max(0, this.limit - this.spent);
+        const inherited = this.parent ? this.parent.remaining : null;
+        if (own === null) return inherited;
+        return inherited === null ? own : Math.min(own, inherited);
+    }
+
+    get exhausted() {
+        return this.remaining === 0;
+    }
+
+    /** Spend one credit here and in every parent. Returns false, spending nothing, once the budget is used up. */
+    take() {
+        if (this.exhausted) return false;
+        this.spent++;
+        this.parent?.take();
+        return true;
+    }
+}
+
+/**
+ * Read the credit budgets (maxCredits, maxKeywordCredits) from a request
+ * body or CLI options. Each is a whole number ≥ 1, or empty for no
+ * budget. Throws on invalid values.
+ */
+export function resolveBudgets(input = {}) {
+    const budgets = { maxCredits: null, maxKeywordCredits: null };
+
+    for (const name of BUDGET_FIELDS) {
+        if (input[name] === undefined || input[name] === null || input[name] === "") continue;
+
+        const n = Number(input[name]);
+        if (!Number.isInteger(n) || n < 1) {
+            throw new Error(`${name} must be a whole number ≥ 1.`);
+        }
+        budgets[name] = n;
+    }
+    return budgets;
+}
+
+/**
+ * Credits a batch actually spent, from its keyword outcomes, next to
+ * its budgets and the keywords a budget cut short.
+ */
+export function creditSummary(outcomes = {}, { maxCredits = null, maxKeywordCredits = null } = {}) {
+    const list = Object.values(outcomes);
+    return {
+        spent: list.reduce((sum, o) => sum + (o.apiCalls || 0), 0),
+        cacheHits: list.reduce((sum, o) => sum + (o.cacheHits || 0), 0),
+        maxCredits,
+        maxKeywordCredits,
+        budgetReached: list.filter((o) => o.budgetReached).map((o) => o.keyword),
+    };
+}
+
+// ─── Estimates ──────────────────────────────────────────────
+
+/**
+ * Most pages one keyword can fetch. List mode: every run fetches the
+ * seed page, a page per question found (bar the last), and every
+ * fallback query — templates, alphabet soup and the seed page's related
+ * searches. Tree mode: one run, a page per question above the last level.
+ */
+function worstCase(keyword, { language, maxQuestions, maxRuns, tree, expansions, templates }) {
+    if (tree) {
+        let expandable = 0;
+        for (let depth = 1; depth < tree.depth; depth++) expandable += tree.branching ** depth;
+        return 1 + Math.min(maxQuestions - 1, expandable);
+    }
+
+    const fallbacks = new FallbackQueries(keyword, { language, strategies: expansions, templates });
+    const fallbackQueries = fallbacks.pending.templates.length
+        + fallbacks.pending.alphabet.length
+        + (expansions.includes("related") ? RELATED_PER_PAGE : 0);
+
+    return maxRuns * (1 + (maxQuestions - 1) + fallbackQueries);
+}
+
+function average(values) {
+    return Math.ceil(values.reduce((sum, v) => sum + v, 0) / values.length);
+}
+
+/** Pages a past run fetched — its API calls plus cache hits, so a cached re-run isn't mistaken for a cheap one. */
+function pagesFetched(entry) {
+    return entry.apiCalls + (entry.cacheHits || 0);
+}
+
+/** Past runs that say what a full search costs — recorded with their calls, and not cut short by a budget. */
+function isSample(entry) {
+    return entry.apiCalls !== undefined && !entry.budgetReached;
+}
+
+/**
+ * Expected pages for one keyword: the average of the same search's last
+ * few runs, else of recent runs in the same mode, else a rough
+ * NEW_QUESTIONS_PER_PAGE model. `scope` ({ tokenId }) limits the
+ * history to one API token's runs.
+ */
+function expectedCase(search, { maxQuestions, tree }, recent, scope) {
+    const same = findRuns(search, scope).filter(isSample).slice(0, HISTORY_SAMPLE);
+    if (same.length > 0) return { expected: average(same.map(pagesFetched)), basis: "history" };
+
+    const similar = recent.filter((e) => (e.mode || "list") === search.mode);
+    if (similar.length > 0) return { expected: average(similar.map(pagesFetched)), basis: "recent runs" };
+
+    return {
+        expected: tree ? null : 1 + Math.ceil((maxQuestions - 1) / NEW_QUESTIONS_PER_PAGE),
+        basis: "default",
+    };
+}
+
+function capped(value, limit) {
+    return limit ? Math.min(value, limit) : value;
+}
+
+/**
+ * Dry run: what a batch would cost, without calling the SERP API.
+ * Assumes nothing is cached, so both counts are upper-leaning.
+ *
+ * @param {object[]} searches - { keyword, region, language, location, device, url } per keyword
+ * @param {object}   options
+ * @param {number}   options.maxQuestions - thresholds, as from resolveThresholds() (see pipeline.js)
+ * @param {number}   options.maxRuns
+ * @param {object}   [options.tree]       - { depth, branching } for tree mode
+ * @param {string[]} [options.expansions] - fallback strategies (default: resolveExpansions())
+ * @param {object}   [options.templates]  - fallback templates by language (default: getTemplates())
+ * @param {number}   [options.maxCredits]
+ * @param {number}   [options.maxKeywordCredits]
+ * @param {string}   [options.tokenId]    - estimate from this API token's runs only (see history.js)
+ * @returns {{
+ *   dryRun: true, keywords: number, worstCase: number, expected: number,
+ *   maxCredits, maxKeywordCredits,
+ *   perKeyword: { keyword, region, language, worstCase, expected, basis }[]
+ * }}
+ */
+export function estimateCredits(searches, {
+    maxQuestions,
+    maxRuns,
+    tree = null,
+    expansions = resolveExpansions(),
+    templates = getTemplates(),
+    maxCredits = null,
+    maxKeywordCredits = null,
+    tokenId = null,
+}) {
+    const limits = { maxQuestions, maxRuns: tree ? 1 : maxRuns, tree, expansions, templates };
+    const mode = tree ? "tree" : "list";
+    const scope = { tokenId };
+    const recent = listHistory({ limit: MAX_HISTORY_LIMIT, tokenId }).items.filter(isSample);
+
+    const perKeyword = searches.map((search) => {
+        const worst = worstCase(search.keyword, { ...limits, language: search.language || "en" });
+        const { expected, basis } = expectedCase({ ...search, mode }, limits, recent, scope);
+        return {
+            keyword: search.keyword,
+            region: search.region,
+            language: search.language,
+            worstCase: capped(worst, maxKeywordCredits),
+            expected: capped(Math.min(expected ?? worst, worst), maxKeywordCredits),
+            basis,
+        };
+    });
+
+    return {
+        dryRun: true,
+        keywords: searches.length,
+        worstCase: capped(perKeyword.reduce((sum, k) => sum + k.worstCase, 0), maxCredits),
+        expected: capped(perKeyword.reduce((sum, k) => sum + k.expected, 0), maxCredits),
+        maxCredits,
+        maxKeywordCredits,
+        perKeyword,
+    };
+}
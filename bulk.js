@@ -0,0 +1,269 @@
+// ─────────────────────────────────────────────────────────────
+//  bulk.js – Keyword lists uploaded as CSV / XLSX
+//
+//  Each row carries its own keyword, region, language, location,
+//  device and site URL. Rows are validated up front (no SERP calls
+//  until every row is valid), and once the job has run each row's
+//  outcome can be written back next to its original columns.
+//
+//  Recognized headers (case-insensitive):
+//    keyword  – keyword, keywords, query, term
+//    region   – region, gl, country
+//    language – language, lang, hl
+//    location – location, city
+//    device   – device
+//    url      – url, site, site url, domain
+// ─────────────────────────────────────────────────────────────
+
+import path from "path";
+import ExcelJS from "exceljs";
+import { csvCell } from "./exporters.js";
+import { resolveLocale } from "./locales.js";
+
+export const uploadFormats = ["csv", "xlsx"];
+export const MAX_UPLOAD_ROWS = 500;
+const MAX_KEYWORD_LENGTH = 200;
+
+const HEADER_ALIASES = {
+    keyword: ["keyword", "keywords", "query", "term"],
+    region: ["region", "gl", "country"],
+    language: ["language", "lang", "hl"],
+    location: ["location", "city"],
+    device: ["device"],
+    url: ["url", "site", "site url", "site_url", "domain"],
+};
+
+// Columns appended to each input row on write-back
+const OUTCOME_HEADERS = ["paa_status", "paa_count", "paa_questions", "paa_error", "paa_history_id"];
+
+// ─── Parsing ────────────────────────────────────────────────
+
+/** Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF / LF. */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ",") {
+            row.push(field);
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function cellText(value) {
+    if (value === null || value === undefined) return "";
+    if (typeof value === "object") {
+        if (value.text !== undefined) return String(value.text);                  // hyperlink
+        if (value.richText) return value.richText.map((r) => r.text).join("");     // rich text
+        if (value.result !== undefined) return String(value.result);              // formula
+        if (value instanceof Date) return value.toISOString();
+    }
+    return String(value);
+}
+
+async function parseXLSX(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    const width = sheet.columnCount;
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const values = [];
+        for (let c = 1; c <= width; c++) values.push(cellText(row.getCell(c).value));
+        rows[rowNumber - 1] = values;
+    });
+    return Array.from(rows, (r) => r || []);
+}
+
+function mapHeaders(headers) {
+    const columns = {};
+    headers.forEach((header, i) => {
+        const name = header.trim().toLowerCase();
+        for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+            if (aliases.includes(name) && columns[field] === undefined) columns[field] = i;
+        }
+    });
+    return columns;
+}
+
+// ─── Public API ─────────────────────────────────────────────
+
+/** Upload format from a file name: "csv" or "xlsx". Throws on anything else. */
+export function uploadFormat(filename = "") {
+    const format = path.extname(filename).slice(1).toLowerCase();
+    if (!uploadFormats.includes(format)) {
+        throw new Error(`Unsupported file type ".${format}". Upload a .csv or .xlsx file.`);
+    }
+    return format;
+}
+
+/**
+ * Parse an uploaded CSV / XLSX file into its header row and data rows.
+ * Blank rows are dropped; `row` is the 1-based line / sheet row number.
+ *
+ * @returns {{ headers: string[], rows: { row: number, values: string[] }[] }}
+ */
+export async function parseUpload(buffer, format) {
+    const table = format === "xlsx"
+        ? await parseXLSX(buffer)
+        : parseCSV(buffer.toString("utf8").replace(/^\uFEFF/, ""));
+
+    const [headers = [], ...data] = table;
+    return {
+        headers: headers.map((h) => h.trim()),
+        rows: data
+            .map((values, i) => ({ row: i + 2, values }))
+            .filter(({ values }) => values.some((v) => v.trim())),
+    };
+}
+
+/**
+ * Validate every row. Missing region / language / device fall back to
+ * `defaults` (the form's values), then to us / en / desktop.
+ *
+ * @returns {{ rows: object[], errors: { row: number, error: string }[] }}
+ *   rows: { row, keyword, region, language, location, device, url, input }
+ */
+export function validateRows({ headers, rows }, defaults = {}) {
+    const columns = mapHeaders(headers);
+    if (columns.keyword === undefined) {
+        return {
+            rows: [],
+            errors: [{ row: 1, error: `No keyword column found. Name one of the headers: ${HEADER_ALIASES.keyword.join(", ")}.` }],
+        };
+    }
+    if (rows.length === 0) {
+        return { rows: [], errors: [{ row: 2, error: "The file has no keyword rows." }] };
+    }
+    if (rows.length > MAX_UPLOAD_ROWS) {
+        return { rows: [], errors: [{ row: MAX_UPLOAD_ROWS + 2, error: `Too many rows — at most ${MAX_UPLOAD_ROWS} per upload.` }] };
+    }
+
+    const valid = [];
+    const errors = [];
+    const firstSeen = new Map();
+    const get = (values, field) => (columns[field] === undefined ? "" : (values[columns[field]] || "").trim());
+
+    for (const { row, values } of rows) {
+        const keyword = get(values, "keyword");
+        const rawUrl = get(values, "url");
+        const url = rawUrl && !/^https?:\/\//i.test(rawUrl) ? `https://${rawUrl}` : rawUrl;
+
+        if (!keyword) {
+            errors.push({ row, error: "keyword is empty." });
+            continue;
+        }
+        if (keyword.length > MAX_KEYWORD_LENGTH) {
+            errors.push({ row, error: `keyword is longer than ${MAX_KEYWORD_LENGTH} characters.` });
+            continue;
+        }
+
+        let locale;
+        try {
+            locale = resolveLocale({
+                region: get(values, "region") || defaults.region,
+                language: get(values, "language") || defaults.language,
+                location: get(values, "location") || defaults.location,
+                device: get(values, "device") || defaults.device,
+            });
+        } catch (e) {
+            errors.push({ row, error: e.message });
+            continue;
+        }
+
+        if (url) {
+            try {
+                new URL(url);
+            } catch {
+                errors.push({ row, error: `"${rawUrl}" is not a valid URL.` });
+                continue;
+            }
+        }
+
+        const key = [keyword.toLowerCase(), locale.region, locale.language, locale.location, locale.device, url].join("|");
+        if (firstSeen.has(key)) {
+            errors.push({ row, error: `Duplicate of row ${firstSeen.get(key)}.` });
+            continue;
+        }
+        firstSeen.set(key, row);
+
+        valid.push({ row, keyword, ...locale, url, input: values });
+    }
+
+    return { rows: valid, errors };
+}
+
+/**
+ * Label used as the job "keyword" for each row — the keyword itself,
+ * or "keyword (row N)" when the same keyword appears on several rows.
+ */
+export function rowLabels(rows) {
+    const counts = {};
+    for (const r of rows) counts[r.keyword] = (counts[r.keyword] || 0) + 1;
+    return rows.map((r) => (counts[r.keyword] > 1 ? `${r.keyword} (row ${r.row})` : r.keyword));
+}
+
+/**
+ * Write each row's outcome back next to its original columns.
+ *
+ * @param {string}   format  - "csv" or "xlsx"
+ * @param {string[]} headers - the upload's header row
+ * @param {object[]} rows    - { input, outcome, questions, error, status? } per row,
+ *                             in the order they should be written
+ * @returns {Promise<string|Buffer>}
+ */
+export async function renderWriteBack(format, headers, rows) {
+    const header = [...headers, ...OUTCOME_HEADERS];
+    const table = rows.map(({ input, outcome, questions = [], error, status }) => [
+        ...headers.map((_, i) => input[i] ?? ""),
+        status || outcome?.status || (error ? "failed" : "pending"),
+        questions.length,
+        questions.map((q) => q.question).join(" | "),
+        error || outcome?.error || "",
+        outcome?.historyId || "",
+    ]);
+
+    if (format === "xlsx") {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet("PAA");
+        sheet.addRow(header);
+        sheet.getRow(1).font = { bold: true };
+        sheet.addRows(table);
+        return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+
+    return [header, ...table].map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
@@ -0,0 +1,115 @@
+// ─────────────────────────────────────────────────────────────
+//  cache.js – On-disk cache of SERP pages
+//
+//  One JSON file per provider, query and locale (region, language,
+//  location, device) under data/cache/. Entries expire after PAA_CACHE_TTL_HOURS
+//  (default: 24). Expired entries are ignored on read and can be
+//  removed with purgeCache() (`node index.js cache purge`).
+// ─────────────────────────────────────────────────────────────
+
+import { createHash } from "crypto";
+import { existsSync, readdirSync, readFileSync, unlinkSync, writeFileSync } from "fs";
+import path from "path";
+import { dataPath } from "./storage.js";
+import { log } from "./logger.js";
+
+const DEFAULT_TTL_HOURS = 24;
+
+const stats = { hits: 0, misses: 0, writes: 0 };
+
+function ttlMs() {
+    const hours = Number(process.env.PAA_CACHE_TTL_HOURS);
+    return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_TTL_HOURS) * 3600 * 1000;
+}
+
+function cacheDir() {
+    return path.dirname(dataPath("cache", "_"));
+}
+
+function cacheFile({ provider, query, region, language, location = "", device = "desktop" }) {
+    const hash = createHash("sha1")
+        .update([provider, query.toLowerCase(), region, language, location.toLowerCase(), device].join("|"))
+        .digest("hex");
+    return dataPath("cache", `${hash}.json`);
+}
+
+function isExpired(entry) {
+    return Date.now() - new Date(entry.cachedAt).getTime() > ttlMs();
+}
+
+/**
+ * Look up a cached SERP page. Returns null on a miss or if the entry expired.
+ *
+ * @param {object} key - { provider, query, region, language, location, device }
+ */
+export function readCache(key) {
+    const file = cacheFile(key);
+
+    if (existsSync(file)) {
+        try {
+            const entry = JSON.parse(readFileSync(file, "utf8"));
+            if (!isExpired(entry)) {
+                stats.hits++;
+                return entry.page;
+            }
+        } catch {
+            // Corrupt entry — treat as a miss and overwrite it
+        }
+    }
+
+    stats.misses++;
+    return null;
+}
+
+/** Store a SERP page under its provider/query/locale key. */
+export function writeCache(key, page) {
+    try {
+        writeFileSync(cacheFile(key), JSON.stringify({ ...key, cachedAt: new Date().toISOString(), page }));
+        stats.writes++;
+    } catch (e) {
+        log.warn(`⚠️  Could not write cache entry for "${key.query}"`, { query: key.query, error: e.message });
+    }
+}
+
+/**
+ * Delete expired cache entries (or every entry with `all: true`).
+ * Returns the number of files removed.
+ */
+export function purgeCache({ all = false } = {}) {
+    const dir = cacheDir();
+    let removed = 0;
+
+    for (const name of readdirSync(dir)) {
+        if (!name.endsWith(".json")) continue;
+        const file = path.join(dir, name);
+
+        let stale = all;
+        if (!stale) {
+            try {
+                stale = isExpired(JSON.parse(readFileSync(file, "utf8")));
+            } catch {
+                stale = true;
+            }
+        }
+
+        if (stale) {
+            unlinkSync(file);
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
+/** Hit/miss counters for this process plus the number of entries on disk. */
+export function getCacheStats() {
+    const entries = readdirSync(cacheDir()).filter((n) => n.endsWith(".json")).length;
+    const lookups = stats.hits + stats.misses;
+
+    return {
+        ...stats,
+        hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : 0,
+        entries,
+        ttlHours: ttlMs() / 3600 / 1000,
+    };
+}
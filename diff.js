@@ -0,0 +1,110 @@
+// ─────────────────────────────────────────────────────────────
+//  diff.js – Compare a keyword's PAA questions between two runs
+//
+//  Runs come from the local history (history.js). Questions are
+//  matched case-insensitively; a diff lists the questions that are
+//  new, the ones that disappeared and the ones whose position
+//  shifted, plus a churn ratio for spotting SERP intent changes.
+// ─────────────────────────────────────────────────────────────
+
+import { findRuns, getHistoryEntry } from "./history.js";
+
+// ─── Helpers ────────────────────────────────────────────────
+
+function positions(questions) {
+    const map = new Map();
+    questions.forEach((q, i) => {
+        const key = q.question.toLowerCase();
+        if (!map.has(key)) map.set(key, { question: q.question, position: i + 1 });
+    });
+    return map;
+}
+
+/** The bits of a history entry a diff refers back to. */
+function runRef(entry) {
+    return { id: entry.id, createdAt: entry.createdAt, count: entry.questions.length };
+}
+
+// ─── Public API ─────────────────────────────────────────────
+
+/**
+ * Diff two ordered question lists.
+ *
+ * @returns {{
+ *   added:     { question, position }[],
+ *   removed:   { question, position }[],   – position in `before`
+ *   moved:     { question, from, to, change }[],   – change > 0 means it moved up
+ *   unchanged: number,
+ *   churn:     number   – (added + removed) / all distinct questions, 0–1
+ * }}
+ */
+export function diffQuestions(before, after) {
+    const prev = positions(before);
+    const next = positions(after);
+
+    const added = [...next].filter(([key]) => !prev.has(key)).map(([, q]) => q);
+    const removed = [...prev].filter(([key]) => !next.has(key)).map(([, q]) => q);
+
+    const moved = [];
+    let unchanged = 0;
+    for (const [key, q] of next) {
+        const old = prev.get(key);
+        if (!old) continue;
+        if (old.position === q.position) unchanged++;
+        else moved.push({ question: q.question, from: old.position, to: q.position, change: old.position - q.position });
+    }
+
+    const distinct = prev.size + added.length;
+
+    return {
+        added,
+        removed,
+        moved,
+        unchanged,
+        churn: distinct ? Number(((added.length + removed.length) / distinct).toFixed(3)) : 0,
+    };
+}
+
+/** Diff two history entries: `from` is the older run, `to` the newer one. */
+export function diffRuns(from, to) {
+    return {
+        keyword: to.keyword,
+        region: to.region,
+        language: to.language,
+        from: runRef(from),
+        to: runRef(to),
+        ...diffQuestions(from.questions, to.questions),
+    };
+}
+
+/**
+ * Diff two runs by history ID. Without `fromId`, `toId` is compared
+ * against the previous run of the same search.
+ * Returns null when there's nothing to compare against.
+ * Throws if an ID is unknown. `scope` ({ tokenId }) limits both runs
+ * to one API token's history (see history.js).
+ */
+export function diffById(toId, fromId, scope = {}) {
+    const to = getHistoryEntry(toId, scope);
+    if (!to) throw new Error(`History entry "${toId}" not found.`);
+
+    let from;
+    if (fromId) {
+        from = getHistoryEntry(fromId, scope);
+        if (!from) throw new Error(`History entry "${fromId}" not found.`);
+    } else {
+        from = findRuns(to, scope).find((e) => e.createdAt < to.createdAt);
+    }
+
+    return from ? diffRuns(from, to) : null;
+}
+
+/**
+ * Diff the two most recent runs of a search
+ * ({ keyword, region, language, location, device, url, mode }).
+ * Returns null until the search has been run twice (within `scope`, as for diffById).
+ */
+export function diffLatest(search, scope = {}) {
+    const [to, from] = findRuns(search, scope);
+    return to && from ? diffRuns(from, to) : null;
+}
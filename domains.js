@@ -0,0 +1,130 @@
+// ─────────────────────────────────────────────────────────────
+//  domains.js – Which domains answer a batch's PAA questions
+//
+//  Aggregates the answer source domains of every keyword in one
+//  job / CLI run (from the local history, see history.js):
+//  share of voice per domain, how many keywords each domain
+//  shows up for, and where our own domain — the run's `url`
+//  site filter — ranks against the competition.
+// ─────────────────────────────────────────────────────────────
+
+import { findRunEntries, latestRunId } from "./history.js";
+import { extractDomain } from "./paa.js";
+import { domainOf, ownsDomain } from "./serp.js";
+
+// ─── Helpers ────────────────────────────────────────────────
+
+/** Answer domain of a question; subdomains of our own domain count as ours. */
+function answerDomain(question, own) {
+    const domain = question.domain || domainOf(question.link);
+    return own && ownsDomain(domain, own) ? own : domain;
+}
+
+function share(part, whole) {
+    return whole ? Number((part / whole).toFixed(3)) : 0;
+}
+
+// ─── Public API ─────────────────────────────────────────────
+
+/**
+ * Domain share report for a set of keyword runs (history entries).
+ * Failed keywords are left out; answers without a link aren't counted.
+ *
+ * @param {object[]} entries - history entries with their questions
+ * @param {object}   [options]
+ * @param {string}   [options.url] - our site (default: the first entry's `url` filter)
+ * @returns {{
+ *   keywords:   number,
+ *   answers:    number,   – answers with a source link
+ *   ownDomain:  string | null,
+ *   own:        { domain, rank, answers, share, keywords, coverage, bestPosition } | null,
+ *   domains:    { rank, domain, answers, share, keywords, coverage, bestPosition, avgPosition, own }[],
+ *   perKeyword: { keyword, region, language, answers, domains: { domain, answers, positions }[], own: number[] }[]
+ * }}
+ */
+export function domainShare(entries, { url } = {}) {
+    const siteUrl = url || entries.find((e) => e.url)?.url || "";
+    const ownDomain = siteUrl ? extractDomain(siteUrl) : null;
+    if (url && !ownDomain) throw new Error(`url "${url}" is not a valid URL.`);
+
+    const totals = new Map();    // domain → { answers, keywords: Set, positions: [] }
+    const perKeyword = [];
+    let answers = 0;
+
+    for (const entry of entries.filter((e) => e.status !== "failed")) {
+        const byDomain = new Map();
+        entry.questions.forEach((q, i) => {
+            const domain = answerDomain(q, ownDomain);
+            if (!domain) return;
+            if (!byDomain.has(domain)) byDomain.set(domain, []);
+            byDomain.get(domain).push(i + 1);
+        });
+
+        for (const [domain, positions] of byDomain) {
+            if (!totals.has(domain)) totals.set(domain, { answers: 0, keywords: new Set(), positions: [] });
+            const total = totals.get(domain);
+            total.answers += positions.length;
+            total.keywords.add(entry.keyword.toLowerCase());
+            total.positions.push(...positions);
+            answers += positions.length;
+        }
+
+        perKeyword.push({
+            keyword: entry.keyword,
+            region: entry.region,
+            language: entry.language,
+            answers: [...byDomain.values()].reduce((sum, p) => sum + p.length, 0),
+            domains: [...byDomain]
+                .map(([domain, positions]) => ({ domain, answers: positions.length, positions }))
+                .sort((a, b) => b.answers - a.answers || a.positions[0] - b.positions[0]),
+            own: byDomain.get(ownDomain) || [],
+        });
+    }
+
+    const keywordCount = new Set(perKeyword.map((k) => k.keyword.toLowerCase())).size;
+
+    // Most answers first; ties go to the domain with the better average position
+    const domains = [...totals]
+        .map(([domain, t]) => ({
+            domain,
+            answers: t.answers,
+            share: share(t.answers, answers),
+            keywords: t.keywords.size,
+            coverage: share(t.keywords.size, keywordCount),
+            bestPosition: Math.min(...t.positions),
+            avgPosition: Number((t.positions.reduce((sum, p) => sum + p, 0) / t.positions.length).toFixed(1)),
+            own: domain === ownDomain,
+        }))
+        .sort((a, b) => b.answers - a.answers || a.avgPosition - b.avgPosition || a.domain.localeCompare(b.domain))
+        .map((d, i) => ({ rank: i + 1, ...d }));
+
+    let own = null;
+    if (ownDomain) {
+        const row = domains.find((d) => d.own);
+        own = row
+            ? { domain: ownDomain, rank: row.rank, answers: row.answers, share: row.share, keywords: row.keywords, coverage: row.coverage, bestPosition: row.bestPosition }
+            : { domain: ownDomain, rank: null, answers: 0, share: 0, keywords: 0, coverage: 0, bestPosition: null };
+    }
+
+    return { keywords: keywordCount, answers, ownDomain, own, domains, perKeyword };
+}
+
+/**
+ * Domain share report for one job / CLI run, by run ID — or the most
+ * recent run without one. Throws if the run isn't in the history.
+ * `options.tokenId` limits the lookup to one API token's runs.
+ */
+export function domainShareForRun(runId, options = {}) {
+    const { tokenId, ...shareOptions } = options;
+    const id = runId || latestRunId();
+    if (!id) throw new Error("No runs recorded yet.");
+
+    const entries = findRunEntries(id, { tokenId });
+    if (entries.length === 0) throw new Error(`Run "${id}" not found in history.`);
+
+    return {
+        runId: id,
+        createdAt: entries[entries.length - 1].createdAt,
+        ...domainShare(entries, shareOptions),
+    };
+}
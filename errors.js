@@ -0,0 +1,149 @@
+// ─────────────────────────────────────────────────────────────
+//  errors.js – Typed SERP errors and the retry policy
+//
+//  Every failed SERP request becomes a SerpError with a `type`:
+//    quota    – out of credits / all keys exhausted or rate limited
+//    auth     – missing or rejected API credentials
+//    network  – timeout, connection reset, DNS failure, no response
+//    upstream – the provider answered with a 5xx or another error
+//
+//  Network errors and 5xx responses are transient: fetchPAAPage
+//  retries them with exponential backoff and full jitter
+//  (PAA_RETRIES, PAA_RETRY_BASE_MS). Quota and auth errors are not
+//  retried — another attempt can't succeed.
+// ─────────────────────────────────────────────────────────────
+
+import { sleep } from "./ratelimit.js";
+import { log } from "./logger.js";
+
+export const errorTypes = ["quota", "auth", "network", "upstream"];
+
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_RETRY_BASE_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+const NETWORK_CODES = new Set([
+    "ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE",
+    "ENOTFOUND", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH", "ERR_NETWORK",
+]);
+
+const QUOTA_PATTERN = /\b(quota|limit|exceeded|exhausted|out of (credits|searches)|run out)\b/i;
+const AUTH_PATTERN = /\b(invalid api key|api key|unauthori[sz]ed|forbidden|not set|credentials?)\b/i;
+
+export class SerpError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} details
+     * @param {"quota"|"auth"|"network"|"upstream"} details.type
+     * @param {string}  [details.provider]
+     * @param {number}  [details.status]    - HTTP status, if there was a response
+     * @param {boolean} [details.retryable] - worth retrying (network / 5xx)
+     * @param {Error}   [details.cause]
+     */
+    constructor(message, { type, provider = null, status = null, retryable = false, cause } = {}) {
+        super(message, { cause });
+        this.name = "SerpError";
+        this.type = type;
+        this.provider = provider;
+        this.status = status;
+        this.retryable = retryable;
+    }
+
+    toJSON() {
+        return { type: this.type, message: this.message, provider: this.provider, status: this.status };
+    }
+}
+
+// ─── Classification ─────────────────────────────────────────
+
+/** Error type for an error message in a 200 response body, or null if it isn't an error. */
+export function bodyErrorType(message = "") {
+    if (QUOTA_PATTERN.test(message)) return "quota";
+    if (AUTH_PATTERN.test(message)) return "auth";
+    return null;
+}
+
+/**
+ * Turn anything thrown while fetching a SERP page (axios errors, key
+ * manager errors, …) into a SerpError. SerpErrors pass through as-is.
+ */
+export function toSerpError(error, provider) {
+    if (error instanceof SerpError) return error;
+
+    const status = error.response?.status ?? null;
+    const detail = error.response?.data?.error || error.response?.statusText || "";
+    const message = (error.message || String(error)).replace(/^❌\s+/, "");
+
+    let type;
+    if (status === 401 || status === 403) type = "auth";
+    else if (status === 402 || status === 429) type = "quota";
+    else if (status >= 500) type = "upstream";
+    else if (status) type = bodyErrorType(detail) || "upstream";
+    else if (NETWORK_CODES.has(error.code) || error.request || /timeout/i.test(message)) type = "network";
+    else type = bodyErrorType(message) || "upstream";
+
+    return new SerpError(status ? `${provider} returned ${status}${detail ? `: ${detail}` : ""}` : message, {
+        type,
+        provider,
+        status,
+        retryable: type === "network" || status >= 500,
+        cause: error,
+    });
+}
+
+// ─── Retries ────────────────────────────────────────────────
+
+function envInt(name, fallback, min, max) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === "") return fallback;
+
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < min || n > max) {
+        log.warn(`⚠️  Ignoring invalid ${name}="${raw}" — use ${min}–${max}. Using ${fallback}.`, { setting: name });
+        return fallback;
+    }
+    return n;
+}
+
+/** Retry settings from PAA_RETRIES (0–10) and PAA_RETRY_BASE_MS. */
+export function retryPolicy() {
+    return {
+        retries: envInt("PAA_RETRIES", DEFAULT_RETRIES, 0, 10),
+        baseMs: envInt("PAA_RETRY_BASE_MS", DEFAULT_RETRY_BASE_MS, 1, 60000),
+    };
+}
+
+/** Full-jitter exponential backoff: random 0 … base × 2^attempt, capped at 10s. */
+export function backoffDelay(attempt, baseMs = DEFAULT_RETRY_BASE_MS) {
+    return Math.round(Math.random() * Math.min(MAX_RETRY_DELAY_MS, baseMs * 2 ** attempt));
+}
+
+/**
+ * Call `fn` until it succeeds, retrying transient failures. Errors are
+ * thrown as SerpErrors once they're not retryable or retries run out.
+ *
+ * @param {Function} fn       - async () => result
+ * @param {string}   provider - provider name, for error messages
+ * @param {object}   [policy] - { retries, baseMs } (default: retryPolicy())
+ */
+export async function withRetries(fn, provider, { retries, baseMs } = retryPolicy()) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (e) {
+            const error = toSerpError(e, provider);
+            if (!error.retryable || attempt >= retries) throw error;
+
+            const delay = backoffDelay(attempt, baseMs);
+            log.warn(`🔁  ${error.type} error (${error.message}) — retry ${attempt + 1}/${retries} in ${delay}ms`, {
+                provider,
+                errorType: error.type,
+                status: error.status,
+                retry: attempt + 1,
+                retries,
+                delayMs: delay,
+            });
+            await sleep(delay);
+        }
+    }
+}
@@ -0,0 +1,201 @@
+// ─────────────────────────────────────────────────────────────
+//  expansions.js – Fallback queries for when the PAA queue runs dry
+//
+//  Strategies, tried in the configured order (PAA_EXPANSIONS,
+//  `expansions` in the API, --expansions on the CLI):
+//
+//    related   – Google's "related searches" from the pages already
+//                fetched for the keyword
+//    templates – per-language templates such as "what is {keyword}"
+//                or "{keyword} cost"
+//    alphabet  – alphabet soup: "{keyword} a", "{keyword} b", …
+//
+//  Templates are built in for en, de, fr, es, pt, it and nl. A JSON
+//  file (PAA_EXPANSION_TEMPLATES, or --expansion-templates on the
+//  CLI) adds languages or replaces a language's built-in list:
+//
+//    { "en": ["{keyword} checklist", "is {keyword} safe"],
+//      "sv": ["vad är {keyword}", "{keyword} pris"] }
+//
+//  Keywords that are already questions ("how to clean a mattress")
+//  only get templates that start with the keyword, so they don't
+//  turn into "how to how to clean a mattress".
+// ─────────────────────────────────────────────────────────────
+
+import { existsSync, readFileSync } from "fs";
+
+export const expansionStrategies = ["related", "templates", "alphabet"];
+export const DEFAULT_EXPANSIONS = ["related", "templates", "alphabet"];
+
+const BUILTIN_TEMPLATES = {
+    en: ["what is {keyword}", "how to {keyword}", "why {keyword}", "best {keyword}", "how does {keyword}",
+        "what are {keyword}", "is it worth {keyword}", "tips for {keyword}", "guide to {keyword}",
+        "{keyword} examples", "{keyword} cost", "{keyword} vs"],
+    de: ["was ist {keyword}", "wie funktioniert {keyword}", "warum {keyword}", "beste {keyword}",
+        "{keyword} kosten", "{keyword} erfahrungen", "{keyword} tipps", "{keyword} vs"],
+    fr: ["qu'est-ce que {keyword}", "comment {keyword}", "pourquoi {keyword}", "meilleur {keyword}",
+        "{keyword} prix", "{keyword} avis", "{keyword} conseils", "{keyword} vs"],
+    es: ["qué es {keyword}", "cómo {keyword}", "por qué {keyword}", "mejor {keyword}",
+        "{keyword} precio", "{keyword} opiniones", "{keyword} consejos", "{keyword} vs"],
+    pt: ["o que é {keyword}", "como {keyword}", "por que {keyword}", "melhor {keyword}",
+        "{keyword} preço", "{keyword} vale a pena", "{keyword} dicas", "{keyword} vs"],
+    it: ["cos'è {keyword}", "come {keyword}", "perché {keyword}", "migliore {keyword}",
+        "{keyword} prezzo", "{keyword} recensioni", "{keyword} consigli", "{keyword} vs"],
+    nl: ["wat is {keyword}", "hoe {keyword}", "waarom {keyword}", "beste {keyword}",
+        "{keyword} kosten", "{keyword} ervaringen", "{keyword} tips", "{keyword} vs"],
+};
+
+// A keyword starting with one of these already reads as a question
+const QUESTION_WORDS = {
+    en: ["what", "how", "why", "when", "where", "who", "which", "is", "are", "can", "do", "does", "should", "will"],
+    de: ["was", "wie", "warum", "wann", "wo", "wer", "welche", "welcher", "welches", "ist", "kann"],
+    fr: ["qu'est-ce", "que", "quoi", "comment", "pourquoi", "quand", "où", "qui", "quel", "quelle", "est-ce"],
+    es: ["qué", "que", "cómo", "como", "por qué", "cuándo", "dónde", "quién", "cuál", "es"],
+    pt: ["o que", "como", "por que", "quando", "onde", "quem", "qual", "é"],
+    it: ["cosa", "cos'è", "come", "perché", "quando", "dove", "chi", "quale", "è"],
+    nl: ["wat", "hoe", "waarom", "wanneer", "waar", "wie", "welke", "is", "kan"],
+};
+
+const ALPHABET = "abcdefghijklmnopqrstuvwxyz".split("");
+
+// ─── Configuration ──────────────────────────────────────────
+
+/**
+ * Validate the strategy list from a request body / CLI flag / PAA_EXPANSIONS:
+ * an array or comma-separated string, "none" for no fallbacks.
+ * Throws on unknown strategies.
+ */
+export function resolveExpansions(value) {
+    if (value === undefined || value === null || value === "") {
+        const fromEnv = process.env.PAA_EXPANSIONS;
+        return fromEnv ? resolveExpansions(fromEnv) : [...DEFAULT_EXPANSIONS];
+    }
+
+    const list = (Array.isArray(value) ? value : String(value).split(","))
+        .map((s) => String(s).trim().toLowerCase())
+        .filter(Boolean);
+    if (list.length === 1 && list[0] === "none") return [];
+
+    const unknown = list.filter((s) => !expansionStrategies.includes(s));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown expansion strategy "${unknown[0]}". Use any of: ${expansionStrategies.join(", ")} (or "none").`);
+    }
+    return [...new Set(list)];
+}
+
+function loadTemplateFile(file) {
+    if (!existsSync(file)) {
+        throw new Error(`Expansion template file not found: ${file}`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(readFileSync(file, "utf8"));
+    } catch (e) {
+        throw new Error(`Could not parse expansion template file ${file}: ${e.message}`);
+    }
+
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        throw new Error(`Expansion templates in ${file} must be an object of { "<language>": ["… {keyword} …"] }.`);
+    }
+    for (const [language, templates] of Object.entries(data)) {
+        if (!Array.isArray(templates) || templates.some((t) => typeof t !== "string" || !t.includes("{keyword}"))) {
+            throw new Error(`Templates for "${language}" in ${file} must be strings containing {keyword}.`);
+        }
+    }
+    return data;
+}
+
+/**
+ * Templates by language: the built-ins, with each file's languages
+ * replacing (or adding to) them. Later files win.
+ *
+ * @param {string[]} [files] - JSON template files
+ */
+export function loadTemplates(files = []) {
+    const templates = { ...BUILTIN_TEMPLATES };
+    for (const file of files) {
+        for (const [language, list] of Object.entries(loadTemplateFile(file))) {
+            templates[language.toLowerCase()] = list;
+        }
+    }
+    return templates;
+}
+
+/** Template files listed in PAA_EXPANSION_TEMPLATES (comma-separated paths). */
+export function envTemplateFiles() {
+    return (process.env.PAA_EXPANSION_TEMPLATES || "").split(",").map((f) => f.trim()).filter(Boolean);
+}
+
+let defaultTemplates;
+
+/** Built-in templates plus the PAA_EXPANSION_TEMPLATES files. */
+export function getTemplates() {
+    if (!defaultTemplates) {
+        defaultTemplates = loadTemplates(envTemplateFiles());
+    }
+    return defaultTemplates;
+}
+
+// ─── Fallback queries ───────────────────────────────────────
+
+/** True if the keyword already starts with a question word of its language. */
+export function isQuestionLike(keyword, language = "en") {
+    const text = keyword.trim().toLowerCase().replace(/[’‘]/g, "'");
+    const words = QUESTION_WORDS[language] || QUESTION_WORDS.en;
+    return text.endsWith("?") || words.some((w) => text === w || text.startsWith(`${w} `));
+}
+
+function templateQueries(keyword, language, templates) {
+    const list = templates[language] || [];
+    const usable = isQuestionLike(keyword, language)
+        ? list.filter((t) => t.trim().startsWith("{keyword}"))
+        : list;
+    return usable.map((t) => t.replace("{keyword}", keyword).trim());
+}
+
+/**
+ * Hands out fallback queries for one keyword, strategy by strategy.
+ * Related searches can be added at any time (as pages are fetched);
+ * the strategy order decides whether they jump ahead of templates.
+ */
+export class FallbackQueries {
+    /**
+     * @param {string} keyword
+     * @param {object} [options]
+     * @param {string}   [options.language]   - Google hl code (default "en")
+     * @param {string[]} [options.strategies] - see resolveExpansions() (default: all)
+     * @param {object}   [options.templates]  - templates by language (default: getTemplates())
+     */
+    constructor(keyword, { language = "en", strategies = DEFAULT_EXPANSIONS, templates = getTemplates() } = {}) {
+        this.strategies = strategies;
+        this.used = new Set([keyword.toLowerCase()]);
+        this.pending = {
+            related: [],
+            templates: strategies.includes("templates") ? templateQueries(keyword, language, templates) : [],
+            alphabet: strategies.includes("alphabet") ? ALPHABET.map((letter) => `${keyword} ${letter}`) : [],
+        };
+    }
+
+    /** Queue related searches found on a fetched SERP page. */
+    addRelated(queries = []) {
+        if (!this.strategies.includes("related")) return;
+        for (const query of queries) {
+            if (query && !this.used.has(query.toLowerCase())) this.pending.related.push(query);
+        }
+    }
+
+    /** The next unused fallback query as { query, source }, or null when all are used. */
+    next() {
+        for (const source of this.strategies) {
+            const list = this.pending[source];
+            while (list.length > 0) {
+                const query = list.shift();
+                if (this.used.has(query.toLowerCase())) continue;
+                this.used.add(query.toLowerCase());
+                return { query, source };
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,232 @@
+// ─────────────────────────────────────────────────────────────
+//  exporters.js – Write grouped PAA results to local files
+//                 (or render them for an HTTP download)
+//
+//  The format is picked from the file extension:
+//    .csv     – one row per question
+//    .json    – the grouped results object
+//    .ndjson  – one JSON object per question, one per line
+//    .md      – a Markdown content brief, a section per keyword
+//    .xlsx    – one worksheet row per question
+//    .jsonld  – schema.org FAQPage markup, one page per keyword
+//
+//  Exporters are pluggable: registerExporter() adds a format to
+//  every download endpoint and to the CLI's --out.
+// ─────────────────────────────────────────────────────────────
+
+import { writeFileSync } from "fs";
+import path from "path";
+import ExcelJS from "exceljs";
+
+const COLUMNS = ["keyword", "region", "language", "location", "url", "position", "question", "answer", "link", "intent", "tags", "variants", "source", "expansion", "title", "domain", "serpPosition"];
+
+
+// ─── Helpers ────────────────────────────────────────────────
+
+/**
+ * Locale and URL filter for one keyword: `meta`, overridden by
+ * `meta.byKeyword[keyword]` when keywords of one run differ (bulk uploads).
+ */
+function keywordMeta(keyword, meta) {
+    return { ...meta, ...meta.byKeyword?.[keyword] };
+}
+
+/** Flatten grouped results into one row object per question. */
+function toRows(grouped, meta) {
+    const rows = [];
+    for (const [keyword, results] of Object.entries(grouped)) {
+        const { region, language = "en", location = "", url } = keywordMeta(keyword, meta);
+        results.forEach((item, i) => {
+            rows.push({
+                keyword,
+                region,
+                language,
+                location,
+                url: url || "",
+                position: i + 1,
+                question: item.question,
+                answer: item.answer,
+                link: item.link,
+                intent: item.intent || "",
+                tags: (item.tags || []).join(", "),
+                variants: (item.variants || []).join(" | "),
+                source: item.source || "",
+                expansion: item.expansion || "",
+                title: item.title || "",
+                domain: item.domain || "",
+                serpPosition: item.serpPosition ?? "",
+            });
+        });
+    }
+    return rows;
+}
+
+/** Quote a CSV field when it contains commas, quotes or newlines. */
+export function csvCell(value) {
+    const str = String(value ?? "");
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCSV(rows) {
+    const lines = [COLUMNS.join(",")];
+    for (const row of rows) {
+        lines.push(COLUMNS.map((c) => csvCell(row[c])).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+function localeLine({ region, language = "en", location, url }) {
+    return `Region: ${region} · Language: ${language}${location ? ` · Location: ${location}` : ""}${url ? ` · Site: ${url}` : ""}`;
+}
+
+function toMarkdown(grouped, meta) {
+    const lines = [`# People Also Ask`, ""];
+    if (!meta.byKeyword) lines.push(localeLine(meta), "");
+
+    for (const [keyword, results] of Object.entries(grouped)) {
+        lines.push(`## ${keyword}`, "");
+        if (meta.byKeyword) lines.push(localeLine(keywordMeta(keyword, meta)), "");
+        if (results.length === 0) {
+            lines.push("_No PAA questions found._", "");
+            continue;
+        }
+
+        // Brief overview: the questions to cover and the intents behind them
+        const intents = {};
+        for (const item of results) if (item.intent) intents[item.intent] = (intents[item.intent] || 0) + 1;
+        if (Object.keys(intents).length) {
+            lines.push(`Intents: ${Object.entries(intents).map(([intent, n]) => `${intent} (${n})`).join(" · ")}`, "");
+        }
+        lines.push(...results.map((item, i) => `${i + 1}. ${item.question}`), "");
+        for (const item of results) {
+            lines.push(`### ${item.question}`, "");
+            if (item.intent) lines.push(`_${item.intent}${item.tags?.length ? ` · ${item.tags.join(", ")}` : ""}_`, "");
+            lines.push(item.answer, "");
+            if (item.variants?.length) lines.push(`Also asked as: ${item.variants.join(" · ")}`, "");
+            if (item.link) lines.push(`Source: ${item.title ? `[${item.title}](${item.link})` : item.link}`, "");
+            if (item.source && item.source !== "seed") lines.push(`Found via ${item.source} fallback: "${item.expansion}"`, "");
+        }
+    }
+    return lines.join("\n");
+}
+
+/** One JSON object per question — every field, with the keyword's locale. */
+function toNDJSON(grouped, meta) {
+    const lines = [];
+    for (const [keyword, results] of Object.entries(grouped)) {
+        const { region, language = "en", location = "", url = "" } = keywordMeta(keyword, meta);
+        results.forEach((item, i) => {
+            lines.push(JSON.stringify({ keyword, region, language, location, url, position: i + 1, ...item }));
+        });
+    }
+    return lines.length ? lines.join("\n") + "\n" : "";
+}
+
+/**
+ * schema.org FAQPage markup, ready for a <script type="application/ld+json">
+ * tag. One keyword gives one FAQPage; several give an @graph of pages.
+ * Questions without an answer are left out — FAQ markup needs one.
+ */
+function toJSONLD(grouped, meta) {
+    const pages = Object.entries(grouped).map(([keyword, results]) => ({
+        "@type": "FAQPage",
+        name: keyword,
+        inLanguage: keywordMeta(keyword, meta).language || "en",
+        mainEntity: results
+            .filter((item) => item.answer)
+            .map((item) => ({
+                "@type": "Question",
+                name: item.question,
+                acceptedAnswer: {
+                    "@type": "Answer",
+                    text: item.answer,
+                    ...(item.link && { url: item.link }),
+                },
+            })),
+    }));
+
+    const doc = pages.length === 1
+        ? { "@context": "https://schema.org", ...pages[0] }
+        : { "@context": "https://schema.org", "@graph": pages };
+    return JSON.stringify(doc, null, 2);
+}
+
+async function toXLSX(rows) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("PAA");
+    sheet.columns = COLUMNS.map((key) => ({ header: key, key, width: key === "answer" ? 80 : 24 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// ─── Registry ───────────────────────────────────────────────
+
+/**
+ * Every export format: name (also the file extension) →
+ *   { contentType, render(grouped, meta) → string | Buffer }
+ */
+const EXPORTERS = {
+    csv: { contentType: "text/csv; charset=utf-8", render: (grouped, meta) => toCSV(toRows(grouped, meta)) },
+    json: { contentType: "application/json; charset=utf-8", render: (grouped) => JSON.stringify(grouped, null, 2) },
+    ndjson: { contentType: "application/x-ndjson; charset=utf-8", render: toNDJSON },
+    md: { contentType: "text/markdown; charset=utf-8", render: toMarkdown },
+    xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", render: (grouped, meta) => toXLSX(toRows(grouped, meta)) },
+    jsonld: { contentType: "application/ld+json; charset=utf-8", render: toJSONLD },
+};
+
+// ─── Public API ─────────────────────────────────────────────
+
+/** Every available format — kept up to date by registerExporter(). */
+export const exportFormats = Object.keys(EXPORTERS);
+
+/** MIME types for serving an export over HTTP. */
+export const exportContentTypes = Object.fromEntries(
+    Object.entries(EXPORTERS).map(([format, { contentType }]) => [format, contentType])
+);
+
+/**
+ * Add (or replace) an export format. It becomes available to every
+ * download endpoint and to the CLI's --out as `<file>.<format>`.
+ *
+ * @param {string} format - lowercase name, used as the file extension
+ * @param {object} exporter
+ * @param {string}   exporter.contentType
+ * @param {Function} exporter.render - async (grouped, meta) => string | Buffer
+ */
+export function registerExporter(format, { contentType, render }) {
+    if (!/^[a-z0-9]+$/.test(format) || typeof render !== "function") {
+        throw new Error(`Exporter "${format}" needs a lowercase alphanumeric name and a render function.`);
+    }
+    EXPORTERS[format] = { contentType: contentType || "application/octet-stream", render };
+    if (!exportFormats.includes(format)) exportFormats.push(format);
+    exportContentTypes[format] = EXPORTERS[format].contentType;
+}
+
+/**
+ * Render grouped results in `format` (any of exportFormats).
+ * Returns a string, or a Buffer for xlsx.
+ *
+ * @param {string} format
+ * @param {Record<string, object[]>} grouped - keyword → questions
+ * @param {object} meta                       - { region, language, location, url, byKeyword? }
+ */
+export async function renderResults(format, grouped, meta) {
+    const exporter = EXPORTERS[format];
+    if (!exporter) {
+        throw new Error(`❌  Unsupported output format ".${format}". Use one of: ${exportFormats.join(", ")}.`);
+    }
+    return exporter.render(grouped, meta);
+}
+
+/**
+ * Write grouped results to `file`, choosing the format from its extension.
+ *
+ * @param {string} file
+ * @param {Record<string, object[]>} grouped - keyword → questions
+ * @param {object} meta                       - { region, language, location, url }
+ */
+export async function writeResults(file, grouped, meta) {
+    const format = path.extname(file).slice(1).toLowerCase();
+    writeFileSync(file, await renderResults(format, grouped, meta));
+}
@@ -0,0 +1,217 @@
+// ─────────────────────────────────────────────────────────────
+//  history.js – Local history of every keyword extraction
+//
+//  Each finished keyword (CLI, server job or Vercel request) is
+//  appended as one JSON line to data/history.jsonl, with its
+//  locale, URL filter and the full questions/answers/links, so
+//  past runs can be re-opened and re-exported without another
+//  SERP search — even when the Google Sheet write failed.
+//
+//  Runs made with an API token record its `tokenId`. Lookups take
+//  an optional { tokenId } scope that hides every other token's
+//  runs — the server passes the caller's, so clients only see
+//  their own history.
+// ─────────────────────────────────────────────────────────────
+
+import { randomUUID } from "crypto";
+import { appendFileSync, existsSync, readFileSync } from "fs";
+import { dataPath } from "./storage.js";
+
+const HISTORY_FILE = "history.jsonl";
+
+export const DEFAULT_HISTORY_LIMIT = 20;
+export const MAX_HISTORY_LIMIT = 100;
+
+// ─── Persistence ────────────────────────────────────────────
+
+function readEntries() {
+    const file = dataPath(HISTORY_FILE);
+    if (!existsSync(file)) return [];
+
+    const entries = [];
+    for (const line of readFileSync(file, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            // A half-written last line (crash mid-append) — skip it
+        }
+    }
+    return entries;
+}
+
+/** An entry without its questions and SERP context — what list views show. */
+function summarize({ questions, serp, ...rest }) {
+    return { ...rest, count: questions.length };
+}
+
+function resolvePaging({ limit, offset }) {
+    const l = limit === undefined || limit === "" ? DEFAULT_HISTORY_LIMIT : Number(limit);
+    const o = offset === undefined || offset === "" ? 0 : Number(offset);
+
+    if (!Number.isInteger(l) || l < 1 || l > MAX_HISTORY_LIMIT) {
+        throw new Error(`limit must be a whole number between 1 and ${MAX_HISTORY_LIMIT}.`);
+    }
+    if (!Number.isInteger(o) || o < 0) {
+        throw new Error("offset must be a whole number ≥ 0.");
+    }
+    return { limit: l, offset: o };
+}
+
+/** True if `entry` is visible in a { tokenId } scope (no tokenId: everything is). */
+function inScope(entry, tokenId) {
+    return !tokenId || entry.tokenId === tokenId;
+}
+
+/** Same keyword, locale, URL filter and mode — i.e. comparable runs. */
+function sameSearch(entry, search) {
+    return entry.keyword.toLowerCase() === search.keyword.toLowerCase()
+        && entry.region === (search.region || "us")
+        && entry.language === (search.language || "en")
+        && (entry.location || "") === (search.location || "")
+        && (entry.device || "desktop") === (search.device || "desktop")
+        && (entry.url || "") === (search.url || "")
+        && (entry.mode || "list") === (search.mode || "list");
+}
+
+// ─── Public API ─────────────────────────────────────────────
+
+/**
+ * Append one keyword run to the history. Returns the stored entry.
+ *
+ * @param {object} run - { runId, tokenId?, keyword, region, language, location, device,
+ *                         url, provider, mode, status, reason, error, errorType, questions,
+ *                         ownership, apiCalls, cacheHits, budgetReached, serp?, sheet }
+ */
+export function recordRun(run) {
+    const entry = {
+        id: randomUUID(),
+        createdAt: new Date().toISOString(),
+        ...run,
+    };
+
+    appendFileSync(dataPath(HISTORY_FILE), JSON.stringify(entry) + "\n");
+    return entry;
+}
+
+/** Look up one past run by ID, with its questions. Returns null if unknown or out of scope. */
+export function getHistoryEntry(id, { tokenId } = {}) {
+    return readEntries().find((e) => e.id === id && inScope(e, tokenId)) || null;
+}
+
+/**
+ * Every run of the same search ({ keyword, region, language, location,
+ * device, url, mode }), newest first and with questions. Failed runs are
+ * left out — they'd look like every question disappeared.
+ */
+export function findRuns(search, { tokenId } = {}) {
+    return readEntries()
+        .filter((e) => e.status !== "failed" && sameSearch(e, search) && inScope(e, tokenId))
+        .reverse();
+}
+
+/**
+ * List past runs, newest first, without their questions.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.keyword]  - case-insensitive substring match
+ * @param {string} [filters.region]
+ * @param {string} [filters.language]
+ * @param {string} [filters.url]      - substring of the URL filter
+ * @param {string} [filters.status]   - complete | partial | empty | failed
+ * @param {string} [filters.runId]    - every keyword from one job / CLI run
+ * @param {string} [filters.tokenId]  - only runs made with this API token
+ * @param {string} [filters.from]     - ISO date, inclusive
+ * @param {string} [filters.to]       - ISO date, inclusive
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {{ total: number, limit: number, offset: number, items: object[] }}
+ */
+export function listHistory(filters = {}) {
+    const { keyword, region, language, url, status, runId, tokenId, from, to } = filters;
+    const { limit, offset } = resolvePaging(filters);
+
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+        throw new Error("from and to must be valid dates, e.g. 2024-05-01.");
+    }
+
+    const matches = readEntries().filter((e) => {
+        const created = Date.parse(e.createdAt);
+        return (!keyword || e.keyword.toLowerCase().includes(keyword.toLowerCase()))
+            && (!region || e.region === region.toLowerCase())
+            && (!language || e.language === language.toLowerCase())
+            && (!url || (e.url || "").includes(url))
+            && (!status || e.status === status)
+            && (!runId || e.runId === runId)
+            && inScope(e, tokenId)
+            && (fromTime === null || created >= fromTime)
+            // A bare date for `to` covers that whole day
+            && (toTime === null || created <= (/^\d{4}-\d{2}-\d{2}$/.test(to) ? toTime + 86_399_999 : toTime));
+    });
+
+    matches.reverse();
+
+    return {
+        total: matches.length,
+        limit,
+        offset,
+        items: matches.slice(offset, offset + limit).map(summarize),
+    };
+}
+
+/**
+ * Every keyword recorded for one job / CLI run, oldest first and with
+ * questions. Returns an empty array for an unknown (or out of scope) run ID.
+ */
+export function findRunEntries(runId, { tokenId } = {}) {
+    return readEntries().filter((e) => e.runId === runId && inScope(e, tokenId));
+}
+
+/** The run ID of the most recently recorded keyword, or null if there's no history. */
+export function latestRunId() {
+    const entries = readEntries();
+    for (let i = entries.length - 1; i >= 0; i--) {
+        if (entries[i].runId) return entries[i].runId;
+    }
+    return null;
+}
+
+/**
+ * A run's results, grouped for exporters.js: keyword → questions, plus
+ * each keyword's locale and URL filter under `meta.byKeyword`. A keyword
+ * recorded under several locales (bulk uploads) is labelled with its
+ * locale; one recorded twice for the same locale keeps its latest run.
+ * `byKeyword` is only set when the run's keywords differ in locale or URL.
+ *
+ * @returns {{ grouped: Record<string, object[]>, meta: object }}
+ */
+export function groupRunEntries(entries) {
+    const localeOf = (e) => `${e.region}/${e.language}${e.location ? `, ${e.location}` : ""}`;
+    const locales = {};
+    for (const e of entries) (locales[e.keyword] ||= new Set()).add(localeOf(e));
+
+    const grouped = {};
+    const byKeyword = {};
+    for (const e of entries) {
+        const label = locales[e.keyword].size > 1 ? `${e.keyword} (${localeOf(e)})` : e.keyword;
+        grouped[label] = e.questions;
+        byKeyword[label] = { region: e.region, language: e.language, location: e.location || "", url: e.url || "" };
+    }
+
+    // Only spell out per-keyword locales when they actually differ
+    const first = entries[0] || {};
+    const mixed = entries.some((e) => localeOf(e) !== localeOf(first) || (e.url || "") !== (first.url || ""));
+
+    return {
+        grouped,
+        meta: {
+            region: first.region,
+            language: first.language,
+            location: first.location || "",
+            url: first.url || "",
+            ...(mixed && { byKeyword }),
+        },
+    };
+}
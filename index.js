@@ -2,41 +2,247 @@
 //  index.js – CLI entry point for the PAA extractor
 //
 //  Usage:
-//    node index.js <keyword> [--region us|in] [--url https://...]
+//    node index.js [keyword ...] [options]
+//    node index.js --file keywords.txt [options]
+//    cat keywords.txt | node index.js [options]
+//    node index.js cache stats
+//    node index.js cache purge [--all]
+//    node index.js diff <keyword> [--region us] [--lang en] [--location <name>]
+//                       [--device desktop] [--url <url>] [--tree] [--json]
+//    node index.js diff --to <historyId> [--from <historyId>] [--json]
+//    node index.js domains [runId] [--url <url>] [--top <n>] [--json]
+//                          [--sheet [--sheet-id <id|url>]]
+//    node index.js tokens issue <name> [--daily <n>] [--monthly <n>] [--max-keywords <n>]
+//    node index.js tokens list|revoke <id>|quota <id> [quota flags]
+//    node index.js tokens usage <id> [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--json]
+//
+//  Options:
+//    --file <path|->       read keywords from a file (one per line, # comments)
+//                          or "-" for stdin
+//    --region <gl>         Google country code (default: us)
+//    --lang <hl>           Google language code (default: en)
+//    --location <name>     city-level location, e.g. "Austin, Texas, United States"
+//    --device <type>       desktop | mobile | tablet (default: desktop)
+//    --url <url>           scope questions to site:domain and report which
+//                          PAA answers that domain owns
+//    --extended            keep SERP context: answer source titles, domains,
+//                          PAA positions, organic results and featured snippet
+//    --provider <name>     serpapi | valueserp | dataforseo | fixture
+//    --min <n>             keep re-running until n unique questions (default: 9)
+//    --max <n>             cap questions per keyword (default: 12)
+//    --concurrency <n>     keywords processed in parallel (default: PAA_CONCURRENCY or 3)
+//    --tree                tree mode: record parent → child question hierarchy
+//    --depth <n>           tree levels to expand (default: 2)
+//    --branching <n>       children kept per question (default: 4)
+//    --similarity <0-1>    merge near-duplicate questions at this similarity
+//                          (default: 0.6, 0 = exact matches only)
+//    --intent-rules <file> extra intent rules (JSON), on top of PAA_INTENT_RULES
+//    --expansions <list>   fallback strategies, in order: related,templates,alphabet
+//                          (default: PAA_EXPANSIONS or all three; "none" = off)
+//    --expansion-templates <file>  fallback templates (JSON), on top of PAA_EXPANSION_TEMPLATES
+//    --out <file>          write results to .csv, .json, .ndjson, .md, .xlsx or
+//                          .jsonld (schema.org FAQPage markup)
+//    --sheet               also append results to the Google Sheet (plus the
+//                          run's answer domain share to the "PAA Domains" tab)
+//    --sheet-id <id|url>   spreadsheet to write to (default: GOOGLE_SHEET_ID)
+//    --sheet-tab <name>    tab to write to (default: GOOGLE_SHEET_TAB or Sheet1)
+//    --sheet-per-keyword   write each keyword to its own tab
+//    --sheet-upsert        replace a keyword's existing rows instead of appending
+//    --sheet-columns <list> comma-separated columns, e.g. keyword,question,answer,link
+//    --no-cache            fetch fresh SERP pages instead of cached ones
+//    --max-credits <n>     stop once the run has spent n SERP API calls
+//    --max-keyword-credits <n>  stop each keyword after n SERP API calls
+//    --dry-run             print the expected and worst-case SERP API calls
+//                          and exit, without fetching anything (--json for JSON)
+//
+//  Exit codes:
+//    0  questions found
+//    1  usage or fatal error
+//    2  no PAA questions found for any keyword
+//    3  API failure — at least one keyword came back empty after an API error
 //
 //  Examples:
 //    node index.js "best CRM software"
 //    node index.js "best CRM software" --region in
+//    node index.js "beste crm software" --region de --lang de --device mobile
 //    node index.js "best CRM software" --region us --url https://hubspot.com
+//    node index.js "best CRM software" --provider fixture
+//    node index.js --file keywords.txt --concurrency 3 --out results.csv --sheet
+//    node index.js "best CRM software" --tree --depth 3 --branching 3
+//    node index.js --file keywords.txt --sheet --sheet-per-keyword --sheet-upsert
 // ─────────────────────────────────────────────────────────────
 
 import "dotenv/config";
-import { getPAA } from "./paa.js";
+import { randomUUID } from "crypto";
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import {
+    DEFAULT_MAX_RUNS,
+    processKeywords,
+    resolveThresholds,
+    resolveTreeOptions,
+    writeDomainShare,
+} from "./pipeline.js";
+import { exportFormats, writeResults } from "./exporters.js";
+import { getCacheStats, purgeCache } from "./cache.js";
+import { resolveLocale } from "./locales.js";
+import { appendDomainsToSheet, resolveSheetOptions } from "./sheets.js";
+import { diffById, diffLatest } from "./diff.js";
+import { domainShareForRun } from "./domains.js";
+import { resolveSimilarity } from "./similarity.js";
+import { envTemplateFiles, getTemplates, loadTemplates, resolveExpansions } from "./expansions.js";
+import { IntentClassifier, envRuleFiles, getClassifier } from "./intents.js";
+import { keywordConcurrency } from "./pool.js";
+import { creditSummary, estimateCredits, resolveBudgets } from "./budget.js";
+import { getToken, issueToken, listTokens, revokeToken, tokenUsage, updateToken } from "./tokens.js";
+
+const EXIT_OK = 0;
+const EXIT_USAGE = 1;
+const EXIT_NO_RESULTS = 2;
+const EXIT_API_FAILURE = 3;
+
+const VALUE_FLAGS = {
+    "--file": "file",
+    "--region": "region",
+    "--lang": "language",
+    "--location": "location",
+    "--device": "device",
+    "--url": "url",
+    "--provider": "provider",
+    "--min": "min",
+    "--max": "max",
+    "--concurrency": "concurrency",
+    "--out": "out",
+    "--depth": "treeDepth",
+    "--branching": "treeBranching",
+    "--similarity": "similarity",
+    "--intent-rules": "intentRules",
+    "--expansions": "expansions",
+    "--expansion-templates": "expansionTemplates",
+    "--sheet-id": "sheetId",
+    "--sheet-tab": "sheetTab",
+    "--sheet-columns": "sheetColumns",
+    "--max-credits": "maxCredits",
+    "--max-keyword-credits": "maxKeywordCredits",
+};
+
+const BOOLEAN_FLAGS = {
+    "--sheet": "sheet",
+    "--no-cache": "refresh",
+    "--tree": "tree",
+    "--sheet-per-keyword": "sheetPerKeyword",
+    "--sheet-upsert": "sheetUpsert",
+    "--extended": "extended",
+    "--dry-run": "dryRun",
+    "--json": "json",
+};
 
 // ─── Parse CLI arguments ────────────────────────────────────
 
+function usage(message) {
+    if (message) console.error(`❌  ${message}\n`);
+    console.error("Usage:  node index.js [keyword ...] [--file <path|->] [--region us] [--lang en] [--location <name>]");
+    console.error("                     [--device desktop|mobile|tablet] [--url <url>] [--extended]");
+    console.error("                     [--provider serpapi|valueserp|dataforseo|fixture] [--min 9] [--max 12]");
+    console.error("                     [--concurrency 3] [--out results.csv|.json|.ndjson|.md|.xlsx|.jsonld] [--sheet] [--no-cache]");
+    console.error("                     [--max-credits <n>] [--max-keyword-credits <n>] [--dry-run [--json]]");
+    console.error("                     [--tree [--depth 2] [--branching 4]] [--similarity 0.6]");
+    console.error("                     [--intent-rules <file>] [--expansions related,templates,alphabet]");
+    console.error("                     [--expansion-templates <file>]");
+    console.error("                     [--sheet-id <id|url>] [--sheet-tab <name>] [--sheet-per-keyword]");
+    console.error("                     [--sheet-upsert] [--sheet-columns <list>]");
+    console.error("        node index.js cache stats|purge [--all]");
+    console.error("        node index.js diff <keyword> [--region us] [--lang en] [--url <url>] [--json]");
+    console.error("        node index.js diff --to <historyId> [--from <historyId>] [--json]");
+    console.error("        node index.js domains [runId] [--url <url>] [--top 20] [--json] [--sheet [--sheet-id <id|url>]]");
+    console.error("        node index.js tokens issue <name> [--daily <n>] [--monthly <n>] [--max-keywords <n>]");
+    console.error("        node index.js tokens list|revoke <id>|quota <id>|usage <id> [--from <date>] [--to <date>] [--json]\n");
+    console.error("Example:  node index.js --file keywords.txt --out results.csv");
+    process.exit(EXIT_USAGE);
+}
+
+function toInt(flag, value, min) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) usage(`${flag} must be a whole number ≥ ${min}.`);
+    return n;
+}
+
 function parseArgs(argv) {
     const args = argv.slice(2); // remove node + script path
+    const opts = {
+        keywords: [],
+        concurrency: keywordConcurrency(),
+        sheet: false,
+        refresh: false,
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
 
-    if (args.length === 0) {
-        console.error("Usage:  node index.js <keyword> [--region us|in] [--url <url>]\n");
-        console.error("Example:  node index.js \"best CRM software\" --region us");
-        process.exit(1);
+        if (VALUE_FLAGS[arg]) {
+            if (args[i + 1] === undefined) usage(`${arg} needs a value.`);
+            opts[VALUE_FLAGS[arg]] = args[++i];
+        } else if (BOOLEAN_FLAGS[arg]) {
+            opts[BOOLEAN_FLAGS[arg]] = true;
+        } else if (arg.startsWith("--")) {
+            usage(`Unknown option ${arg}.`);
+        } else {
+            opts.keywords.push(arg);
+        }
     }
 
-    const keyword = args[0];
-    let region = "us";
-    let url = undefined;
+    opts.concurrency = toInt("--concurrency", opts.concurrency, 1);
+    if (opts.out && !exportFormats.includes(path.extname(opts.out).slice(1).toLowerCase())) {
+        usage(`--out must end in one of: ${exportFormats.map((f) => `.${f}`).join(", ")}.`);
+    }
 
-    for (let i = 1; i < args.length; i++) {
-        if (args[i] === "--region" && args[i + 1]) {
-            region = args[++i];
-        } else if (args[i] === "--url" && args[i + 1]) {
-            url = args[++i];
-        }
+    try {
+        // Same bounds as the API; with only one of --min / --max, the other follows it
+        const { minQuestions, maxQuestions } = resolveThresholds({ minQuestions: opts.min, maxQuestions: opts.max });
+        Object.assign(opts, { min: minQuestions, max: maxQuestions });
+        Object.assign(opts, resolveLocale(opts));
+        opts.tree = resolveTreeOptions({ ...opts, mode: opts.tree ? "tree" : "list" });
+        opts.similarity = resolveSimilarity(opts.similarity);
+        opts.classifier = opts.intentRules
+            ? new IntentClassifier([...envRuleFiles(), opts.intentRules])
+            : getClassifier();
+        opts.expansions = resolveExpansions(opts.expansions);
+        opts.templates = opts.expansionTemplates
+            ? loadTemplates([...envTemplateFiles(), opts.expansionTemplates])
+            : getTemplates();
+        opts.sheetOptions = {
+            spreadsheetId: opts.sheetId,
+            tab: opts.sheetTab,
+            perKeywordTab: opts.sheetPerKeyword,
+            upsert: opts.sheetUpsert,
+            columns: opts.sheetColumns,
+        };
+        resolveSheetOptions(opts.sheetOptions);
+        Object.assign(opts, resolveBudgets(opts));
+    } catch (e) {
+        usage(e.message);
+    }
+
+    return opts;
+}
+
+/**
+ * Collect keywords from positional args, --file, or piped stdin.
+ * One keyword per line; blank lines and # comments are skipped.
+ */
+function readKeywords({ keywords, file }) {
+    const lines = [...keywords];
+
+    if (file === "-" || (!file && keywords.length === 0 && !process.stdin.isTTY)) {
+        lines.push(...readFileSync(0, "utf8").split(/\r?\n/));
+    } else if (file) {
+        if (!existsSync(file)) usage(`Keyword file not found: ${file}`);
+        lines.push(...readFileSync(file, "utf8").split(/\r?\n/));
     }
 
-    return { keyword, region, url };
+    return [...new Set(
+        lines.map((l) => l.trim()).filter((l) => l && !l.startsWith("#"))
+    )];
 }
 
 // ─── Helpers ────────────────────────────────────────────────
@@ -48,23 +254,410 @@ function printJSON(data) {
     console.log(JSON.stringify(data, null, 2));
 }
 
+// ─── Subcommands ────────────────────────────────────────────
+
+function runCacheCommand(args) {
+    const [action] = args;
+
+    if (action === "stats") {
+        printJSON(getCacheStats());
+    } else if (action === "purge") {
+        const all = args.includes("--all");
+        const removed = purgeCache({ all });
+        console.log(`\n🧹  Removed ${removed} ${all ? "" : "expired "}cache entr${removed === 1 ? "y" : "ies"}.\n`);
+    } else {
+        console.error("Usage:  node index.js cache stats|purge [--all]");
+        process.exit(EXIT_USAGE);
+    }
+}
+
+const DIFF_FLAGS = {
+    "--region": "region",
+    "--lang": "language",
+    "--location": "location",
+    "--device": "device",
+    "--url": "url",
+    "--from": "from",
+    "--to": "to",
+};
+
+/**
+ * Compare the two latest runs of a keyword (or two history entries by ID)
+ * and print the questions that are new, gone or moved.
+ */
+function runDiffCommand(args) {
+    const opts = { keywords: [], json: false, tree: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (DIFF_FLAGS[arg]) {
+            if (args[i + 1] === undefined) usage(`${arg} needs a value.`);
+            opts[DIFF_FLAGS[arg]] = args[++i];
+        } else if (arg === "--json" || arg === "--tree") {
+            opts[arg.slice(2)] = true;
+        } else if (arg.startsWith("--")) {
+            usage(`Unknown option ${arg}.`);
+        } else {
+            opts.keywords.push(arg);
+        }
+    }
+
+    let diff;
+    try {
+        if (opts.to) {
+            diff = diffById(opts.to, opts.from);
+        } else {
+            if (opts.keywords.length !== 1) usage("diff needs exactly one keyword (or --to <historyId>).");
+            diff = diffLatest({
+                keyword: opts.keywords[0],
+                ...resolveLocale(opts),
+                url: opts.url || "",
+                mode: opts.tree ? "tree" : "list",
+            });
+        }
+    } catch (e) {
+        usage(e.message);
+    }
+
+    if (!diff) {
+        console.error("ℹ️  Nothing to compare yet — this search needs at least two recorded runs.");
+        process.exit(EXIT_NO_RESULTS);
+    }
+
+    if (opts.json) return printJSON(diff);
+
+    console.log(`\n🔀  "${diff.keyword}" (${diff.region}/${diff.language})`);
+    console.log(`   ${diff.from.createdAt} → ${diff.to.createdAt}`);
+    console.log(`   Churn: ${Math.round(diff.churn * 100)}%, ${diff.unchanged} unchanged\n`);
+
+    for (const q of diff.added) console.log(`   🆕  #${q.position}  ${q.question}`);
+    for (const q of diff.removed) console.log(`   👋  (was #${q.position})  ${q.question}`);
+    for (const q of diff.moved) {
+        console.log(`   ${q.change > 0 ? "⬆️ " : "⬇️ "}  #${q.from} → #${q.to}  ${q.question}`);
+    }
+    if (!diff.added.length && !diff.removed.length && !diff.moved.length) {
+        console.log("   ✅  No changes.");
+    }
+    console.log("");
+}
+
+const DOMAINS_FLAGS = {
+    "--url": "url",
+    "--top": "top",
+    "--sheet-id": "sheetId",
+};
+
+/**
+ * Which domains answer the PAA questions of one run (the latest run
+ * without a run ID), and where our own domain ranks among them.
+ */
+async function runDomainsCommand(args) {
+    const opts = { runIds: [], json: false, sheet: false, top: "20" };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (DOMAINS_FLAGS[arg]) {
+            if (args[i + 1] === undefined) usage(`${arg} needs a value.`);
+            opts[DOMAINS_FLAGS[arg]] = args[++i];
+        } else if (arg === "--json" || arg === "--sheet") {
+            opts[arg.slice(2)] = true;
+        } else if (arg.startsWith("--")) {
+            usage(`Unknown option ${arg}.`);
+        } else {
+            opts.runIds.push(arg);
+        }
+    }
+    if (opts.runIds.length > 1) usage("domains takes at most one run ID.");
+    const top = toInt("--top", opts.top, 1);
+
+    let report;
+    try {
+        report = domainShareForRun(opts.runIds[0], { url: opts.url });
+    } catch (e) {
+        usage(e.message);
+    }
+
+    if (opts.sheet) {
+        try {
+            const { tab, appended } = await appendDomainsToSheet(report, { spreadsheetId: opts.sheetId });
+            console.log(`📤  Wrote ${appended} domain row(s) to tab "${tab}".`);
+        } catch (e) {
+            console.error("⚠️  Sheet write failed:", e.message);
+            process.exitCode = EXIT_USAGE;
+        }
+    }
+
+    if (opts.json) return printJSON(report);
+
+    const percent = (n) => `${Math.round(n * 100)}%`;
+
+    console.log(`\n🌐  Answer domains for run ${report.runId} (${report.createdAt})`);
+    console.log(`   ${report.answers} answer(s) across ${report.keywords} keyword(s), ${report.domains.length} domain(s)\n`);
+
+    for (const d of report.domains.slice(0, top)) {
+        console.log(`   ${String(d.rank).padStart(3)}. ${d.domain}${d.own ? "  ← you" : ""}`);
+        console.log(`        ${d.answers} answer(s), ${percent(d.share)} share · ${d.keywords}/${report.keywords} keyword(s) · best #${d.bestPosition}, avg #${d.avgPosition}`);
+    }
+    if (report.domains.length > top) console.log(`   … and ${report.domains.length - top} more`);
+
+    if (report.own) {
+        const { domain, rank, answers, share, keywords } = report.own;
+        console.log(rank
+            ? `\n🏷️   ${domain} ranks #${rank} of ${report.domains.length}: ${answers} answer(s), ${percent(share)} share, ${keywords}/${report.keywords} keyword(s)`
+            : `\n🏷️   ${domain} answers none of these questions.`);
+    }
+    console.log("");
+}
+
+const TOKENS_FLAGS = {
+    "--daily": "dailyCalls",
+    "--monthly": "monthlyCalls",
+    "--max-keywords": "maxKeywords",
+    "--from": "from",
+    "--to": "to",
+};
+
+function describeQuotas({ dailyCalls, monthlyCalls, maxKeywords }) {
+    const limits = [
+        dailyCalls && `${dailyCalls} calls/day`,
+        monthlyCalls && `${monthlyCalls} calls/month`,
+        maxKeywords && `${maxKeywords} keywords/request`,
+    ].filter(Boolean);
+    return limits.join(", ") || "no limits";
+}
+
+/**
+ * Issue, list and revoke API tokens, change their quotas and show
+ * their usage. Works on data/tokens.json directly — no server needed.
+ */
+function runTokensCommand(args) {
+    const [action, ...rest] = args;
+    const opts = { args: [], json: false };
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (TOKENS_FLAGS[arg]) {
+            if (rest[i + 1] === undefined) usage(`${arg} needs a value.`);
+            opts[TOKENS_FLAGS[arg]] = rest[++i];
+        } else if (arg === "--json") {
+            opts.json = true;
+        } else if (arg.startsWith("--")) {
+            usage(`Unknown option ${arg}.`);
+        } else {
+            opts.args.push(arg);
+        }
+    }
+    const [target] = opts.args;
+    const quotas = { dailyCalls: opts.dailyCalls, monthlyCalls: opts.monthlyCalls, maxKeywords: opts.maxKeywords };
+
+    const findToken = () => {
+        if (!target) usage(`tokens ${action} needs a token ID.`);
+        const token = getToken(target);
+        if (!token) usage(`Token "${target}" not found.`);
+        return token;
+    };
+
+    try {
+        if (action === "issue") {
+            const token = issueToken(opts.args.join(" "), quotas);
+            if (opts.json) return printJSON(token);
+            console.log(`\n🔑  Issued token "${token.name}" (${token.id}) — ${describeQuotas(token.quotas)}`);
+            console.log(`\n   ${token.secret}\n`);
+            console.log("   Store it now: it can't be shown again.\n");
+        } else if (action === "list") {
+            const tokens = listTokens();
+            if (opts.json) return printJSON(tokens);
+            if (tokens.length === 0) return console.log("\nℹ️  No tokens issued yet.\n");
+            console.log("");
+            for (const t of tokens) {
+                console.log(`   ${t.revokedAt ? "🚫" : "🔑"}  ${t.name}  ${t.id}  (${t.prefix}…)`);
+                console.log(`        ${describeQuotas(t.quotas)} · last used ${t.lastUsedAt || "never"}${t.revokedAt ? ` · revoked ${t.revokedAt}` : ""}`);
+            }
+            console.log("");
+        } else if (action === "revoke") {
+            findToken();
+            const token = revokeToken(target);
+            console.log(`\n🚫  Revoked token "${token.name}" (${token.id}).\n`);
+        } else if (action === "quota") {
+            findToken();
+            const token = updateToken(target, quotas);
+            console.log(`\n🔑  "${token.name}" now has ${describeQuotas(token.quotas)}.\n`);
+        } else if (action === "usage") {
+            const token = findToken();
+            const report = tokenUsage(target, opts);
+            if (opts.json) return printJSON(report);
+
+            const line = (u) => `${u.calls} SERP call(s), ${u.cacheHits} cache hit(s), ${u.keywords} keyword(s), ${u.questions} question(s), ${u.jobs} job(s)`;
+            console.log(`\n📊  Usage of "${report.name}" (${describeQuotas(token.quotas)})`);
+            console.log(`   Today     : ${line(report.today)}`);
+            console.log(`   This month: ${line(report.month)}`);
+            console.log(`   All time  : ${line(report.total)}\n`);
+            console.log(`   ${report.from} → ${report.to}: ${line(report.period)}`);
+            for (const day of report.days) console.log(`     ${day.date}  ${line(day)}`);
+            console.log("");
+        } else {
+            console.error("Usage:  node index.js tokens issue <name>|list|revoke <id>|quota <id>|usage <id> [options]");
+            process.exit(EXIT_USAGE);
+        }
+    } catch (e) {
+        usage(e.message);
+    }
+}
+
+/** Print what a run would cost, without fetching anything. */
+function printEstimate(keywords, opts) {
+    const estimate = estimateCredits(
+        keywords.map((keyword) => ({ keyword, region: opts.region, language: opts.language, location: opts.location, device: opts.device, url: opts.url || "" })),
+        {
+            maxQuestions: opts.max,
+            maxRuns: DEFAULT_MAX_RUNS,
+            tree: opts.tree,
+            expansions: opts.expansions,
+            templates: opts.templates,
+            maxCredits: opts.maxCredits,
+            maxKeywordCredits: opts.maxKeywordCredits,
+        },
+    );
+    if (opts.json) return printJSON(estimate);
+
+    console.log(`\n💳  Dry run — ${estimate.keywords} keyword(s), nothing fetched`);
+    console.log(`   Expected  : ${estimate.expected} SERP API call(s)`);
+    console.log(`   Worst case: ${estimate.worstCase} SERP API call(s)`);
+    if (opts.maxCredits || opts.maxKeywordCredits) {
+        console.log(`   Budget    : ${opts.maxCredits || "no limit"} per run, ${opts.maxKeywordCredits || "no limit"} per keyword`);
+    }
+    console.log("");
+    for (const k of estimate.perKeyword) {
+        console.log(`   ${k.keyword}: expected ${k.expected}, worst case ${k.worstCase} (${k.basis})`);
+    }
+    console.log("\n   Cached pages are free, so a run often costs less.\n");
+}
+
 // ─── Main ───────────────────────────────────────────────────
 
 async function main() {
-    const { keyword, region, url } = parseArgs(process.argv);
+    if (process.argv[2] === "cache") {
+        return runCacheCommand(process.argv.slice(3));
+    }
+    if (process.argv[2] === "diff") {
+        return runDiffCommand(process.argv.slice(3));
+    }
+    if (process.argv[2] === "domains") {
+        return runDomainsCommand(process.argv.slice(3));
+    }
+    if (process.argv[2] === "tokens") {
+        return runTokensCommand(process.argv.slice(3));
+    }
+
+    const opts = parseArgs(process.argv);
+    const keywords = readKeywords(opts);
+
+    if (keywords.length === 0) usage("At least one keyword is required.");
+    if (opts.dryRun) return printEstimate(keywords, opts);
 
     console.log(`\n🚀  PAA Extractor`);
-    console.log(`   Keyword : ${keyword}`);
-    console.log(`   Region  : ${region}`);
-    console.log(`   URL     : ${url || "(none)"}`);
+    console.log(`   Keywords: ${keywords.length === 1 ? keywords[0] : `${keywords.length} keywords`}`);
+    console.log(`   Region  : ${opts.region} (${opts.language}, ${opts.device})`);
+    console.log(`   Location: ${opts.location || "(none)"}`);
+    console.log(`   URL     : ${opts.url || "(none)"}`);
+    console.log(`   Provider: ${opts.provider || process.env.SERP_PROVIDER || "serpapi"}`);
+    console.log(`   Target  : ${opts.min}–${opts.max} questions, ${opts.concurrency} at a time`);
+    console.log(`   Mode    : ${opts.tree ? `tree (depth ${opts.tree.depth}, ${opts.tree.branching} per question)` : "list"}`);
+    console.log(`   Dedup   : ${opts.similarity > 0 ? `near-duplicates at ${opts.similarity}` : "exact"}`);
+    console.log(`   Fallback: ${opts.tree ? "off (tree mode)" : opts.expansions.join(" → ") || "none"}`);
+    console.log(`   Cache   : ${opts.refresh ? "refresh" : "on"}`);
+    if (opts.maxCredits || opts.maxKeywordCredits) {
+        console.log(`   Budget  : ${opts.maxCredits || "no limit"} credit(s) per run, ${opts.maxKeywordCredits || "no limit"} per keyword`);
+    }
+    console.log(`   Output  : ${opts.out || "stdout"}${opts.sheet ? " + Google Sheet" : ""}`);
+
+    let done = 0;
+    const runId = randomUUID();
 
     try {
-        const results = await getPAA(keyword, region, url);
-        printJSON(results);
-        console.log(`\n📊  Total: ${results.length} PAA question(s)\n`);
+        const outcomes = await processKeywords(keywords, opts.region, opts.url, {
+            provider: opts.provider,
+            refresh: opts.refresh,
+            language: opts.language,
+            location: opts.location,
+            device: opts.device,
+            tree: opts.tree,
+            similarity: opts.similarity,
+            classifier: opts.classifier,
+            expansions: opts.expansions,
+            templates: opts.templates,
+            extended: opts.extended,
+            minQuestions: opts.min,
+            maxQuestions: opts.max,
+            sheet: opts.sheet,
+            sheetOptions: opts.sheetOptions,
+            runId,
+            maxCredits: opts.maxCredits,
+            maxKeywordCredits: opts.maxKeywordCredits,
+        }, {
+            concurrency: opts.concurrency,
+            onResult: (kw, outcome) => {
+                console.log(`✔️   [${++done}/${keywords.length}] "${kw}" — ${outcome.questions.length} question(s), ${outcome.status}`);
+                if (outcome.status !== "complete" || outcome.questions.length === 0) console.log(`     Reason: ${outcome.reason}`);
+                const intents = Object.entries(outcome.intents).map(([intent, n]) => `${intent} ${n}`).join(", ");
+                if (intents) console.log(`     Intents: ${intents}`);
+                if (outcome.ownership) {
+                    const { domain, owned, total, questions } = outcome.ownership;
+                    const snippet = outcome.ownership.featuredSnippet ? ", plus the featured snippet" : "";
+                    console.log(`     Owned  : ${domain} answers ${owned} of ${total}${owned ? ` (${questions.map((q) => `#${q.position}`).join(", ")})` : ""}${snippet}`);
+                }
+                if (Object.keys(outcome.sources).some((source) => source !== "seed")) {
+                    console.log(`     Sources: ${Object.entries(outcome.sources).map(([source, n]) => `${source} ${n}`).join(", ")}`);
+                }
+            },
+        });
+
+        const grouped = Object.fromEntries(
+            Object.entries(outcomes).map(([kw, o]) => [kw, o.questions])
+        );
+        const totalCount = Object.values(grouped).reduce((sum, r) => sum + r.length, 0);
+        const credits = creditSummary(outcomes, opts);
+        // Keywords the budget stopped before any question aren't API failures
+        const failed = keywords.filter((kw) => outcomes[kw].status === "failed" && !outcomes[kw].budgetReached);
+        const sheetErrors = keywords.filter((kw) => outcomes[kw].sheet.error);
+
+        if (opts.out) {
+            await writeResults(opts.out, grouped, opts);
+            console.log(`\n💾  Saved results to ${opts.out}`);
+        } else {
+            const printable = opts.tree
+                ? Object.fromEntries(keywords.map((kw) => [kw, outcomes[kw].tree]))
+                : grouped;
+            printJSON(keywords.length === 1 ? printable[keywords[0]] : printable);
+        }
+
+        console.log(`\n📊  Total: ${totalCount} PAA question(s) across ${keywords.length} keyword(s), ${credits.spent} API call(s)${opts.maxCredits ? ` of ${opts.maxCredits} allowed` : ""}\n`);
+        if (credits.budgetReached.length > 0) {
+            console.log(`💳  Credit budget cut ${credits.budgetReached.length} keyword(s) short: ${credits.budgetReached.join(", ")}\n`);
+        }
+
+        if (sheetErrors.length > 0) {
+            console.error(`⚠️  Sheet write failed for ${sheetErrors.length} keyword(s): ${sheetErrors.join(", ")}`);
+        }
+        if (opts.sheet && sheetErrors.length < keywords.length) {
+            await writeDomainShare(runId, opts.sheetOptions);
+        }
+        console.log(`🌐  Answer domains: node index.js domains ${runId}`);
+
+        const cache = getCacheStats();
+        console.log(`🗄️   Cache: ${cache.hits} hit(s), ${cache.misses} miss(es)\n`);
+
+        if (failed.length > 0) {
+            console.error(`❌  API failure for ${failed.length} keyword(s): ${failed.map((kw) => `${kw} (${outcomes[kw].errorType})`).join(", ")}`);
+            process.exitCode = EXIT_API_FAILURE;
+        } else if (totalCount === 0) {
+            process.exitCode = EXIT_NO_RESULTS;
+        } else {
+            process.exitCode = EXIT_OK;
+        }
     } catch (error) {
         console.error("\n💥  Fatal error:", error.message);
-        process.exit(1);
+        process.exit(EXIT_USAGE);
     }
 }
 
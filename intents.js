@@ -0,0 +1,145 @@
+// ─────────────────────────────────────────────────────────────
+//  intents.js – Offline, rule-based question intent tagging
+//
+//  Each question gets an `intent` (definition, how-to, comparison,
+//  cost, …) from the first rule whose pattern matches, and `tags`:
+//  the words it shares with the seed keyword.
+//
+//  Extra rules can be loaded from JSON files (PAA_INTENT_RULES,
+//  comma-separated, or --intent-rules on the CLI). Custom rules are
+//  checked before the built-in ones:
+//
+//    [
+//      { "intent": "integration", "patterns": ["\\bintegrat", "\\bconnect\\b"] },
+//      { "intent": "cost", "patterns": ["\\bplans?\\b"] }
+//    ]
+// ─────────────────────────────────────────────────────────────
+
+import { existsSync, readFileSync } from "fs";
+import { questionTokens } from "./similarity.js";
+
+export const FALLBACK_INTENT = "other";
+
+// Order matters — the first match wins
+const BUILTIN_RULES = [
+    { intent: "comparison", patterns: ["\\bvs\\.?\\b", "\\bversus\\b", "\\b(better|worse|cheaper) than\\b", "\\bdifference between\\b", "\\bcompared? (to|with)\\b", "^which is better\\b"] },
+    { intent: "cost", patterns: ["\\bhow much\\b", "\\b(cost|costs|price|prices|pricing|fee|fees|cheap|cheapest|expensive|afford)\\b", "\\bfree\\b", "\\bworth it\\b"] },
+    { intent: "definition", patterns: ["^what('s| is| are) (a |an |the )?[^ ]+( [^ ]+)?\\??$", "^what does .+ (mean|stand for)\\b", "^(define|meaning of)\\b", "\\bmeaning\\b"] },
+    { intent: "how-to", patterns: ["^how (do|does|can|to|should|would) (i|you|we)\\b", "^how to\\b", "^(steps|ways) to\\b"] },
+    { intent: "reason", patterns: ["^why\\b"] },
+    { intent: "time", patterns: ["^when\\b", "^how (long|often|soon)\\b"] },
+    { intent: "location", patterns: ["^where\\b", "\\bnear me\\b"] },
+    { intent: "list", patterns: ["\\b(types|kinds|examples|categories|list) of\\b", "^what are (some|the)\\b"] },
+    { intent: "recommendation", patterns: ["\\b(best|top|recommended|most popular|easiest|simplest|fastest|safest|cheapest)\\b", "^which\\b"] },
+    { intent: "explanation", patterns: ["^how (does|do|is|are)\\b", "^what (is|are)\\b"] },
+    { intent: "yes/no", patterns: ["^(is|are|can|could|does|do|did|should|will|would|has|have|was|were)\\b"] },
+];
+
+// Question words and filler that never count as shared topic words
+const NON_TAG_WORDS = new Set([
+    "what", "which", "who", "whom", "whose", "why", "when", "where", "how",
+    "can", "could", "should", "would", "will", "not", "vs", "than",
+]);
+
+// ─── Helpers ────────────────────────────────────────────────
+
+function compile(rules, source) {
+    if (!Array.isArray(rules)) {
+        throw new Error(`Intent rules in ${source} must be a JSON array of { intent, patterns }.`);
+    }
+
+    return rules.map((rule, i) => {
+        if (!rule || typeof rule.intent !== "string" || !rule.intent.trim() || !Array.isArray(rule.patterns)) {
+            throw new Error(`Intent rule #${i + 1} in ${source} needs an "intent" name and a "patterns" array.`);
+        }
+
+        const patterns = rule.patterns.map((p) => {
+            try {
+                return new RegExp(p, rule.flags ?? "i");
+            } catch (e) {
+                throw new Error(`Bad pattern for intent "${rule.intent}" in ${source}: ${e.message}`);
+            }
+        });
+
+        return { intent: rule.intent.trim(), patterns };
+    });
+}
+
+function loadRuleFile(file) {
+    if (!existsSync(file)) {
+        throw new Error(`Intent rule file not found: ${file}`);
+    }
+
+    let rules;
+    try {
+        rules = JSON.parse(readFileSync(file, "utf8"));
+    } catch (e) {
+        throw new Error(`Could not parse intent rule file ${file}: ${e.message}`);
+    }
+    return compile(rules, file);
+}
+
+// ─── Classifier ─────────────────────────────────────────────
+
+export class IntentClassifier {
+    /** @param {string[]} [ruleFiles] - JSON rule files, checked before the built-ins */
+    constructor(ruleFiles = []) {
+        this.rules = [
+            ...ruleFiles.flatMap(loadRuleFile),
+            ...compile(BUILTIN_RULES, "built-in rules"),
+        ];
+    }
+
+    /** Every intent this classifier can assign. */
+    get intents() {
+        return [...new Set([...this.rules.map((r) => r.intent), FALLBACK_INTENT])];
+    }
+
+    /**
+     * Tag one question.
+     *
+     * @param {string} question
+     * @param {string} [seed] - the keyword the question was found for
+     * @returns {{ intent: string, tags: string[] }}
+     */
+    classify(question, seed = "") {
+        const text = question.trim().toLowerCase().replace(/[’‘]/g, "'");
+        const match = this.rules.find((rule) => rule.patterns.some((p) => p.test(text)));
+
+        return {
+            intent: match ? match.intent : FALLBACK_INTENT,
+            tags: sharedTerms(question, seed),
+        };
+    }
+}
+
+/**
+ * Words of `question` that also appear in `seed` (compared after stemming,
+ * so "businesses" matches "business"). Returned as written in the question.
+ */
+export function sharedTerms(question, seed) {
+    const seedTokens = questionTokens(seed);
+    const tags = [];
+
+    for (const word of question.toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+        if (!word || NON_TAG_WORDS.has(word)) continue;
+        const [token] = questionTokens(word);
+        if (token && seedTokens.has(token) && !tags.includes(word)) tags.push(word);
+    }
+    return tags;
+}
+
+/** Rule files listed in PAA_INTENT_RULES (comma-separated paths). */
+export function envRuleFiles() {
+    return (process.env.PAA_INTENT_RULES || "").split(",").map((f) => f.trim()).filter(Boolean);
+}
+
+let defaultClassifier;
+
+/** Shared classifier with the built-in rules plus the PAA_INTENT_RULES files. */
+export function getClassifier() {
+    if (!defaultClassifier) {
+        defaultClassifier = new IntentClassifier(envRuleFiles());
+    }
+    return defaultClassifier;
+}
@@ -0,0 +1,241 @@
+// ─────────────────────────────────────────────────────────────
+//  jobs.js – Background job queue for multi-keyword extractions
+//
+//  A job holds a list of keywords and works through them
+//  PAA_CONCURRENCY at a time (see pool.js). Progress is saved to
+//  disk so a restarted server can pick up where it left off:
+//  straight away when a job is created or finishes, otherwise at
+//  most a second after a change, so a busy job doesn't rewrite
+//  jobs.json on every step. Listeners (SSE streams) are notified
+//  as each keyword finishes.
+//
+//  Jobs need a long-running process: on Vercel the server refuses
+//  them, and POST /api/paa runs synchronously in api/paa.js.
+//
+//  A job keeps the request ID it was created under, so its logs
+//  carry it (and its jobId) even after a restart (see logger.js).
+// ─────────────────────────────────────────────────────────────
+
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import { readJSON, writeJSON } from "./storage.js";
+import { keywordConcurrency, runPool } from "./pool.js";
+import { creditSummary } from "./budget.js";
+import { currentRequestId, log, withLogContext } from "./logger.js";
+
+const JOBS_FILE = "jobs.json";
+const MAX_STORED_JOBS = 200;   // oldest finished jobs are dropped beyond this
+const SAVE_DELAY_MS = 1000;    // progress changes are batched this long
+
+const events = new EventEmitter();
+events.setMaxListeners(0);     // one listener per open SSE stream
+
+const running = new Set();     // ids of jobs currently being worked on
+let jobs;                      // Map<id, job>, loaded lazily from disk
+let saveTimer = null;          // pending batched save, see touch()
+
+// ─── Persistence ────────────────────────────────────────────
+
+function loadJobs() {
+    if (!jobs) {
+        jobs = new Map(readJSON(JOBS_FILE, []).map((job) => [job.id, job]));
+    }
+    return jobs;
+}
+
+function saveJobs() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const all = [...loadJobs().values()];
+
+    // Prune the oldest finished jobs so the file doesn't grow forever
+    while (all.length > MAX_STORED_JOBS) {
+        const idx = all.findIndex((j) => isFinished(j));
+        if (idx === -1) break;
+        jobs.delete(all[idx].id);
+        all.splice(idx, 1);
+    }
+
+    try {
+        writeJSON(JOBS_FILE, all);
+    } catch (e) {
+        log.error(`⚠️  Could not save jobs`, { error: e.message });
+    }
+}
+
+function isFinished(job) {
+    return job.status === "done" || job.status === "failed";
+}
+
+/** Mark a job changed; it is saved with any other changes within SAVE_DELAY_MS. */
+function touch(job) {
+    job.updatedAt = new Date().toISOString();
+    if (!saveTimer) {
+        saveTimer = setTimeout(saveJobs, SAVE_DELAY_MS);
+        saveTimer.unref();
+    }
+}
+
+// Don't lose the last batch when the process exits normally
+process.on("exit", () => {
+    if (saveTimer) saveJobs();
+});
+
+function emit(job, event, data) {
+    events.emit(job.id, event, data);
+}
+
+// ─── Public API ─────────────────────────────────────────────
+
+/**
+ * Create and persist a new job under the current request ID (see
+ * logger.js). Call `runJob` to start it.
+ *
+ * @param {string[]} keywords
+ * @param {object}   params   - options handed to the worker for every keyword
+ */
+export function createJob(keywords, params = {}) {
+    const now = new Date().toISOString();
+    const job = {
+        id: randomUUID(),
+        requestId: currentRequestId(),
+        status: "queued",
+        keywords,
+        params,
+        progress: Object.fromEntries(
+            keywords.map((kw) => [kw, { status: "pending", count: 0 }])
+        ),
+        grouped: {},
+        outcomes: {},
+        totalCount: 0,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+    };
+
+    loadJobs().set(job.id, job);
+    saveJobs();
+    return job;
+}
+
+export function getJob(id) {
+    return loadJobs().get(id) || null;
+}
+
+/**
+ * Listen for events on a job: "progress", "keyword" and "done".
+ * Returns an unsubscribe function.
+ */
+export function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+}
+
+/**
+ * Summary of where a job stands — used for "progress" and "done" events.
+ */
+export function jobStatus(job) {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+    for (const p of Object.values(job.progress)) counts[p.status]++;
+
+    const outcomes = Object.values(job.outcomes || {});
+
+    return {
+        id: job.id,
+        status: job.status,
+        total: job.keywords.length,
+        completed: counts.done + counts.failed,
+        failed: counts.failed,
+        totalCount: job.totalCount,
+        sheetUpdated: outcomes.length > 0 && outcomes.every((o) => o.sheet?.written),
+        credits: creditSummary(job.outcomes, job.params),
+        progress: job.progress,
+        error: job.error,
+    };
+}
+
+/**
+ * Work through every unfinished keyword of a job, `concurrency` at a time.
+ * Everything the worker logs carries the job's ID and request ID.
+ *
+ * @param {object}   job
+ * @param {Function} worker - async (keyword, params, jobId) => { questions, ...outcome }
+ * @param {number}   [concurrency] - keywords in flight (default PAA_CONCURRENCY)
+ */
+export function runJob(job, worker, concurrency = keywordConcurrency()) {
+    return withLogContext({ ...(job.requestId && { requestId: job.requestId }), jobId: job.id }, () => work(job, worker, concurrency));
+}
+
+async function work(job, worker, concurrency) {
+    if (running.has(job.id) || isFinished(job)) return;
+    running.add(job.id);
+
+    job.status = "running";
+    job.outcomes ||= {};       // jobs saved before outcomes were tracked
+    touch(job);
+    emit(job, "progress", jobStatus(job));
+
+    const pending = job.keywords.filter((kw) => {
+        const { status } = job.progress[kw];
+        return status !== "done" && status !== "failed";
+    });
+
+    try {
+        await runPool(pending, concurrency, async (kw) => {
+            job.progress[kw].status = "running";
+            touch(job);
+            emit(job, "progress", jobStatus(job));
+
+            try {
+                const { questions, ...outcome } = await worker(kw, job.params, job.id);
+                job.grouped[kw] = questions;
+                job.outcomes[kw] = outcome;
+                job.totalCount += questions.length;
+                job.progress[kw] = { status: "done", count: questions.length, result: outcome.status };
+                emit(job, "keyword", { keyword: kw, results: questions, outcome });
+            } catch (e) {
+                log.error(`⚠️  Job ${job.id}: keyword "${kw}" failed`, { keyword: kw, error: e.message });
+                job.grouped[kw] = [];
+                job.progress[kw] = { status: "failed", count: 0, error: e.message };
+                emit(job, "keyword", { keyword: kw, results: [], error: e.message });
+            }
+
+            touch(job);
+            emit(job, "progress", jobStatus(job));
+        });
+
+        job.status = "done";
+    } catch (e) {
+        job.status = "failed";
+        job.error = e.message;
+    } finally {
+        job.finishedAt = new Date().toISOString();
+        touch(job);
+        saveJobs();
+        running.delete(job.id);
+        emit(job, "done", jobStatus(job));
+    }
+}
+
+/**
+ * Restart every job that was still queued or running when the
+ * process last stopped. Keywords that already finished are skipped.
+ * `onDone(job)` runs after each resumed job finishes.
+ */
+export function resumeJobs(worker, onDone) {
+    const pending = [...loadJobs().values()].filter((j) => !isFinished(j));
+
+    for (const job of pending) {
+        // A keyword marked "running" was interrupted mid-way — redo it
+        for (const p of Object.values(job.progress)) {
+            if (p.status === "running") p.status = "pending";
+        }
+        log.info(`♻️  Resuming job ${job.id} (${jobStatus(job).completed}/${job.keywords.length} keywords done)`, { jobId: job.id, completed: jobStatus(job).completed, keywords: job.keywords.length });
+        runJob(job, worker)
+            .then(() => onDone?.(job))
+            .catch((e) => log.error(`❌  Wrap-up of job ${job.id} failed`, { jobId: job.id, error: e.message }));
+    }
+
+    return pending.length;
+}
@@ -0,0 +1,278 @@
+// ─────────────────────────────────────────────────────────────
+//  keys.js – API key rotation shared by the SERP providers
+//
+//  Each provider reads a comma-separated list of keys from its own
+//  env var (SERPAPI_KEY, VALUESERP_KEY, …) and auto-rotates to the
+//  next key when one hits its rate limit.
+//
+//  Exhausted keys are re-enabled automatically once their window
+//  resets (KEY_COOLDOWN_MINUTES after a 429, next UTC midnight
+//  after a quota error). Usage counters and exhaustion state are
+//  saved to data/keys.json so they survive restarts / cold starts.
+//
+//  Calls are paced per key by a token bucket (see ratelimit.js):
+//  `acquire()` waits for a token before handing out a key.
+//
+//  Calls per key and rotations are counted in metrics.js.
+// ─────────────────────────────────────────────────────────────
+
+import { createHash } from "crypto";
+import { readJSON, writeJSON } from "./storage.js";
+import { getBucket, MAX_RETRY_AFTER_SECONDS, parseRetryAfter, sleep } from "./ratelimit.js";
+import { log } from "./logger.js";
+import { keyRotations, serpCalls } from "./metrics.js";
+
+const KEYS_FILE = "keys.json";
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const MAX_RETRY_AFTER_ATTEMPTS = 3;   // Retry-After waits per request before rotating
+
+// ─── Helpers ────────────────────────────────────────────────
+
+/** Stable id for a key, so raw keys are never written to disk. */
+function fingerprint(key) {
+  return createHash("sha1").update(key).digest("hex").slice(0, 12);
+}
+
+function maskKey(key) {
+  return key.length <= 8 ? "****" : `${key.slice(0, 4)}…${key.slice(-4)}`;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight() {
+  const d = new Date();
+  d.setUTCHours(24, 0, 0, 0);
+  return d.toISOString();
+}
+
+function cooldownUntil() {
+  const minutes = Number(process.env.KEY_COOLDOWN_MINUTES) || DEFAULT_COOLDOWN_MINUTES;
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+}
+
+// ─── API Key Manager ────────────────────────────────────────
+
+export class KeyManager {
+  constructor(envVar = "SERPAPI_KEY") {
+    const raw = process.env[envVar] || "";
+    this.envVar = envVar;
+    this.keys = raw.split(",").map((k) => k.trim()).filter(Boolean);
+    this.index = 0;
+
+    // Per-key state: { calls, callsToday, day, exhaustedUntil, reason, remaining, checkedAt }
+    const saved = readJSON(KEYS_FILE, {})[envVar] || {};
+    this.state = this.keys.map((k) => ({
+      calls: 0,
+      callsToday: 0,
+      day: today(),
+      exhaustedUntil: null,
+      reason: null,
+      remaining: null,
+      checkedAt: null,
+      ...saved[fingerprint(k)],
+    }));
+
+    // Don't start on a key that is still exhausted from a previous run
+    const firstAvailable = this.keys.findIndex((_, i) => this.isAvailable(i));
+    if (firstAvailable !== -1) this.index = firstAvailable;
+  }
+
+  get current() {
+    if (this.keys.length === 0) {
+      throw new Error(`❌  ${this.envVar} is not set. Add it to your .env file.`);
+    }
+
+    if (!this.isAvailable(this.index)) {
+      const next = this.keys.findIndex((_, i) => this.isAvailable(i));
+      if (next === -1) {
+        const resetAt = this.state.map((s) => s.exhaustedUntil).sort()[0];
+        throw new Error(`❌  All ${this.envVar} keys are exhausted until ${resetAt}.`);
+      }
+      this.index = next;
+    }
+
+    return this.keys[this.index];
+  }
+
+  /** True if the key isn't exhausted, or its exhaustion window has passed. */
+  isAvailable(i) {
+    const s = this.state[i];
+    if (!s.exhaustedUntil) return true;
+
+    if (new Date(s.exhaustedUntil) <= new Date()) {
+      log.info(`♻️  ${this.envVar} key #${i + 1} re-enabled (window reset).`, { keyEnv: this.envVar, key: i + 1 });
+      s.exhaustedUntil = null;
+      s.reason = null;
+      this.save();
+      return true;
+    }
+    return false;
+  }
+
+  /** The token bucket pacing calls made with `key`. */
+  bucket(key) {
+    return getBucket(`${this.envVar}:${fingerprint(key)}`);
+  }
+
+  /**
+   * Wait for a rate-limit token on the current key, count the call
+   * and return the key. The current key can change while waiting
+   * (another request rotated it), so the token is taken on whichever
+   * key is current once one is free.
+   */
+  async acquire() {
+    for (;;) {
+      const key = this.current;
+      const wait = this.bucket(key).tryTake();
+      if (wait === 0) {
+        this.recordCall(key);
+        return key;
+      }
+      await sleep(wait);
+    }
+  }
+
+  /** Count one API call against `key` (default: the current key). */
+  recordCall(key) {
+    const i = key ? this.keys.indexOf(key) : this.index;
+    const s = this.state[i];
+    if (s.day !== today()) {
+      s.day = today();
+      s.callsToday = 0;
+    }
+    s.calls++;
+    s.callsToday++;
+    serpCalls.inc({ key_env: this.envVar, key: maskKey(this.keys[i]) });
+    if (typeof s.remaining === "number" && s.remaining > 0) s.remaining--;
+    this.save();
+  }
+
+  /**
+   * Mark the current key exhausted and rotate to the next available key.
+   * Returns false if all keys are exhausted.
+   *
+   * @param {"rate_limit"|"quota"} [reason] - rate limits cool down for
+   *        KEY_COOLDOWN_MINUTES; quota errors last until next UTC midnight
+   * @param {string} [key] - the key that hit the limit (default: the current
+   *        key). With requests in flight in parallel, another request may
+   *        already have rotated past it.
+   */
+  rotate(reason = "rate_limit", key) {
+    const i = key ? this.keys.indexOf(key) : this.index;
+    const s = this.state[i];
+    s.exhaustedUntil = reason === "quota" ? nextUtcMidnight() : cooldownUntil();
+    s.reason = reason;
+    this.save();
+    keyRotations.inc({ key_env: this.envVar, reason });
+
+    if (i !== this.index && this.isAvailable(this.index)) return true;
+
+    // Find next non-exhausted key
+    for (let i = 0; i < this.keys.length; i++) {
+      const next = (this.index + 1 + i) % this.keys.length;
+      if (this.isAvailable(next)) {
+        this.index = next;
+        log.info(`🔄  Rotated to ${this.envVar} key #${next + 1} of ${this.keys.length}`, { keyEnv: this.envVar, key: next + 1, reason });
+        return true;
+      }
+    }
+
+    log.error(`❌  All ${this.envVar} keys have been exhausted.`, { keyEnv: this.envVar, reason });
+    return false;
+  }
+
+  /**
+   * Handle a 429 for `key`. A short Retry-After pauses the key's bucket —
+   * every caller using it waits — and the request should be retried on
+   * the same key. Without one (or after MAX_RETRY_AFTER_ATTEMPTS waits)
+   * the key cools down and rotates as usual.
+   *
+   * @param {string} key
+   * @param {string} [retryAfter] - the Retry-After response header
+   * @param {number} [attempt]    - Retry-After waits already made for this request
+   * @returns {boolean} true if the request can be retried
+   */
+  rateLimited(key, retryAfter, attempt = 0) {
+    const seconds = parseRetryAfter(retryAfter);
+    if (seconds !== null && seconds <= MAX_RETRY_AFTER_SECONDS && attempt < MAX_RETRY_AFTER_ATTEMPTS) {
+      log.warn(`⏳  ${this.envVar} key #${this.keys.indexOf(key) + 1} rate limited — retrying in ${seconds}s (Retry-After).`, { keyEnv: this.envVar, key: this.keys.indexOf(key) + 1, retryAfter: seconds });
+      this.bucket(key).pause(seconds * 1000);
+      return true;
+    }
+
+    log.warn(`⚠️  ${this.envVar} key #${this.keys.indexOf(key) + 1} rate limited (429).`, { keyEnv: this.envVar, key: this.keys.indexOf(key) + 1 });
+    return this.rotate("rate_limit", key);
+  }
+
+  /**
+   * Look up remaining credits for every key and update exhaustion state.
+   *
+   * @param {Function} lookup - async (key) => { remaining, used?, limit? }
+   */
+  async refreshCredits(lookup) {
+    await Promise.all(this.keys.map(async (key, i) => {
+      const s = this.state[i];
+      try {
+        const { remaining, used, limit } = await lookup(key);
+        Object.assign(s, { remaining, used, limit, checkedAt: new Date().toISOString() });
+
+        if (remaining > 0 && s.reason === "quota") {
+          s.exhaustedUntil = null;
+          s.reason = null;
+        } else if (remaining === 0 && !s.exhaustedUntil) {
+          s.exhaustedUntil = nextUtcMidnight();
+          s.reason = "quota";
+        }
+      } catch (e) {
+        log.warn(`⚠️  Credit lookup failed for ${this.envVar} key #${i + 1}`, { keyEnv: this.envVar, key: i + 1, error: e.message });
+      }
+    }));
+    this.save();
+  }
+
+  /** Per-key usage and health, with the keys masked. */
+  status() {
+    return this.keys.map((key, i) => {
+      const available = this.isAvailable(i);
+      const s = this.state[i];
+      return {
+        key: maskKey(key),
+        index: i + 1,
+        active: i === this.index,
+        exhausted: !available,
+        exhaustedUntil: s.exhaustedUntil,
+        reason: s.reason,
+        calls: s.calls,
+        callsToday: s.day === today() ? s.callsToday : 0,
+        remaining: s.remaining,
+        checkedAt: s.checkedAt,
+      };
+    });
+  }
+
+  save() {
+    try {
+      const all = readJSON(KEYS_FILE, {});
+      all[this.envVar] = Object.fromEntries(
+        this.keys.map((k, i) => [fingerprint(k), this.state[i]])
+      );
+      writeJSON(KEYS_FILE, all);
+    } catch (e) {
+      log.warn(`⚠️  Could not save key state`, { error: e.message });
+    }
+  }
+
+  get totalKeys() {
+    return this.keys.length;
+  }
+}
+
+// One manager per env var — created on first use
+const managers = new Map();
+
+export function getKeyManager(envVar = "SERPAPI_KEY") {
+  if (!managers.has(envVar)) managers.set(envVar, new KeyManager(envVar));
+  return managers.get(envVar);
+}
@@ -0,0 +1,97 @@
+// ─────────────────────────────────────────────────────────────
+//  locales.js – Google country (gl), language (hl) and device
+//               options accepted by the extractor
+//
+//  Code lists follow Google's own gl/hl values (as documented by
+//  SerpAPI). Display names come from Intl.DisplayNames.
+// ─────────────────────────────────────────────────────────────
+
+const COUNTRY_CODES = [
+    "af", "al", "dz", "as", "ad", "ao", "ai", "aq", "ag", "ar", "am", "aw", "au", "at", "az",
+    "bs", "bh", "bd", "bb", "by", "be", "bz", "bj", "bm", "bt", "bo", "ba", "bw", "bv", "br",
+    "io", "bn", "bg", "bf", "bi", "kh", "cm", "ca", "cv", "ky", "cf", "td", "cl", "cn", "cx",
+    "cc", "co", "km", "cg", "cd", "ck", "cr", "ci", "hr", "cu", "cy", "cz", "dk", "dj", "dm",
+    "do", "ec", "eg", "sv", "gq", "er", "ee", "et", "fk", "fo", "fj", "fi", "fr", "gf", "pf",
+    "tf", "ga", "gm", "ge", "de", "gh", "gi", "gr", "gl", "gd", "gp", "gu", "gt", "gg", "gn",
+    "gw", "gy", "ht", "hm", "va", "hn", "hk", "hu", "is", "in", "id", "ir", "iq", "ie", "im",
+    "il", "it", "jm", "jp", "je", "jo", "kz", "ke", "ki", "kp", "kr", "kw", "kg", "la", "lv",
+    "lb", "ls", "lr", "ly", "li", "lt", "lu", "mo", "mk", "mg", "mw", "my", "mv", "ml", "mt",
+    "mh", "mq", "mr", "mu", "yt", "mx", "fm", "md", "mc", "mn", "me", "ms", "ma", "mz", "mm",
+    "na", "nr", "np", "nl", "an", "nc", "nz", "ni", "ne", "ng", "nu", "nf", "mp", "no", "om",
+    "pk", "pw", "ps", "pa", "pg", "py", "pe", "ph", "pn", "pl", "pt", "pr", "qa", "re", "ro",
+    "ru", "rw", "sh", "kn", "lc", "pm", "vc", "ws", "sm", "st", "sa", "sn", "rs", "sc", "sl",
+    "sg", "sk", "si", "sb", "so", "za", "gs", "es", "lk", "sd", "sr", "sj", "sz", "se", "ch",
+    "sy", "tw", "tj", "tz", "th", "tl", "tg", "tk", "to", "tt", "tn", "tr", "tm", "tc", "tv",
+    "ug", "ua", "ae", "uk", "gb", "us", "um", "uy", "uz", "vu", "ve", "vn", "vg", "vi", "wf",
+    "eh", "ye", "zm", "zw",
+];
+
+const LANGUAGE_CODES = [
+    "af", "ak", "sq", "am", "ar", "hy", "az", "eu", "be", "bem", "bn", "bh", "bs", "br", "bg",
+    "km", "ca", "chr", "ny", "zh-cn", "zh-tw", "co", "hr", "cs", "da", "nl", "en", "eo", "et",
+    "ee", "fo", "tl", "fi", "fr", "fy", "gaa", "gl", "ka", "de", "el", "kl", "gn", "gu", "ht",
+    "ha", "haw", "iw", "hi", "hu", "is", "ig", "id", "ia", "ga", "it", "ja", "jw", "kn", "kk",
+    "rw", "rn", "kg", "ko", "kri", "ku", "ckb", "ky", "lo", "la", "lv", "ln", "lt", "loz", "lg",
+    "ach", "mk", "mg", "ms", "ml", "mt", "mi", "mr", "mfe", "mo", "mn", "sr-me", "my", "ne",
+    "pcm", "nso", "no", "nn", "oc", "or", "om", "ps", "fa", "pl", "pt", "pt-br", "pt-pt", "pa",
+    "qu", "ro", "rm", "nyn", "ru", "gd", "sr", "sh", "st", "tn", "crs", "sn", "sd", "si", "sk",
+    "sl", "so", "es", "es-419", "su", "sw", "sv", "tg", "ta", "tt", "te", "th", "ti", "to",
+    "lua", "tum", "tr", "tk", "tw", "ug", "uk", "ur", "uz", "vi", "cy", "wo", "xh", "yi", "yo",
+    "zu",
+];
+
+export const devices = ["desktop", "mobile", "tablet"];
+
+const MAX_LOCATION_LENGTH = 200;
+
+// Codes Intl.DisplayNames doesn't name the way Google does
+const NAME_OVERRIDES = { an: "Netherlands Antilles", iw: "Hebrew", jw: "Javanese" };
+
+function displayName(type, code) {
+    if (NAME_OVERRIDES[code]) return NAME_OVERRIDES[code];
+    try {
+        return new Intl.DisplayNames(["en"], { type }).of(type === "region" ? code.toUpperCase() : code) || code;
+    } catch {
+        return code;
+    }
+}
+
+export const regions = COUNTRY_CODES
+    .map((code) => ({ code, name: displayName("region", code) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+export const languages = LANGUAGE_CODES
+    .map((code) => ({ code, name: displayName("language", code) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+const regionCodes = new Set(COUNTRY_CODES);
+const languageCodes = new Set(LANGUAGE_CODES);
+
+/**
+ * Validate and normalize region / language / location / device.
+ * Missing values fall back to us / en / no location / desktop.
+ * Throws on unknown codes.
+ *
+ * @returns {{ region: string, language: string, location: string, device: string }}
+ */
+export function resolveLocale({ region, language, location, device } = {}) {
+    const gl = (region || "us").toLowerCase();
+    const hl = (language || "en").toLowerCase();
+    const dev = (device || "desktop").toLowerCase();
+    const loc = (location || "").trim();
+
+    if (!regionCodes.has(gl)) {
+        throw new Error(`Unknown region "${region}". Use a Google country code such as us, gb, de, br or jp.`);
+    }
+    if (!languageCodes.has(hl)) {
+        throw new Error(`Unknown language "${language}". Use a Google language code such as en, de, pt-br or ja.`);
+    }
+    if (!devices.includes(dev)) {
+        throw new Error(`Unknown device "${device}". Use one of: ${devices.join(", ")}.`);
+    }
+    if (loc.length > MAX_LOCATION_LENGTH) {
+        throw new Error(`location must be at most ${MAX_LOCATION_LENGTH} characters.`);
+    }
+
+    return { region: gl, language: hl, location: loc, device: dev };
+}
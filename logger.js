@@ -0,0 +1,92 @@
+// ─────────────────────────────────────────────────────────────
+//  logger.js – Leveled logging with per-request context
+//
+//  Two formats, picked by PAA_LOG_FORMAT:
+//    text – the familiar emoji lines, for people at a terminal
+//           (default when stdout is a TTY)
+//    json – one JSON object per line for log pipelines: time,
+//           level, msg (without the emoji) and structured fields
+//
+//  PAA_LOG_LEVEL (debug | info | warn | error | silent, default
+//  info) drops anything less severe.
+//
+//  withLogContext() adds fields — requestId, jobId, keyword, … —
+//  to every line logged inside it, including from code it awaits,
+//  via AsyncLocalStorage. The server opens a context per HTTP
+//  request, so a job's SERP calls and sheet writes all carry the
+//  requestId of the POST that started it.
+// ─────────────────────────────────────────────────────────────
+
+import { AsyncLocalStorage } from "async_hooks";
+
+export const logLevels = ["debug", "info", "warn", "error", "silent"];
+
+const LEVEL_RANK = Object.fromEntries(logLevels.map((level, i) => [level, i]));
+const CONSOLE_METHOD = { debug: "log", info: "log", warn: "warn", error: "error" };
+
+const storage = new AsyncLocalStorage();
+
+// ─── Settings ───────────────────────────────────────────────
+
+function logLevel() {
+    const level = String(process.env.PAA_LOG_LEVEL || "info").trim().toLowerCase();
+    return LEVEL_RANK[level] === undefined ? "info" : level;
+}
+
+function logFormat() {
+    const format = String(process.env.PAA_LOG_FORMAT || "").trim().toLowerCase();
+    if (format === "json" || format === "text") return format;
+    return process.stdout.isTTY ? "text" : "json";
+}
+
+// ─── Context ────────────────────────────────────────────────
+
+/**
+ * Run `fn` with `fields` added to every log line inside it (and in
+ * whatever it awaits). Nested contexts add to their parent's fields.
+ * Returns whatever `fn` returns.
+ */
+export function withLogContext(fields, fn) {
+    return storage.run({ ...storage.getStore(), ...fields }, fn);
+}
+
+/** Fields of the current log context ({} outside one). */
+export function logContext() {
+    return storage.getStore() || {};
+}
+
+/** Correlation ID of the request being handled, or null. */
+export function currentRequestId() {
+    return logContext().requestId ?? null;
+}
+
+// ─── Output ─────────────────────────────────────────────────
+
+/** A message without its leading emoji, arrows, dividers and blank lines. */
+function plainMessage(message) {
+    return String(message).replace(/^[^\p{L}\p{N}"'(]+/u, "").trim();
+}
+
+function write(level, message, fields = {}) {
+    if (LEVEL_RANK[level] < LEVEL_RANK[logLevel()]) return;
+
+    if (logFormat() === "text") {
+        console[CONSOLE_METHOD[level]](fields.error ? `${message}: ${fields.error}` : message);
+        return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg: plainMessage(message), ...logContext(), ...fields };
+    console[CONSOLE_METHOD[level]](JSON.stringify(entry));
+}
+
+/**
+ * log.info(message, fields) etc. Messages read as they always have;
+ * `fields` are the machine-readable details. An `error` field is
+ * appended to the message in text mode ("message: error").
+ */
+export const log = {
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields),
+};
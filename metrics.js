@@ -0,0 +1,138 @@
+// ─────────────────────────────────────────────────────────────
+//  metrics.js – Prometheus counters and histograms
+//
+//  Metrics live in memory for the life of the process and are
+//  served by GET /metrics in the Prometheus text format. Each
+//  serverless instance (Vercel) keeps its own, so scrape the
+//  long-running server for meaningful numbers.
+//
+//    paa_serp_calls_total               SERP calls per API key
+//    paa_serp_request_duration_seconds  SERP page fetch latency, retries included
+//    paa_key_rotations_total            keys rotated out, by reason
+//    paa_keyword_questions              questions found per keyword
+//    paa_keywords_total                 keywords processed, by status
+//    paa_sheet_write_failures_total     failed Google Sheet writes, by kind
+//    paa_http_request_duration_seconds  API response times, by route
+// ─────────────────────────────────────────────────────────────
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const QUESTION_BUCKETS = [0, 1, 3, 5, 9, 12, 20, 30, 50];
+
+const registry = [];
+
+// ─── Helpers ────────────────────────────────────────────────
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+/** `{a="1",b="2"}` for a label set, or "" without labels. */
+function labelText(labels) {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+}
+
+// ─── Metric types ───────────────────────────────────────────
+
+export class Counter {
+    constructor(name, help, labelNames = []) {
+        Object.assign(this, { name, help, labelNames, type: "counter" });
+        this.series = new Map();    // label values → { labels, value }
+        registry.push(this);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = seriesKey(this.labelNames, labels);
+        if (!this.series.has(key)) this.series.set(key, { labels: pickLabels(this.labelNames, labels), value: 0 });
+        this.series.get(key).value += amount;
+    }
+
+    /** Current value for a label set (0 if never incremented). */
+    get(labels = {}) {
+        return this.series.get(seriesKey(this.labelNames, labels))?.value ?? 0;
+    }
+
+    render() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${labelText(labels)} ${value}`);
+    }
+}
+
+export class Histogram {
+    constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+        Object.assign(this, { name, help, labelNames, buckets, type: "histogram" });
+        this.series = new Map();    // label values → { labels, counts, sum, count }
+        registry.push(this);
+    }
+
+    observe(labels = {}, value) {
+        const key = seriesKey(this.labelNames, labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: pickLabels(this.labelNames, labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const s = this.series.get(key);
+        this.buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+    }
+
+    /** Call `fn` and observe how long it took, in seconds. Labels may depend on its result. */
+    async time(labels, fn) {
+        const started = process.hrtime.bigint();
+        let outcome = "ok";
+        try {
+            return await fn();
+        } catch (e) {
+            outcome = e.type || "error";
+            throw e;
+        } finally {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.observe(typeof labels === "function" ? labels(outcome) : labels, seconds);
+        }
+    }
+
+    render() {
+        return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...this.buckets.map((le, i) => `${this.name}_bucket${labelText({ ...labels, le })} ${counts[i]}`),
+            `${this.name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`,
+            `${this.name}_sum${labelText(labels)} ${sum}`,
+            `${this.name}_count${labelText(labels)} ${count}`,
+        ]);
+    }
+}
+
+// ─── Metrics ────────────────────────────────────────────────
+
+export const serpCalls = new Counter("paa_serp_calls_total", "SERP API calls, per API key (masked).", ["key_env", "key"]);
+
+export const serpDuration = new Histogram("paa_serp_request_duration_seconds", "SERP page fetch latency in seconds, retries included.", ["provider", "outcome"]);
+
+export const keyRotations = new Counter("paa_key_rotations_total", "API keys rotated out after a rate limit or quota error.", ["key_env", "reason"]);
+
+export const keywordQuestions = new Histogram("paa_keyword_questions", "Questions found per keyword.", ["mode"], QUESTION_BUCKETS);
+
+export const keywordsProcessed = new Counter("paa_keywords_total", "Keywords processed, by outcome status.", ["status"]);
+
+export const sheetWriteFailures = new Counter("paa_sheet_write_failures_total", "Google Sheet writes that failed.", ["kind"]);
+
+export const httpDuration = new Histogram("paa_http_request_duration_seconds", "API response time in seconds.", ["method", "route", "status"]);
+
+// ─── Exposition ─────────────────────────────────────────────
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/** Every metric in the Prometheus text exposition format. */
+export function renderMetrics() {
+    return registry.flatMap((metric) => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.render(),
+    ]).join("\n") + "\n";
+}
@@ -1,71 +1,32 @@
 // ─────────────────────────────────────────────────────────────
 //  paa.js – Core module for extracting People Also Ask (PAA)
-//           questions from Google via SerpAPI.
+//           questions from Google.
 //
-//  Supports multiple API keys (comma-separated in SERPAPI_KEY).
-//  Auto-rotates to the next key when one hits its rate limit.
+//  SERP data comes from a pluggable provider (see providers/):
+//  SerpAPI by default, or ValueSERP, DataForSEO or recorded
+//  fixtures via SERP_PROVIDER / the `provider` option.
 // ─────────────────────────────────────────────────────────────
 
-import axios from "axios";
+import { getProvider, recordFixture } from "./providers/index.js";
+import { readCache, writeCache } from "./cache.js";
+import { pageConcurrency } from "./pool.js";
+import { bodyErrorType, SerpError, toSerpError, withRetries } from "./errors.js";
+import { FallbackQueries, resolveExpansions } from "./expansions.js";
+import { domainOf, emptyContext } from "./serp.js";
+import { log } from "./logger.js";
+import { serpDuration } from "./metrics.js";
 
-const SERPAPI_ENDPOINT = "https://serpapi.com/search.json";
 const DEFAULT_MAX_QUESTIONS = 12;
 
-// ─── API Key Manager ────────────────────────────────────────
-
-class KeyManager {
-  constructor() {
-    const raw = process.env.SERPAPI_KEY || "";
-    this.keys = raw.split(",").map((k) => k.trim()).filter(Boolean);
-    this.index = 0;
-    this.exhausted = new Set(); // keys that hit their limit
-  }
-
-  get current() {
-    if (this.keys.length === 0) {
-      throw new Error("❌  SERPAPI_KEY is not set. Add it to your .env file.");
-    }
-    return this.keys[this.index];
-  }
-
-  /** Rotate to the next available key. Returns false if all keys are exhausted. */
-  rotate() {
-    this.exhausted.add(this.index);
-
-    // Find next non-exhausted key
-    for (let i = 0; i < this.keys.length; i++) {
-      const next = (this.index + 1 + i) % this.keys.length;
-      if (!this.exhausted.has(next)) {
-        this.index = next;
-        console.log(`🔄  Rotated to API key #${next + 1} of ${this.keys.length}`);
-        return true;
-      }
-    }
-
-    console.error("❌  All API keys have been exhausted.");
-    return false;
-  }
-
-  get totalKeys() {
-    return this.keys.length;
-  }
-}
-
-// Singleton — created once when the module loads
-let keyManager;
-function getKeyManager() {
-  if (!keyManager) keyManager = new KeyManager();
-  return keyManager;
-}
-
 // ─── Helpers ────────────────────────────────────────────────
 
-function extractDomain(url) {
+/** Hostname of a site filter URL without "www.", or null (with a warning) if it isn't a URL. */
+export function extractDomain(url) {
   try {
     const { hostname } = new URL(url);
     return hostname.replace(/^www\./, "");
   } catch {
-    console.warn(`⚠️  Invalid URL provided: "${url}" — ignoring site filter.`);
+    log.warn(`⚠️  Invalid URL provided: "${url}" — ignoring site filter.`, { url });
     return null;
   }
 }
@@ -76,155 +37,287 @@ function buildQuery(keyword, url) {
   return domain ? `${keyword} site:${domain}` : keyword;
 }
 
-function mapQuestion(item) {
-  return {
-    question: item.question || "",
-    answer:
-      item.snippet ||
-      item.answer ||
-      item.snippet_highlighted_words?.join(" ") ||
-      "No answer available",
-    link: item.link || item.displayed_link || "",
-  };
-}
-
 /**
- * Fetch a single page of PAA questions.
- * If the key hits its limit (429 or error message), auto-rotates and retries once.
+ * Fetch a single page of PAA questions from the given provider.
+ * Key rotation and vendor quirks are handled inside the provider.
+ *
+ * Pages are served from the on-disk cache when possible; `refresh`
+ * skips the lookup but still stores the fresh page. Fixtures are
+ * already on disk, so they bypass the cache entirely.
+ *
+ * `stats.apiCalls` / `stats.cacheHits` are incremented when given.
+ * A page that isn't cached needs a credit from `budget` (see
+ * budget.js); once that's used up, null is returned instead.
+ * Returns the page's questions, Google's related searches and the
+ * SERP context (organic results, featured snippet — see serp.js).
+ *
+ * Timeouts, dropped connections and 5xx responses are retried with
+ * backoff (see errors.js); anything that still fails is thrown as a
+ * typed SerpError. The fetch time, retries included, goes to the
+ * paa_serp_request_duration_seconds histogram (see metrics.js).
  */
-async function fetchPAAPage(query, region, km) {
-  try {
-    const response = await axios.get(SERPAPI_ENDPOINT, {
-      params: {
-        engine: "google",
-        q: query,
-        gl: region,
-        hl: "en",
-        api_key: km.current,
-      },
-      timeout: 15000,
-    });
-
-    // SerpAPI sometimes returns 200 with an error message in the body
-    if (response.data?.error) {
-      const errMsg = response.data.error.toLowerCase();
-      if (errMsg.includes("limit") || errMsg.includes("quota") || errMsg.includes("exceeded")) {
-        console.warn(`⚠️  Key #${km.index + 1} hit its limit.`);
-        if (km.rotate()) {
-          return fetchPAAPage(query, region, km); // retry with next key
-        }
-      }
-      return [];
+async function fetchPAAPage(query, region, provider, {
+  language = "en",
+  location = "",
+  device = "desktop",
+  refresh = false,
+  stats,
+  budget,
+} = {}) {
+  const locale = { region, language, location, device };
+  const cacheKey = { provider: provider.name, query, ...locale };
+  const useCache = provider.name !== "fixture";
+
+  if (useCache && !refresh) {
+    const cached = readCache(cacheKey);
+    if (cached) {
+      log.info(`   ↳ Cache hit: "${query}"`, { query, cache: "hit" });
+      if (stats) stats.cacheHits++;
+      return { questions: cached.questions, related: cached.related || [], context: cached.context || emptyContext() };
     }
+  }
 
-    return response.data?.related_questions || [];
-  } catch (error) {
-    // 429 Too Many Requests — rotate key
-    if (error.response?.status === 429) {
-      console.warn(`⚠️  Key #${km.index + 1} rate limited (429).`);
-      if (km.rotate()) {
-        return fetchPAAPage(query, region, km);
-      }
-    }
-    throw error;
+  if (budget && !budget.take()) return null;
+
+  if (stats) stats.apiCalls++;
+  const { questions, related = [], context = emptyContext(), raw, error } = await serpDuration.time(
+    (outcome) => ({ provider: provider.name, outcome }),
+    () => withRetries(() => provider.fetchPage(query, locale), provider.name)
+  );
+
+  if (process.env.PAA_RECORD_FIXTURES && provider.name !== "fixture" && raw) {
+    recordFixture(query, locale, provider.name, raw);
   }
-}
 
-// ─── Public API ─────────────────────────────────────────────
+  // Quota / auth messages in a 200 body stop the run; anything else
+  // (e.g. "no results for this query") is just an empty page
+  const type = error && bodyErrorType(error);
+  if (type) {
+    throw new SerpError(`${provider.name}: ${error}`, { type, provider: provider.name });
+  }
 
-const MIN_QUESTIONS = 8;
+  // Don't cache error pages (e.g. quota messages) — they'd hide real results
+  if (useCache && !error) {
+    writeCache(cacheKey, { questions, related, context });
+  }
 
-/**
- * Generate fallback queries to expand PAA results when the queue runs dry.
- */
-function generateFallbackQueries(keyword) {
-  const prefixes = [
-    "what is", "how to", "why", "best", "how does",
-    "what are", "is it worth", "tips for", "guide to",
-  ];
-  return prefixes.map((p) => `${p} ${keyword}`);
+  return { questions, related, context };
 }
 
+// ─── Public API ─────────────────────────────────────────────
+
+const DEFAULT_MIN_QUESTIONS = 8;
+const DEFAULT_TREE_DEPTH = 2;
+const DEFAULT_TREE_BRANCHING = 4;
+
 /**
  * Fetch PAA questions for a **single keyword**.
  *
+ * Expansion is breadth-first: every new question is queued as the next
+ * query, and up to `options.concurrency` queued queries are fetched at
+ * once. Each result records where it came from:
+ *   parent – the question whose SERP surfaced it (null for the seed/fallbacks)
+ *   depth  – 1 for questions on the seed page, parent depth + 1 below that
+ *   query  – the exact query that surfaced it
+ *   source – how its branch started: "seed", or the fallback strategy
+ *            ("related", "templates", "alphabet" — see expansions.js)
+ *   expansion – the seed or fallback query its branch started from
+ *
+ * With `options.extended`, questions also keep their answer's source
+ * `title`, `domain` and `serpPosition` (slot in the page's PAA box).
+ *
+ * In tree mode (`options.tree`) expansion stops at `tree.depth` levels,
+ * each question keeps at most `tree.branching` children, and fallback
+ * queries are skipped so every node hangs off the seed keyword.
+ *
  * @param {string}      keyword
- * @param {string}      region       - "us" | "in"
+ * @param {string}      region       - Google country code (gl), e.g. "us", "gb", "de"
  * @param {string}      [url]        - optional site filter
  * @param {number}      maxQuestions  - target count (default 12)
  * @param {Set<string>} [exclude]    - lowercased question strings to skip
  *                                     (useful for top-up retries)
+ * @param {object}      [options]
+ * @param {string}      [options.provider] - SERP provider name (default: SERP_PROVIDER / serpapi)
+ * @param {boolean}     [options.refresh]  - bypass the SERP cache and fetch fresh pages
+ * @param {string}      [options.language] - Google hl code (default "en")
+ * @param {string}      [options.location] - city-level location, e.g. "Austin, Texas, United States"
+ * @param {string}      [options.device]   - "desktop" (default) | "mobile" | "tablet"
+ * @param {number}      [options.minQuestions] - stop trying fallback queries once this
+ *                                               many questions are found (default 8)
+ * @param {Function}    [options.onError]  - called with the SerpError (see errors.js) when
+ *                                           a run stops early and returns partial results
+ * @param {object}      [options.stats]    - { apiCalls, cacheHits } counters to increment
+ * @param {CreditBudget} [options.budget]  - credits for uncached pages (see budget.js); expansion
+ *                                           stops, keeping what was found, once it's used up
+ * @param {Function}    [options.onBudget] - called when the budget stopped the run
+ * @param {object}      [options.tree]     - { depth, branching } limits for tree mode
+ * @param {QuestionClusters} [options.clusters] - near-duplicate clusters (see similarity.js);
+ *                                               questions that merge into one are skipped
+ * @param {string[]}    [options.expansions] - fallback strategies, in order (default: resolveExpansions())
+ * @param {object}      [options.templates]  - fallback templates by language (default: getTemplates())
+ * @param {boolean}     [options.extended]   - keep title / domain / serpPosition per question
+ * @param {Function}    [options.onSerp]     - called with { query, source, organic, featuredSnippet }
+ *                                             for the seed page and each fallback page
+ * @param {number}      [options.concurrency] - queued pages fetched in parallel
+ *                                              (default PAA_PAGE_CONCURRENCY, see pool.js)
  */
-export async function getPAA(keyword, region = "us", url, maxQuestions = DEFAULT_MAX_QUESTIONS, exclude = new Set()) {
-  const km = getKeyManager();
+export async function getPAA(keyword, region = "us", url, maxQuestions = DEFAULT_MAX_QUESTIONS, exclude = new Set(), options = {}) {
+  const provider = getProvider(options.provider);
+  const minQuestions = options.minQuestions ?? DEFAULT_MIN_QUESTIONS;
+  const concurrency = options.concurrency ?? pageConcurrency();
+  const tree = options.tree
+    ? { depth: options.tree.depth ?? DEFAULT_TREE_DEPTH, branching: options.tree.branching ?? DEFAULT_TREE_BRANCHING }
+    : null;
 
   if (!keyword || typeof keyword !== "string") {
     throw new Error("❌  A valid keyword string is required.");
   }
 
   const query = buildQuery(keyword.trim(), url);
-  console.log(`\n🔍  Searching PAA for: "${query}" (region: ${region}, target: ${maxQuestions}, min: ${MIN_QUESTIONS}, keys: ${km.totalKeys})`);
+  log.info(`\n🔍  Searching PAA for: "${query}" (region: ${region}, lang: ${options.language || "en"}${options.location ? `, location: ${options.location}` : ""}, device: ${options.device || "desktop"}, target: ${maxQuestions}, min: ${minQuestions}, provider: ${provider.name}${tree ? `, tree: ${tree.depth}×${tree.branching}` : ""})`, {
+    query,
+    region,
+    language: options.language || "en",
+    location: options.location || "",
+    device: options.device || "desktop",
+    maxQuestions,
+    minQuestions,
+    provider: provider.name,
+    tree,
+  });
 
   const seen = new Set(exclude); // start with excluded questions
   const results = [];
-  const queue = [query];
+  const queue = [{ query, question: null, depth: 0, source: "seed", expansion: query }];
 
-  // Prepare fallback queries in case primary queue dries up
-  const fallbacks = generateFallbackQueries(keyword.trim());
-  let fallbackIndex = 0;
+  // Fallback queries in case the primary queue dries up
+  const fallbacks = new FallbackQueries(keyword.trim(), {
+    language: options.language,
+    strategies: options.expansions ?? resolveExpansions(),
+    templates: options.templates,
+  });
 
   try {
     while (results.length < maxQuestions) {
-      // If primary queue is empty, try fallback queries
-      if (queue.length === 0) {
-        if (results.length >= MIN_QUESTIONS || fallbackIndex >= fallbacks.length) {
-          break;
-        }
-        const fb = fallbacks[fallbackIndex++];
-        console.log(`   ↳ Queue empty (${results.length}/${maxQuestions}), trying fallback: "${fb}"`);
-        queue.push(buildQuery(fb, url));
+      if (options.budget?.exhausted) {
+        log.info(`   ↳ 💳 Credit budget used up — stopping at ${results.length} question(s).`, { questions: results.length });
+        options.onBudget?.();
+        break;
       }
 
-      const currentQuery = queue.shift();
-      console.log(`   ↳ Querying: "${currentQuery}"`);
-
-      const rawQuestions = await fetchPAAPage(currentQuery, region, km);
-
-      if (rawQuestions.length === 0) continue;
+      // If primary queue is empty, try fallback queries
+      if (queue.length === 0) {
+        const fb = !tree && results.length < minQuestions ? fallbacks.next() : null;
+        if (!fb) break;
 
-      for (const item of rawQuestions) {
-        const q = item.question || "";
-        if (!q || seen.has(q.toLowerCase())) continue;
+        const fbQuery = buildQuery(fb.query, url);
+        log.info(`   ↳ Queue empty (${results.length}/${maxQuestions}), trying ${fb.source} fallback: "${fb.query}"`, { questions: results.length, fallback: fb.source, query: fb.query });
+        queue.push({ query: fbQuery, question: null, depth: 0, source: fb.source, expansion: fbQuery });
+      }
 
-        seen.add(q.toLowerCase());
-        results.push(mapQuestion(item));
+      // Fetch the next few queued pages in parallel (never more than the
+      // questions still needed), then merge them in queue order so results
+      // come out the same as a one-at-a-time breadth-first walk.
+      const batch = queue.splice(0, Math.max(1, Math.min(concurrency, maxQuestions - results.length)));
+      for (const current of batch) log.info(`   ↳ Querying: "${current.query}"`, { query: current.query, depth: current.depth, source: current.source });
+
+      const pages = await Promise.allSettled(batch.map((current) =>
+        fetchPAAPage(current.query, region, provider, {
+          language: options.language,
+          location: options.location,
+          device: options.device,
+          refresh: options.refresh,
+          stats: options.stats,
+          budget: options.budget,
+        })
+      ));
+
+      for (const [i, current] of batch.entries()) {
+        // Keep what the earlier pages found, as a sequential run would
+        if (pages[i].status === "rejected") throw pages[i].reason;
+        // No credit left for this page — the loop stops before the next batch
+        if (!pages[i].value) continue;
+
+        const { questions, related, context } = pages[i].value;
+        // Related searches of the seed / fallback pages stay on topic; deeper pages drift
+        if (current.depth === 0) {
+          fallbacks.addRelated(related);
+          options.onSerp?.({ query: current.query, source: current.source, ...context });
+        }
 
-        if (results.length < maxQuestions) {
-          queue.push(q);
+        let children = 0;
+        for (const item of questions) {
+          const q = item.question || "";
+          if (!q || seen.has(q.toLowerCase())) continue;
+          if (tree && children >= tree.branching) break;
+          if (results.length >= maxQuestions) break;
+
+          seen.add(q.toLowerCase());
+          // A near-duplicate of a question we already have — recorded as its variant
+          if (options.clusters?.add(q)) continue;
+          children++;
+
+          const { title, domain, serpPosition, ...basic } = item;
+          const node = {
+            // Pages cached before extended mode existed lack these fields
+            ...(options.extended
+              ? { ...basic, title: title ?? "", domain: domain ?? domainOf(item.link), serpPosition: serpPosition ?? null }
+              : basic),
+            parent: current.question,
+            depth: current.depth + 1,
+            query: current.query,
+            source: current.source,
+            expansion: current.expansion,
+          };
+          results.push(node);
+
+          if (results.length < maxQuestions && (!tree || node.depth < tree.depth)) {
+            queue.push({ query: q, question: q, depth: node.depth, source: node.source, expansion: node.expansion });
+          }
         }
       }
     }
 
     if (results.length === 0) {
-      console.log("ℹ️  No PAA questions found for this query.");
+      log.info("ℹ️  No PAA questions found for this query.", { query, questions: 0 });
     } else {
-      console.log(`✅  Collected ${results.length} unique PAA question(s).`);
+      log.info(`✅  Collected ${results.length} unique PAA question(s).`, { query, questions: results.length });
     }
 
     return results;
-  } catch (error) {
-    if (error.response) {
-      console.error(
-        `❌  SerpAPI returned ${error.response.status}: ${error.response.data?.error || error.response.statusText
-        }`
-      );
-    } else if (error.request) {
-      console.error("❌  No response received from SerpAPI (timeout / network issue).");
-    } else {
-      console.error(`❌  Request setup error: ${error.message}`);
-    }
+  } catch (e) {
+    const error = toSerpError(e, provider.name);
+    options.onError?.(error);
+
+    log.error(`❌  ${error.type} error from ${provider.name}: ${error.message}` +
+      (results.length ? ` — keeping ${results.length} question(s) found so far.` : ""), {
+      query,
+      provider: provider.name,
+      errorType: error.type,
+      status: error.status,
+      questions: results.length,
+    });
 
     return results;
   }
 }
 
+
+/**
+ * Nest flat results (as returned by getPAA) into a question tree using
+ * each node's `parent`. Questions whose parent isn't in the list become roots.
+ *
+ * @returns {object[]} roots — each node has a `children` array
+ */
+export function buildTree(results) {
+  const byQuestion = new Map(results.map((r) => [r.question.toLowerCase(), { ...r, children: [] }]));
+  const roots = [];
+
+  for (const node of byQuestion.values()) {
+    const parent = node.parent && byQuestion.get(node.parent.toLowerCase());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  return roots;
+}
@@ -0,0 +1,489 @@
+// ─────────────────────────────────────────────────────────────
+//  pipeline.js – Per-keyword extraction pipeline
+//
+//  Shared by the CLI (index.js), the Express server and the Vercel
+//  function (api/paa.js): repeats getPAA runs until enough unique
+//  questions are collected, then writes the keyword to the Google
+//  Sheet once and records it in the local history.
+//
+//  Every line a keyword logs — here, in paa.js and in sheets.js —
+//  carries its keyword, runId and request ID (see logger.js).
+// ─────────────────────────────────────────────────────────────
+
+import { buildTree, getPAA } from "./paa.js";
+import { appendChangesToSheet, appendDomainsToSheet, appendToSheet } from "./sheets.js";
+import { findRuns, recordRun } from "./history.js";
+import { diffRuns } from "./diff.js";
+import { DEFAULT_SIMILARITY, QuestionClusters } from "./similarity.js";
+import { getClassifier } from "./intents.js";
+import { keywordConcurrency, runPool } from "./pool.js";
+import { answerOwnership } from "./serp.js";
+import { domainShareForRun } from "./domains.js";
+import { CreditBudget } from "./budget.js";
+import { log, withLogContext } from "./logger.js";
+import { keywordQuestions, keywordsProcessed } from "./metrics.js";
+
+export const DEFAULT_MIN_QUESTIONS = 9;   // keep retrying until at least this many unique Qs
+export const DEFAULT_MAX_QUESTIONS = 12;  // cap — never collect more than this
+export const DEFAULT_MAX_RUNS = 6;        // safety cap — avoid infinite loops / API burn
+
+// ─── Request parsing ────────────────────────────────────────
+
+const THRESHOLD_LIMITS = {
+    minQuestions: { min: 1, max: 50 },
+    maxQuestions: { min: 1, max: 50 },
+    maxRuns: { min: 1, max: 20 },
+};
+
+/** Split a comma-separated keyword string into unique, trimmed keywords. */
+export function splitKeywords(input) {
+    return [...new Set(
+        String(input).split(",").map((k) => k.trim()).filter(Boolean)
+    )];
+}
+
+/**
+ * Read per-request thresholds (minQuestions, maxQuestions, maxRuns) from a
+ * request body, falling back to the defaults. When only one of min / max
+ * is given, the other's default moves to meet it. Throws on invalid values.
+ */
+export function resolveThresholds(input = {}) {
+    const thresholds = {
+        minQuestions: DEFAULT_MIN_QUESTIONS,
+        maxQuestions: DEFAULT_MAX_QUESTIONS,
+        maxRuns: DEFAULT_MAX_RUNS,
+    };
+    const given = (name) => input[name] !== undefined && input[name] !== null && input[name] !== "";
+
+    for (const [name, { min, max }] of Object.entries(THRESHOLD_LIMITS)) {
+        if (!given(name)) continue;
+
+        const n = Number(input[name]);
+        if (!Number.isInteger(n) || n < min || n > max) {
+            throw new Error(`${name} must be a whole number between ${min} and ${max}.`);
+        }
+        thresholds[name] = n;
+    }
+
+    if (!given("maxQuestions") && thresholds.minQuestions > thresholds.maxQuestions) {
+        thresholds.maxQuestions = thresholds.minQuestions;
+    }
+    if (!given("minQuestions") && thresholds.minQuestions > thresholds.maxQuestions) {
+        thresholds.minQuestions = thresholds.maxQuestions;
+    }
+    if (thresholds.minQuestions > thresholds.maxQuestions) {
+        throw new Error("minQuestions can't be larger than maxQuestions.");
+    }
+
+    return thresholds;
+}
+
+const TREE_LIMITS = {
+    depth: { field: "treeDepth", min: 1, max: 4, fallback: 2 },
+    branching: { field: "treeBranching", min: 1, max: 10, fallback: 4 },
+};
+
+/**
+ * Read tree-mode options from a request body. Returns null unless
+ * `mode` is "tree"; otherwise { depth, branching }. Throws on invalid values.
+ */
+export function resolveTreeOptions(input = {}) {
+    if (!input.mode || input.mode === "list") return null;
+    if (input.mode !== "tree") {
+        throw new Error(`Unknown mode "${input.mode}". Use "list" or "tree".`);
+    }
+
+    const tree = {};
+    for (const [name, { field, min, max, fallback }] of Object.entries(TREE_LIMITS)) {
+        const raw = input[field];
+        const n = raw === undefined || raw === null || raw === "" ? fallback : Number(raw);
+        if (!Number.isInteger(n) || n < min || n > max) {
+            throw new Error(`${field} must be a whole number between ${min} and ${max}.`);
+        }
+        tree[name] = n;
+    }
+    return tree;
+}
+
+// ─── Per-keyword pipeline ───────────────────────────────────
+
+/**
+ * Status of a finished keyword and the reason for it. An API error or the
+ * credit budget only makes a keyword "partial" / "failed" if it stopped
+ * short of minQuestions — a small PAA set otherwise is "partial" because
+ * Google ran out, and a search with no PAA box at all is "complete": there
+ * was nothing to collect, which the reason says.
+ *
+ * @returns {{ status: "complete"|"partial"|"failed", reason: string }}
+ */
+export function keywordStatus(count, { minQuestions, runs, maxRuns, error, budgetReached = false }) {
+    if (count >= minQuestions && count > 0) {
+        return { status: "complete", reason: `Found ${count} question(s) (target ${minQuestions}).` };
+    }
+
+    const stopped = error && `${error.type || "API"} error: ${error.message}`;
+    if (count > 0) {
+        return {
+            status: "partial",
+            reason: stopped
+                ? `Stopped early after a ${stopped}`
+                : budgetReached
+                    ? `Stopped at the credit budget with ${count} of ${minQuestions} question(s).`
+                    : `Only ${count} of ${minQuestions} question(s) after ${runs} of ${maxRuns} run(s) — Google showed no more.`,
+        };
+    }
+    if (stopped) return { status: "failed", reason: `No questions — ${stopped}` };
+    if (budgetReached) return { status: "failed", reason: "No questions — the credit budget ran out first." };
+    return { status: "complete", reason: "Google showed no People Also Ask questions for this search — nothing to collect." };
+}
+
+/**
+ * Process a single keyword:
+ *  1. Keep scraping PAA until we have minQuestions unique questions.
+ *  2. Deduplicate across runs: exact matches via a Set, near-duplicates
+ *     (similarity ≥ `similarity`) are merged into the question they match.
+ *  3. Write to the Google Sheet only ONCE, after collecting enough.
+ *  4. Safety cap at maxRuns to prevent infinite loops.
+ *  5. Never spend more SERP calls than the credit budgets allow
+ *     (`maxKeywordCredits`, and the batch's shared `budget`).
+ *
+ * In tree mode there's a single run (re-runs can't add to the same
+ * tree) and the outcome also carries the nested question `tree`.
+ *
+ * Returns a structured outcome:
+ *   {
+ *     keyword, questions,
+ *     status:   "complete" (≥ minQuestions, or no PAA box at all)
+ *               | "partial" (some, but fewer) | "failed" (none, after API errors),
+ *     reason:   why the keyword ended with that status, in plain words,
+ *     error,    – last API error message, if any
+ *     errorType: "quota" | "auth" | "network" | "upstream" | null (see errors.js),
+ *     merged:   number of near-duplicate questions folded into others
+ *               (each question lists its own under `variants`),
+ *     clusters: [{ representative, variants: [{ question, similarity }] }]
+ *               for every question that absorbed near-duplicates,
+ *     intents:  question count per intent (each question carries its
+ *               `intent` and the `tags` it shares with the keyword),
+ *     sources:  question count per `source` — "seed" or the fallback strategy
+ *               that found it (each question also names its `expansion` query),
+ *     runs, apiCalls, cacheHits,
+ *     budgetReached: true if a credit budget cut the search short,
+ *     sheet:    { written, rows, tab, appended, updated, deleted }
+ *               | { written: false, error } | { written: false, skipped: true },
+ *     ownership: which answers the `url` domain owns (see answerOwnership in serp.js),
+ *               null without a url,
+ *     serp:     { query, organic, featuredSnippet } of the seed page (extended mode only),
+ *     historyId: ID of the local history entry (null if not recorded),
+ *     changes:  diff against the previous run of the same search (see diff.js),
+ *               null on the first run,
+ *     tree:     nested questions (tree mode only)
+ *   }
+ *
+ * @param {string} kw
+ * @param {string} region
+ * @param {string} [url]
+ * @param {object} [options]
+ * @param {string}   [options.provider]     - SERP provider name
+ * @param {boolean}  [options.refresh]      - bypass the SERP cache on the first run
+ * @param {string}   [options.language]     - Google hl code (default "en")
+ * @param {string}   [options.location]     - city-level location (optional)
+ * @param {string}   [options.device]       - "desktop" (default) | "mobile" | "tablet"
+ * @param {number}   [options.minQuestions]
+ * @param {number}   [options.maxQuestions]
+ * @param {number}   [options.maxRuns]
+ * @param {boolean}  [options.sheet]        - write to the Google Sheet (default true)
+ * @param {object}   [options.sheetOptions] - tab / columns / upsert, see resolveSheetOptions()
+ * @param {string}   [options.runId]        - written to the sheet's runId column and the history
+ * @param {string}   [options.tokenId]      - API token the run is for, recorded in the history
+ * @param {boolean}  [options.history]      - record the run in the local history (default true)
+ * @param {object}   [options.tree]         - { depth, branching } to run in tree mode
+ * @param {number}   [options.similarity]   - near-duplicate threshold 0–1 (0 = exact matching only)
+ * @param {IntentClassifier} [options.classifier] - intent rules (default: getClassifier())
+ * @param {string[]} [options.expansions]   - fallback strategies in order (see expansions.js)
+ * @param {object}   [options.templates]    - fallback templates by language (default: getTemplates())
+ * @param {boolean}  [options.extended]     - keep SERP context: source title / domain / serpPosition
+ *                                            per question, plus the seed page's organic results
+ *                                            and featured snippet (see serp.js)
+ * @param {number}   [options.maxKeywordCredits] - SERP calls this keyword may spend
+ * @param {CreditBudget} [options.budget]   - the batch's budget, shared by its keywords (see budget.js)
+ * @param {string}   [options.requestId]    - correlation ID for the logs (default: the caller's, see logger.js)
+ */
+export function processKeyword(kw, region, url, options = {}) {
+    const { runId, requestId } = options;
+    return withLogContext(
+        { ...(requestId && { requestId }), ...(runId && { runId }), keyword: kw },
+        () => extractKeyword(kw, region, url, options)
+    );
+}
+
+/** processKeyword's work, inside the keyword's log context. */
+async function extractKeyword(kw, region, url, {
+    provider,
+    refresh = false,
+    language = "en",
+    location = "",
+    device = "desktop",
+    minQuestions = DEFAULT_MIN_QUESTIONS,
+    maxQuestions = DEFAULT_MAX_QUESTIONS,
+    maxRuns = DEFAULT_MAX_RUNS,
+    sheet = true,
+    sheetOptions = {},
+    runId = "",
+    tokenId = null,
+    history = true,
+    tree = null,
+    similarity = DEFAULT_SIMILARITY,
+    classifier = getClassifier(),
+    expansions,
+    templates,
+    extended = false,
+    maxKeywordCredits = null,
+    budget = null,
+} = {}) {
+    if (tree) maxRuns = 1;
+
+    const collected = [];      // temporary in-memory store
+    const seen = new Set();    // lowercase question strings for dedup
+    const clusters = similarity > 0 ? new QuestionClusters(similarity) : null;
+    const stats = { apiCalls: 0, cacheHits: 0 };
+    const credits = new CreditBudget(maxKeywordCredits, budget);
+    let lastError = null;
+    let budgetReached = false;
+    let serp = null;           // seed page context, extended mode only
+    let run = 0;
+
+    while (collected.length < minQuestions && run < maxRuns) {
+        run++;
+        let runFailed = false;
+        log.info(`🔍  Run #${run} for "${kw}" (have ${collected.length}/${minQuestions})`, { run, questions: collected.length, minQuestions });
+
+        // Only the first run bypasses the cache — later runs reuse its fresh pages
+        const results = await getPAA(kw, region, url || undefined, maxQuestions - collected.length, seen, {
+            provider,
+            language,
+            location,
+            device,
+            refresh: refresh && run === 1,
+            minQuestions: minQuestions - collected.length,
+            stats,
+            budget: credits,
+            tree,
+            clusters,
+            expansions,
+            templates,
+            extended,
+            onSerp: (page) => {
+                if (extended && !serp && page.source === "seed") {
+                    serp = { query: page.query, organic: page.organic, featuredSnippet: page.featuredSnippet };
+                }
+            },
+            onError: (error) => { lastError = error; runFailed = true; },
+            onBudget: () => { budgetReached = true; },
+        });
+
+        if (results.length === 0) {
+            log.info(`   ↳ Run #${run} returned 0 new questions.`, { run, newQuestions: 0 });
+            if (runFailed || budgetReached) break;
+            continue;
+        }
+
+        for (const item of results) {
+            const qLower = item.question.toLowerCase();
+            if (seen.has(qLower)) continue;
+            seen.add(qLower);
+            collected.push(item);
+        }
+
+        log.info(`   ↳ Now have ${collected.length} unique question(s).`, { run, questions: collected.length });
+
+        // The error outlasted its retries (see errors.js) — another run won't fare better
+        if (runFailed || budgetReached) break;
+    }
+
+    const final = collected.slice(0, maxQuestions).map((item) => ({
+        ...item,
+        ...classifier.classify(item.question, kw),
+        variants: clusters ? clusters.variantsOf(item.question).map((v) => v.question) : [],
+    }));
+
+    const intents = {};
+    const sources = {};
+    for (const item of final) {
+        intents[item.intent] = (intents[item.intent] || 0) + 1;
+        sources[item.source] = (sources[item.source] || 0) + 1;
+    }
+    const merged = final.reduce((sum, item) => sum + item.variants.length, 0);
+    if (merged > 0) {
+        log.info(`🧩  Merged ${merged} near-duplicate question(s) for "${kw}".`, { merged });
+    }
+
+    const { status, reason } = keywordStatus(final.length, { minQuestions, runs: run, maxRuns, error: lastError, budgetReached });
+
+    if (final.length === 0) {
+        log.warn(`⚠️  No questions found for "${kw}" after ${run} run(s).`, { runs: run });
+    }
+
+    // ── Does the site filter's domain own any answers? ───────
+    const ownership = url ? answerOwnership(final, url, serp) : null;
+    if (ownership) {
+        log.info(`🏷️   ${ownership.domain} owns ${ownership.owned} of ${ownership.total} PAA answer(s) for "${kw}".`, { domain: ownership.domain, owned: ownership.owned, total: ownership.total });
+    }
+
+    const search = {
+        keyword: kw,
+        region,
+        language,
+        location,
+        device,
+        url: url || "",
+        mode: tree ? "tree" : "list",
+    };
+
+    // ── Changes since the previous run of the same search ────
+    let changes = null;
+    if (history && status !== "failed") {
+        try {
+            const previous = findRuns(search, { tokenId })[0];
+            if (previous) {
+                changes = diffRuns(previous, { ...search, id: null, createdAt: new Date().toISOString(), questions: final });
+                log.info(`🔀  Since last run: ${changes.added.length} new, ${changes.removed.length} gone, ${changes.moved.length} moved.`, {
+                    added: changes.added.length,
+                    removed: changes.removed.length,
+                    moved: changes.moved.length,
+                });
+            }
+        } catch (e) {
+            log.error(`⚠️  Could not compare "${kw}" with its previous run`, { error: e.message });
+        }
+    }
+
+    // ── Single sheet write after all runs ────────────────────
+    let sheetResult = { written: false, skipped: true };
+    if (sheet) {
+        try {
+            const written = await appendToSheet(kw, region, url || "", final, {
+                ...sheetOptions,
+                language,
+                location,
+                runId,
+            });
+            sheetResult = { written: true, rows: final.length || 1, ...written };
+            log.info(final.length
+                ? `📤  Wrote ${final.length} question(s) for "${kw}" to sheet.`
+                : `📤  Wrote a "no questions" row for "${kw}" to sheet.`, { rows: sheetResult.rows, tab: written.tab });
+        } catch (e) {
+            sheetResult = { written: false, error: e.message };
+            log.error(`⚠️  Sheet write failed for "${kw}"`, { error: e.message });
+        }
+
+        if (changes && sheetResult.written) {
+            try {
+                sheetResult.changes = await appendChangesToSheet(changes, { ...sheetOptions, runId });
+            } catch (e) {
+                sheetResult.changes = { error: e.message };
+                log.error(`⚠️  Could not log changes for "${kw}" to sheet`, { error: e.message });
+            }
+        }
+    }
+
+    // ── Local history — kept even if the sheet write failed ──
+    let historyId = null;
+    if (history) {
+        try {
+            historyId = recordRun({
+                runId,
+                ...(tokenId && { tokenId }),
+                ...search,
+                provider: provider || process.env.SERP_PROVIDER || "serpapi",
+                status,
+                reason,
+                error: lastError?.message || null,
+                errorType: lastError?.type || null,
+                questions: final,
+                ownership,
+                apiCalls: stats.apiCalls,
+                cacheHits: stats.cacheHits,
+                budgetReached,
+                ...(extended && { serp }),
+                sheet: sheetResult,
+            }).id;
+            if (changes) changes.to.id = historyId;
+        } catch (e) {
+            log.error(`⚠️  Could not record history for "${kw}"`, { error: e.message });
+        }
+    }
+
+    log.info(`📊  Final count for "${kw}": ${final.length} question(s) — ${status}, ${run} run(s), ${stats.apiCalls} API call(s).\n`, {
+        questions: final.length,
+        status,
+        runs: run,
+        apiCalls: stats.apiCalls,
+        cacheHits: stats.cacheHits,
+        budgetReached,
+    });
+    keywordQuestions.observe({ mode: search.mode }, final.length);
+    keywordsProcessed.inc({ status });
+
+    const outcome = {
+        keyword: kw,
+        status,
+        reason,
+        error: lastError?.message || null,
+        errorType: lastError?.type || null,
+        questions: final,
+        merged,
+        clusters: clusters ? clusters.merged() : [],
+        intents,
+        sources,
+        ownership,
+        runs: run,
+        apiCalls: stats.apiCalls,
+        cacheHits: stats.cacheHits,
+        budgetReached,
+        sheet: sheetResult,
+        historyId,
+        changes,
+    };
+    if (tree) outcome.tree = buildTree(final);
+    if (extended) outcome.serp = serp;
+
+    return outcome;
+}
+
+/** An outcome without its questions — handy for progress/summary payloads. */
+export function outcomeSummary({ questions, ...rest }) {
+    return { ...rest, count: questions.length };
+}
+
+/**
+ * Run processKeyword over many keywords, at most `concurrency` at a time
+ * (default PAA_CONCURRENCY, see pool.js). Outcomes come back keyed by
+ * keyword in input order; `onResult(kw, outcome)` fires as each keyword finishes.
+ * `options.maxCredits` caps the SERP calls of the whole batch, and
+ * `options.budget` is a budget the batch draws from (e.g. an API token's quota).
+ */
+export async function processKeywords(keywords, region, url, options = {}, { concurrency = keywordConcurrency(), onResult } = {}) {
+    const { maxCredits = null, budget: parent = null, ...keywordOptions } = options;
+    const budget = new CreditBudget(maxCredits, parent);
+    const outcomes = {};
+
+    await runPool(keywords, concurrency, async (kw) => {
+        outcomes[kw] = await processKeyword(kw, region, url, { ...keywordOptions, budget });
+        onResult?.(kw, outcomes[kw]);
+    });
+
+    return Object.fromEntries(keywords.map((kw) => [kw, outcomes[kw]]));
+}
+
+/**
+ * Write a finished run's answer domain share (see domains.js) to the
+ * sheet's domains tab. Never throws — a failure comes back as { error }.
+ */
+export async function writeDomainShare(runId, sheetOptions = {}) {
+    try {
+        return await appendDomainsToSheet(domainShareForRun(runId), sheetOptions);
+    } catch (e) {
+        log.error(`⚠️  Could not write the domain share for run ${runId} to sheet`, { runId, error: e.message });
+        return { error: e.message };
+    }
+}
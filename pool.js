@@ -0,0 +1,63 @@
+// ─────────────────────────────────────────────────────────────
+//  pool.js – Bounded worker pools
+//
+//  Keywords run PAA_CONCURRENCY at a time (jobs, the Vercel
+//  function and the CLI), and each keyword fetches up to
+//  PAA_PAGE_CONCURRENCY queued SERP pages at once. The per-key
+//  rate limiter (ratelimit.js) keeps the combined request rate
+//  within what the provider allows.
+// ─────────────────────────────────────────────────────────────
+
+import { log } from "./logger.js";
+
+export const DEFAULT_CONCURRENCY = 3;
+export const DEFAULT_PAGE_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 20;
+
+function fromEnv(name, fallback) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === "") return fallback;
+
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_CONCURRENCY) {
+        log.warn(`⚠️  Ignoring invalid ${name}="${raw}" — use 1–${MAX_CONCURRENCY}. Using ${fallback}.`, { setting: name });
+        return fallback;
+    }
+    return n;
+}
+
+/** Keywords processed in parallel (PAA_CONCURRENCY, default 3). */
+export function keywordConcurrency() {
+    return fromEnv("PAA_CONCURRENCY", DEFAULT_CONCURRENCY);
+}
+
+/** SERP pages fetched in parallel per keyword (PAA_PAGE_CONCURRENCY, default 3). */
+export function pageConcurrency() {
+    return fromEnv("PAA_PAGE_CONCURRENCY", DEFAULT_PAGE_CONCURRENCY);
+}
+
+/**
+ * Call `fn(item, index)` for every item, at most `concurrency` at a time.
+ * Resolves once every call has settled; a call that throws rejects the
+ * pool after the others finish, so catch inside `fn` to keep going.
+ */
+export async function runPool(items, concurrency, fn) {
+    let next = 0;
+    let failure = null;
+
+    async function worker() {
+        while (next < items.length && !failure) {
+            const i = next++;
+            try {
+                await fn(items[i], i);
+            } catch (e) {
+                failure ||= e;
+            }
+        }
+    }
+
+    const workers = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    if (failure) throw failure;
+}
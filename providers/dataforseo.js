@@ -0,0 +1,128 @@
+// ─────────────────────────────────────────────────────────────
+//  providers/dataforseo.js – DataForSEO adapter (https://dataforseo.com)
+//
+//  Auth: DATAFORSEO_LOGIN + DATAFORSEO_PASSWORD (HTTP basic auth)
+//  Uses the live "advanced" Google organic endpoint, which returns
+//  PAA blocks as items of type "people_also_ask".
+//  Calls share one rate limiter per login (see ratelimit.js).
+// ─────────────────────────────────────────────────────────────
+
+import axios from "axios";
+import { getBucket, MAX_RETRY_AFTER_SECONDS, parseRetryAfter } from "../ratelimit.js";
+import { domainOf, ORGANIC_LIMIT } from "../serp.js";
+import { log } from "../logger.js";
+
+const DATAFORSEO_ENDPOINT = "https://api.dataforseo.com/v3/serp/google/organic/live/advanced";
+const MAX_RETRY_AFTER_ATTEMPTS = 3;
+
+// DataForSEO wants a location name ("United States"), not a gl code.
+// A city-level location ("Austin,Texas,United States") is passed as-is.
+const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+function mapQuestion(item, i) {
+  const expanded = item.expanded_element?.[0] || {};
+  return {
+    question: item.title || "",
+    answer: expanded.description || expanded.featured_title || "No answer available",
+    link: expanded.url || "",
+    title: expanded.title || "",
+    domain: expanded.domain?.replace(/^www\./, "") || domainOf(expanded.url),
+    serpPosition: i + 1,
+  };
+}
+
+function serpItems(data) {
+  return data?.tasks?.[0]?.result?.[0]?.items || [];
+}
+
+/** Turn a raw DataForSEO response into normalized PAA questions. */
+export function normalize(data) {
+  return serpItems(data)
+    .filter((item) => item.type === "people_also_ask")
+    .flatMap((block) => block.items || [])
+    .map(mapQuestion);
+}
+
+/** Organic results and the featured snippet of a raw DataForSEO response. */
+export function serpContext(data) {
+  const items = serpItems(data);
+  const snippet = items.find((item) => item.type === "featured_snippet");
+
+  return {
+    organic: items
+      .filter((item) => item.type === "organic")
+      .slice(0, ORGANIC_LIMIT)
+      .map((r, i) => ({
+        position: r.rank_group ?? i + 1,
+        title: r.title || "",
+        link: r.url || "",
+        domain: r.domain?.replace(/^www\./, "") || domainOf(r.url),
+        snippet: r.description || "",
+      })),
+    featuredSnippet: snippet
+      ? { title: snippet.title || "", snippet: snippet.description || "", link: snippet.url || "", domain: domainOf(snippet.url) }
+      : null,
+  };
+}
+
+/** Google's "related searches" from a raw DataForSEO response. */
+export function relatedSearches(data) {
+  return serpItems(data)
+    .filter((item) => item.type === "related_searches")
+    .flatMap((block) => block.items || [])
+    .filter((q) => typeof q === "string" && q);
+}
+
+/**
+ * Fetch a single SERP page. A 429 with a short Retry-After pauses the
+ * login's rate limiter and retries; anything else is thrown.
+ */
+async function fetchPage(query, { region, language = "en", location, device = "desktop" }, attempt = 0) {
+  const login = process.env.DATAFORSEO_LOGIN;
+  const password = process.env.DATAFORSEO_PASSWORD;
+
+  if (!login || !password) {
+    throw new Error("❌  DATAFORSEO_LOGIN / DATAFORSEO_PASSWORD are not set. Add them to your .env file.");
+  }
+
+  const bucket = getBucket(`dataforseo:${login}`);
+  await bucket.take();
+
+  let response;
+  try {
+    response = await axios.post(
+      DATAFORSEO_ENDPOINT,
+      [{
+        keyword: query,
+        location_name: location || regionNames.of(region.toUpperCase()),
+        language_code: language,
+        device,
+      }],
+      { auth: { username: login, password }, timeout: 30000 }
+    );
+  } catch (error) {
+    const seconds = parseRetryAfter(error.response?.headers?.["retry-after"]);
+    if (error.response?.status === 429 && seconds !== null && seconds <= MAX_RETRY_AFTER_SECONDS && attempt < MAX_RETRY_AFTER_ATTEMPTS) {
+      log.warn(`⏳  DataForSEO rate limited — retrying in ${seconds}s (Retry-After).`, { provider: "dataforseo", retryAfter: seconds });
+      bucket.pause(seconds * 1000);
+      return fetchPage(query, { region, language, location, device }, attempt + 1);
+    }
+    throw error;
+  }
+
+  // Task-level failures come back as 200 with a non-20000 status code
+  const task = response.data?.tasks?.[0];
+  if (task && task.status_code !== 20000) {
+    log.warn(`⚠️  DataForSEO task failed (${task.status_code}): ${task.status_message}`, { provider: "dataforseo", query, statusCode: task.status_code });
+    return { questions: [], raw: response.data, error: task.status_message };
+  }
+
+  return {
+    questions: normalize(response.data),
+    related: relatedSearches(response.data),
+    context: serpContext(response.data),
+    raw: response.data,
+  };
+}
+
+export default { name: "dataforseo", fetchPage, normalize, relatedSearches, serpContext };
@@ -0,0 +1,77 @@
+// ─────────────────────────────────────────────────────────────
+//  providers/fixture.js – Replays recorded SERP responses from disk
+//
+//  Fixtures live in PAA_FIXTURE_DIR (default: ./fixtures), one JSON
+//  file per query/region/language (plus location/device when set):
+//
+//    { "provider": "serpapi", "query": "…", "region": "us",
+//      "language": "en", "response": { …raw provider JSON… } }
+//
+//  Set PAA_RECORD_FIXTURES=1 while using a live provider to record
+//  new fixtures. Missing fixtures replay as an empty PAA page.
+// ─────────────────────────────────────────────────────────────
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { fileURLToPath } from "url";
+import path from "path";
+import serpapi from "./serpapi.js";
+import valueserp from "./valueserp.js";
+import dataforseo from "./dataforseo.js";
+import { emptyContext } from "../serp.js";
+import { log } from "../logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const adapters = { serpapi, valueserp, dataforseo };
+
+function fixtureDir() {
+  return process.env.PAA_FIXTURE_DIR || path.join(__dirname, "..", "fixtures");
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "query";
+}
+
+/** File name a query is recorded under, e.g. "best-crm-software__us__en.json". */
+export function fixtureName(query, { region, language = "en", location, device = "desktop" }) {
+  const parts = [slugify(query), region, language];
+  if (location) parts.push(slugify(location));
+  if (device !== "desktop") parts.push(device);
+  return `${parts.join("__")}.json`;
+}
+
+/** Save a raw provider response so the fixture provider can replay it later. */
+export function recordFixture(query, locale, provider, response) {
+  const dir = fixtureDir();
+  mkdirSync(dir, { recursive: true });
+
+  const file = path.join(dir, fixtureName(query, locale));
+  writeFileSync(file, JSON.stringify({ provider, query, ...locale, response }, null, 2));
+  log.info(`💾  Recorded fixture ${path.basename(file)}`, { fixture: path.basename(file) });
+}
+
+async function fetchPage(query, locale) {
+  const file = path.join(fixtureDir(), fixtureName(query, locale));
+
+  if (!existsSync(file)) {
+    log.warn(`⚠️  No fixture for "${query}" (${path.basename(file)}) — replaying an empty page.`, { query, fixture: path.basename(file) });
+    return { questions: [], related: [], context: emptyContext(), raw: null };
+  }
+
+  const fixture = JSON.parse(readFileSync(file, "utf8"));
+  const adapter = adapters[fixture.provider || "serpapi"];
+
+  if (!adapter) {
+    throw new Error(`❌  Fixture ${path.basename(file)} uses unknown provider "${fixture.provider}".`);
+  }
+
+  return {
+    questions: adapter.normalize(fixture.response),
+    related: adapter.relatedSearches(fixture.response),
+    context: adapter.serpContext(fixture.response),
+    raw: fixture.response,
+  };
+}
+
+export default { name: "fixture", fetchPage, normalize: serpapi.normalize, relatedSearches: serpapi.relatedSearches, serpContext: serpapi.serpContext };
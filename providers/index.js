@@ -0,0 +1,45 @@
+// ─────────────────────────────────────────────────────────────
+//  providers/index.js – SERP provider registry
+//
+//  Every provider exposes the same interface:
+//
+//    name                               – registry key
+//    fetchPage(query, { region, language, location, device })
+//      → { questions: [{ question, answer, link, title, domain, serpPosition }],
+//          related, context, raw, error? }
+//    normalize(rawResponse)             – raw JSON → questions
+//    relatedSearches(rawResponse)       – raw JSON → Google's related searches
+//    serpContext(rawResponse)           – raw JSON → { organic, featuredSnippet }
+//
+//  Key-based providers also expose:
+//
+//    keyEnv                             – env var holding their keys
+//    fetchCredits(apiKey)               – { remaining, used, limit }
+//
+//  The provider is picked per request, or via SERP_PROVIDER
+//  (default: serpapi).
+// ─────────────────────────────────────────────────────────────
+
+import serpapi from "./serpapi.js";
+import valueserp from "./valueserp.js";
+import dataforseo from "./dataforseo.js";
+import fixture from "./fixture.js";
+
+const PROVIDERS = { serpapi, valueserp, dataforseo, fixture };
+
+export const providerNames = Object.keys(PROVIDERS);
+
+/**
+ * Look up a provider by name, falling back to SERP_PROVIDER / serpapi.
+ */
+export function getProvider(name) {
+  const key = (name || process.env.SERP_PROVIDER || "serpapi").toLowerCase();
+  const provider = PROVIDERS[key];
+
+  if (!provider) {
+    throw new Error(`❌  Unknown SERP provider "${key}". Use one of: ${providerNames.join(", ")}.`);
+  }
+  return provider;
+}
+
+export { recordFixture } from "./fixture.js";
@@ -0,0 +1,141 @@
+// ─────────────────────────────────────────────────────────────
+//  providers/serpapi.js – SerpAPI adapter (https://serpapi.com)
+//
+//  Keys: SERPAPI_KEY (comma-separated for rotation)
+//
+//  SERPAPI_BASE_URL points the adapter at another host (e.g. the
+//  mock server in test/helpers/), and SERPAPI_TIMEOUT_MS changes
+//  the request timeout (default 15 s).
+// ─────────────────────────────────────────────────────────────
+
+import axios from "axios";
+import { getKeyManager } from "../keys.js";
+import { bodyErrorType } from "../errors.js";
+import { domainOf, ORGANIC_LIMIT } from "../serp.js";
+import { log } from "../logger.js";
+
+const SERPAPI_BASE_URL = "https://serpapi.com";
+const DEFAULT_TIMEOUT_MS = 15000;
+const KEY_ENV = "SERPAPI_KEY";
+
+function endpoint(path) {
+  return `${(process.env.SERPAPI_BASE_URL || SERPAPI_BASE_URL).replace(/\/+$/, "")}${path}`;
+}
+
+function timeout() {
+  return Number(process.env.SERPAPI_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+}
+
+function mapQuestion(item, i) {
+  return {
+    question: item.question || "",
+    answer:
+      item.snippet ||
+      item.answer ||
+      item.snippet_highlighted_words?.join(" ") ||
+      "No answer available",
+    link: item.link || item.displayed_link || "",
+    title: item.title || "",
+    domain: domainOf(item.link) || domainOf(item.displayed_link),
+    serpPosition: i + 1,
+  };
+}
+
+/** Turn a raw SerpAPI response into normalized PAA questions. */
+export function normalize(data) {
+  return (data?.related_questions || []).map(mapQuestion);
+}
+
+/** Organic results and the featured snippet (answer box) of a raw SerpAPI response. */
+export function serpContext(data) {
+  const box = data?.answer_box;
+  const snippet = box?.snippet || box?.answer;
+
+  return {
+    organic: (data?.organic_results || []).slice(0, ORGANIC_LIMIT).map((r, i) => ({
+      position: r.position ?? i + 1,
+      title: r.title || "",
+      link: r.link || "",
+      domain: domainOf(r.link) || domainOf(r.displayed_link),
+      snippet: r.snippet || "",
+    })),
+    featuredSnippet: snippet
+      ? { title: box.title || "", snippet, link: box.link || "", domain: domainOf(box.link) || domainOf(box.displayed_link) }
+      : null,
+  };
+}
+
+/** Google's "related searches" from a raw SerpAPI response. */
+export function relatedSearches(data) {
+  return (data?.related_searches || []).map((r) => r.query).filter(Boolean);
+}
+
+/**
+ * Fetch a single SERP page, paced by the key's rate limiter.
+ * If the key hits its limit (429 or error message), auto-rotates and retries;
+ * a 429 with a short Retry-After waits and retries on the same key.
+ */
+async function fetchPage(query, { region, language = "en", location, device = "desktop" }, attempt = 0) {
+  const km = getKeyManager(KEY_ENV);
+  let apiKey;
+
+  try {
+    apiKey = await km.acquire();
+
+    const response = await axios.get(endpoint("/search.json"), {
+      params: {
+        engine: "google",
+        q: query,
+        gl: region,
+        hl: language,
+        location: location || undefined,
+        device,
+        api_key: apiKey,
+      },
+      timeout: timeout(),
+    });
+
+    // SerpAPI sometimes returns 200 with an error message in the body
+    if (response.data?.error) {
+      // e.g. "Your account has run out of searches."
+      if (bodyErrorType(response.data.error) === "quota") {
+        log.warn(`⚠️  Key #${km.keys.indexOf(apiKey) + 1} hit its limit.`, { provider: "serpapi", key: km.keys.indexOf(apiKey) + 1, detail: response.data.error });
+        if (km.rotate("quota", apiKey)) {
+          return fetchPage(query, { region, language, location, device }); // retry with next key
+        }
+      }
+      return { questions: [], raw: response.data, error: response.data.error };
+    }
+
+    return {
+      questions: normalize(response.data),
+      related: relatedSearches(response.data),
+      context: serpContext(response.data),
+      raw: response.data,
+    };
+  } catch (error) {
+    // 429 Too Many Requests — wait out Retry-After, or rotate key
+    if (apiKey && error.response?.status === 429) {
+      if (km.rateLimited(apiKey, error.response.headers?.["retry-after"], attempt)) {
+        return fetchPage(query, { region, language, location, device }, attempt + 1);
+      }
+    }
+    throw error;
+  }
+}
+
+/** Remaining searches for a key, from SerpAPI's account endpoint (free to call). */
+async function fetchCredits(apiKey) {
+  const { data } = await axios.get(endpoint("/account.json"), {
+    params: { api_key: apiKey },
+    timeout: timeout(),
+  });
+
+  return {
+    remaining: data.total_searches_left ?? data.plan_searches_left ?? null,
+    used: data.this_month_usage ?? null,
+    limit: data.searches_per_month ?? null,
+  };
+}
+
+export default { name: "serpapi", keyEnv: KEY_ENV, fetchPage, fetchCredits, normalize, relatedSearches, serpContext };
@@ -0,0 +1,116 @@
+// ─────────────────────────────────────────────────────────────
+//  providers/valueserp.js – ValueSERP adapter (https://valueserp.com)
+//
+//  Keys: VALUESERP_KEY (comma-separated for rotation)
+// ─────────────────────────────────────────────────────────────
+
+import axios from "axios";
+import { getKeyManager } from "../keys.js";
+import { domainOf, ORGANIC_LIMIT } from "../serp.js";
+import { log } from "../logger.js";
+
+const VALUESERP_ENDPOINT = "https://api.valueserp.com/search";
+const VALUESERP_ACCOUNT_ENDPOINT = "https://api.valueserp.com/account";
+const KEY_ENV = "VALUESERP_KEY";
+
+function mapQuestion(item, i) {
+  return {
+    question: item.question || "",
+    answer: item.answer || "No answer available",
+    link: item.source?.link || "",
+    title: item.source?.title || "",
+    domain: domainOf(item.source?.link) || domainOf(item.source?.displayed_link),
+    serpPosition: i + 1,
+  };
+}
+
+/** Turn a raw ValueSERP response into normalized PAA questions. */
+export function normalize(data) {
+  return (data?.related_questions || []).map(mapQuestion);
+}
+
+/** Organic results and the featured snippet (answer box) of a raw ValueSERP response. */
+export function serpContext(data) {
+  const box = data?.answer_box?.answers?.[0] || data?.answer_box?.answer_box_results?.[0];
+
+  return {
+    organic: (data?.organic_results || []).slice(0, ORGANIC_LIMIT).map((r, i) => ({
+      position: r.position ?? i + 1,
+      title: r.title || "",
+      link: r.link || "",
+      domain: r.domain?.replace(/^www\./, "") || domainOf(r.link),
+      snippet: r.snippet || "",
+    })),
+    featuredSnippet: box?.answer
+      ? { title: box.source?.title || "", snippet: box.answer, link: box.source?.link || "", domain: domainOf(box.source?.link) }
+      : null,
+  };
+}
+
+/** Google's "related searches" from a raw ValueSERP response. */
+export function relatedSearches(data) {
+  return (data?.related_searches || []).map((r) => r.query).filter(Boolean);
+}
+
+/**
+ * Fetch a single SERP page, paced by the key's rate limiter.
+ * 402 (out of credits) and 429 (rate limited) rotate to the next key;
+ * a 429 with a short Retry-After waits and retries on the same key.
+ */
+async function fetchPage(query, { region, language = "en", location, device = "desktop" }, attempt = 0) {
+  const km = getKeyManager(KEY_ENV);
+  let apiKey;
+
+  try {
+    apiKey = await km.acquire();
+
+    const response = await axios.get(VALUESERP_ENDPOINT, {
+      params: {
+        q: query,
+        gl: region,
+        hl: language,
+        location: location || undefined,
+        device,
+        api_key: apiKey,
+      },
+      timeout: 15000,
+    });
+
+    return {
+      questions: normalize(response.data),
+      related: relatedSearches(response.data),
+      context: serpContext(response.data),
+      raw: response.data,
+    };
+  } catch (error) {
+    const status = error.response?.status;
+    if (apiKey && status === 429) {
+      if (km.rateLimited(apiKey, error.response.headers?.["retry-after"], attempt)) {
+        return fetchPage(query, { region, language, location, device }, attempt + 1);
+      }
+    } else if (apiKey && status === 402) {
+      log.warn(`⚠️  Key #${km.keys.indexOf(apiKey) + 1} is out of credits (402).`, { provider: "valueserp", key: km.keys.indexOf(apiKey) + 1 });
+      if (km.rotate("quota", apiKey)) {
+        return fetchPage(query, { region, language, location, device });
+      }
+    }
+    throw error;
+  }
+}
+
+/** Remaining credits for a key, from ValueSERP's account endpoint. */
+async function fetchCredits(apiKey) {
+  const { data } = await axios.get(VALUESERP_ACCOUNT_ENDPOINT, {
+    params: { api_key: apiKey },
+    timeout: 15000,
+  });
+
+  const info = data.account_info || {};
+  return {
+    remaining: info.credits_remaining ?? null,
+    used: info.credits_used ?? null,
+    limit: info.credits_limit ?? null,
+  };
+}
+
+export default { name: "valueserp", keyEnv: KEY_ENV, fetchPage, fetchCredits, normalize, relatedSearches, serpContext };
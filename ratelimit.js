@@ -0,0 +1,122 @@
+// ─────────────────────────────────────────────────────────────
+//  ratelimit.js – Token-bucket rate limiting for SERP API calls
+//
+//  Every API key (or login, for DataForSEO) gets its own bucket:
+//  PAA_RATE_LIMIT requests per second on average, with bursts of
+//  up to PAA_RATE_BURST. Callers wait for a token instead of
+//  firing requests that would come back as 429s.
+//
+//  A 429 with a short Retry-After pauses the bucket, so every
+//  caller sharing that key holds back until the server is ready.
+// ─────────────────────────────────────────────────────────────
+
+import { log } from "./logger.js";
+
+export const DEFAULT_RATE_LIMIT = 2;       // requests / second / key
+export const DEFAULT_RATE_BURST = 4;
+
+// Retry-After values above this rotate / fail instead of waiting
+export const MAX_RETRY_AFTER_SECONDS = 120;
+
+// ─── Helpers ────────────────────────────────────────────────
+
+export function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Seconds to wait from a Retry-After header — either delay-seconds
+ * or an HTTP date. Returns null when missing or unparseable.
+ */
+export function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === "") return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function envNumber(name, fallback) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === "") return fallback;
+
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) {
+        log.warn(`⚠️  Ignoring invalid ${name}="${raw}" — using ${fallback}.`, { setting: name });
+        return fallback;
+    }
+    return n;
+}
+
+// ─── Token Bucket ───────────────────────────────────────────
+
+export class TokenBucket {
+    /**
+     * @param {number} rate  - tokens added per second (0 = unlimited)
+     * @param {number} burst - bucket capacity
+     */
+    constructor(rate = DEFAULT_RATE_LIMIT, burst = DEFAULT_RATE_BURST) {
+        this.rate = rate;
+        this.burst = Math.max(1, burst);
+        this.tokens = this.burst;
+        this.updatedAt = Date.now();
+        this.pausedUntil = 0;
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Take a token if one is available. Returns 0 on success, otherwise
+     * the milliseconds to wait before trying again.
+     */
+    tryTake() {
+        const now = Date.now();
+        if (this.pausedUntil > now) return this.pausedUntil - now;
+        if (!this.rate) return 0;
+
+        this.refill();
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+    }
+
+    /** Wait until a token is available and take it. */
+    async take() {
+        for (let wait = this.tryTake(); wait > 0; wait = this.tryTake()) {
+            await sleep(wait);
+        }
+    }
+
+    /** Hold every caller back for `ms` (e.g. from a Retry-After header). */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        this.tokens = 0;
+        this.updatedAt = this.pausedUntil;
+    }
+}
+
+// One bucket per key id — shared by every keyword and job in the process
+const buckets = new Map();
+
+/** Rate limit settings from PAA_RATE_LIMIT / PAA_RATE_BURST. */
+export function rateLimitSettings() {
+    const rate = envNumber("PAA_RATE_LIMIT", DEFAULT_RATE_LIMIT);
+    return { rate, burst: envNumber("PAA_RATE_BURST", Math.max(DEFAULT_RATE_BURST, Math.ceil(rate))) };
+}
+
+export function getBucket(id) {
+    if (!buckets.has(id)) {
+        const { rate, burst } = rateLimitSettings();
+        buckets.set(id, new TokenBucket(rate, burst));
+    }
+    return buckets.get(id);
+}
@@ -0,0 +1,66 @@
+// ─────────────────────────────────────────────────────────────
+//  serp.js – SERP context around the PAA box
+//
+//  In extended mode every question keeps its answer's source
+//  `title`, `domain` and `serpPosition` (its slot in the PAA box),
+//  and each keyword keeps the organic results and featured snippet
+//  of its seed SERP.
+//
+//  With a `url` site filter, answerOwnership() reports which PAA
+//  answers (and, in extended mode, whether the featured snippet or
+//  an organic result) come from that domain.
+// ─────────────────────────────────────────────────────────────
+
+export const ORGANIC_LIMIT = 10;   // organic results kept per SERP
+
+/**
+ * Bare hostname of a link or displayed link ("https://www.example.com › blog"),
+ * without "www.". Returns "" when there isn't one.
+ */
+export function domainOf(link) {
+    if (!link) return "";
+    try {
+        return new URL(link).hostname.replace(/^www\./, "").toLowerCase();
+    } catch {
+        const host = String(link).trim().replace(/^[a-z]+:\/\//i, "").split(/[\/\s›?#]/)[0];
+        return host.includes(".") ? host.replace(/^www\./, "").toLowerCase() : "";
+    }
+}
+
+/** True if `link` is on `domain` or one of its subdomains. */
+export function ownsDomain(link, domain) {
+    const host = domainOf(link);
+    return Boolean(host && domain) && (host === domain || host.endsWith(`.${domain}`));
+}
+
+/** Empty SERP context — for providers / cached pages without one. */
+export function emptyContext() {
+    return { organic: [], featuredSnippet: null };
+}
+
+/**
+ * Which PAA answers the `url` domain owns.
+ *
+ * @param {object[]} questions - final questions (position = index + 1)
+ * @param {string}   url       - the site filter
+ * @param {object}   [serp]    - seed SERP context (extended mode), for the
+ *                               featured snippet / organic checks
+ * @returns {{ domain, owned, total, questions, featuredSnippet, organicPosition } | null}
+ */
+export function answerOwnership(questions, url, serp = null) {
+    const domain = domainOf(url);
+    if (!domain) return null;
+
+    const owned = questions
+        .map((q, i) => ({ position: i + 1, question: q.question, link: q.link }))
+        .filter((q) => ownsDomain(q.link, domain));
+
+    return {
+        domain,
+        owned: owned.length,
+        total: questions.length,
+        questions: owned,
+        featuredSnippet: serp ? ownsDomain(serp.featuredSnippet?.link, domain) : null,
+        organicPosition: serp ? serp.organic.find((r) => ownsDomain(r.link, domain))?.position ?? null : null,
+    };
+}
@@ -1,14 +1,78 @@
 // ─────────────────────────────────────────────────────────────
 //  server.js – Express server serving the PAA frontend + API
 //  Supports multiple comma-separated keywords with auto-retry.
+//
+//  POST /api/paa (or POST /api/paa/upload with a CSV / XLSX file)
+//  queues a background job and returns its ID right away; progress
+//  is available from /api/jobs/:id (polling) and
+//  /api/jobs/:id/events (Server-Sent Events).
+//
+//  Saved watchlists (/api/watchlists) are started as jobs by the
+//  built-in scheduler whenever they're due.
+//
+//  Once API tokens exist (see tokens.js), every /api route needs
+//  one, and runs are checked against and counted towards its quotas.
+//
+//  Every API request gets a correlation ID — the caller's
+//  X-Request-Id, or a new one — echoed back in X-Request-Id and
+//  attached to every log line it causes, job keywords included
+//  (see logger.js). GET /metrics serves Prometheus metrics
+//  (see metrics.js).
 // ─────────────────────────────────────────────────────────────
 
 import "dotenv/config";
+import { createHash, randomUUID, timingSafeEqual } from "crypto";
 import express from "express";
+import multer from "multer";
 import path from "path";
 import { fileURLToPath } from "url";
-import { getPAA } from "./paa.js";
-import { appendToSheet } from "./sheets.js";
+import { processKeyword, resolveThresholds, resolveTreeOptions, splitKeywords, writeDomainShare } from "./pipeline.js";
+import { getProvider, providerNames } from "./providers/index.js";
+import { getKeyManager } from "./keys.js";
+import { getCacheStats, purgeCache } from "./cache.js";
+import { devices, languages, regions, resolveLocale } from "./locales.js";
+import { resolveSheetOptions } from "./sheets.js";
+import { resolveSimilarity } from "./similarity.js";
+import { getTemplates, resolveExpansions } from "./expansions.js";
+import { getClassifier } from "./intents.js";
+import { findRunEntries, getHistoryEntry, groupRunEntries, listHistory } from "./history.js";
+import { buildTree } from "./paa.js";
+import { diffById, diffLatest } from "./diff.js";
+import { domainShareForRun } from "./domains.js";
+import { exportContentTypes, exportFormats, renderResults } from "./exporters.js";
+import { parseUpload, renderWriteBack, rowLabels, uploadFormat, uploadFormats, validateRows } from "./bulk.js";
+import { CreditBudget, creditSummary, estimateCredits, resolveBudgets } from "./budget.js";
+import { createJob, getJob, jobStatus, resumeJobs, runJob, subscribe } from "./jobs.js";
+import {
+    createWatchlist,
+    deleteWatchlist,
+    getWatchlist,
+    listWatchlists,
+    markFinished,
+    markStarted,
+    resolveKeywords,
+    sendWebhook,
+    startScheduler,
+    updateWatchlist,
+} from "./watchlists.js";
+import {
+    assertCanRun,
+    authEnabled,
+    authenticate,
+    getToken,
+    isAdminToken,
+    issueToken,
+    keywordCapError,
+    listTokens,
+    quotaBudget,
+    quotaError,
+    recordUsage,
+    revokeToken,
+    tokenUsage,
+    updateToken,
+} from "./tokens.js";
+import { log, withLogContext } from "./logger.js";
+import { httpDuration, METRICS_CONTENT_TYPE, renderMetrics } from "./metrics.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,123 +80,1009 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const MIN_QUESTIONS = 9;     // keep retrying until at least this many unique Qs
-const MAX_QUESTIONS = 12;    // cap — never collect more than this
-const MAX_RUNS = 6;          // safety cap — avoid infinite loops / API burn
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
 
 // ─── Middleware ──────────────────────────────────────────────
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
-// ─── Per-keyword pipeline ───────────────────────────────────
+/**
+ * Correlation ID and timing for every request past the static files.
+ * Registered after the body parser: stream callbacks would lose the
+ * log context set up before it.
+ */
+function requestContext(req, res, next) {
+    const given = req.get("x-request-id");
+    req.id = given && /^[\w.:-]{1,128}$/.test(given) ? given : randomUUID();
+    res.set("X-Request-Id", req.id);
+
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+        httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+        withLogContext({ requestId: req.id }, () => log.info(`🌐  ${req.method} ${req.originalUrl.split("?")[0]} → ${res.statusCode} (${Math.round(seconds * 1000)} ms)`, {
+            method: req.method,
+            path: req.originalUrl.split("?")[0],
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
+        }));
+    });
+
+    withLogContext({ requestId: req.id }, next);
+}
+
+app.use(requestContext);
 
 /**
- * Process a single keyword:
- *  1. Keep scraping PAA until we have TARGET_QUESTIONS unique questions.
- *  2. Deduplicate across runs using a Set.
- *  3. Write to the Google Sheet only ONCE, after collecting enough.
- *  4. Safety cap at MAX_RUNS to prevent infinite loops.
+ * The caller's API token: `Authorization: Bearer <token>`, `X-API-Key`,
+ * or `?token=` on GET requests (EventSource and download links can't set headers).
  */
-async function processKeyword(kw, region, url) {
-    const collected = [];      // temporary in-memory store
-    const seen = new Set();    // lowercase question strings for dedup
-    let run = 0;
+function requestToken(req) {
+    const header = req.get("authorization") || "";
+    if (/^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, "").trim();
+    return req.get("x-api-key") || (req.method === "GET" && typeof req.query.token === "string" ? req.query.token : "");
+}
 
-    while (collected.length < MIN_QUESTIONS && run < MAX_RUNS) {
-        run++;
-        console.log(`🔍  Run #${run} for "${kw}" (have ${collected.length}/${MIN_QUESTIONS})`);
+/** Every /api route except /api/locales needs a valid token once auth is on. */
+function requireToken(req, res, next) {
+    if (!authEnabled() || req.path === "/locales") return next();
+
+    req.token = authenticate(requestToken(req));
+    if (!req.token) {
+        return res.status(401).json({ error: "A valid API token is required (Authorization: Bearer <token>)." });
+    }
+    return next();
+}
 
-        const results = await getPAA(kw, region, url || undefined, 12, seen);
+/** Token management needs PAA_ADMIN_TOKEN. */
+function requireAdmin(req, res, next) {
+    if (!process.env.PAA_ADMIN_TOKEN) {
+        return res.status(403).json({ error: "Set PAA_ADMIN_TOKEN to manage tokens over HTTP, or use `node index.js tokens`." });
+    }
+    if (!isAdminToken(requestToken(req))) {
+        return res.status(403).json({ error: "Managing tokens needs PAA_ADMIN_TOKEN." });
+    }
+    return next();
+}
 
-        if (results.length === 0) {
-            console.log(`   ↳ Run #${run} returned 0 new questions.`);
-            continue;
-        }
+/**
+ * Once auth is on, only PAA_ADMIN_TOKEN may purge the SERP cache: it's
+ * shared, so a client purging it would make every other token pay again.
+ */
+function requireCacheAdmin(req, res, next) {
+    if (!authEnabled() || req.token?.admin) return next();
+    return res.status(403).json({ error: "Purging the shared SERP cache needs PAA_ADMIN_TOKEN, or use `node index.js cache purge`." });
+}
 
-        for (const item of results) {
-            const qLower = item.question.toLowerCase();
-            if (seen.has(qLower)) continue;
-            seen.add(qLower);
-            collected.push(item);
-        }
+/**
+ * Background jobs need a process that outlives the response. A Vercel
+ * function is frozen once it has answered, and job state only lives in
+ * one instance's /tmp, so jobs are refused there — vercel.json sends
+ * POST /api/paa to the synchronous api/paa.js instead.
+ */
+function requireLongRunning(req, res, next) {
+    if (!process.env.VERCEL) return next();
+    return res.status(501).json({ error: "Background jobs need the long-running server (npm run serve). On Vercel, POST /api/paa answers with the results directly." });
+}
+
+app.use("/api", requireToken);
+app.use("/api/tokens", requireAdmin);
+
+/**
+ * The API token whose jobs, history and watchlists the caller may see,
+ * or null for all of them (auth off, or PAA_ADMIN_TOKEN).
+ */
+function callerScope(req) {
+    return req.token && !req.token.admin ? req.token.id : null;
+}
+
+/** True if the caller may see something made with `tokenId` (see callerScope). */
+function canAccess(req, tokenId) {
+    const scope = callerScope(req);
+    return !scope || tokenId === scope;
+}
+
+// ─── Job worker ─────────────────────────────────────────────
 
-        console.log(`   ↳ Now have ${collected.length} unique question(s).`);
+const jobBudgets = new Map();  // job id → CreditBudget shared by the job's keywords
+
+/**
+ * The credit budget a job's keywords share: its `maxCredits`, drawn from
+ * its API token's call quota (see quotaBudget). Null when neither limits it.
+ */
+function jobBudget(jobId, maxCredits, tokenId) {
+    const quota = quotaBudget(tokenId);
+    if (!maxCredits) return quota;
+    if (!jobBudgets.has(jobId)) {
+        const budget = new CreditBudget(maxCredits, quota);
+        // A resumed job has already spent the credits of its finished keywords
+        budget.spent = creditSummary(getJob(jobId)?.outcomes).spent;
+        jobBudgets.set(jobId, budget);
     }
+    return jobBudgets.get(jobId);
+}
+
+/**
+ * Job worker — runs the per-keyword pipeline with the job's params.
+ * Rows of an uploaded file carry their own keyword, locale and URL.
+ * The job ID doubles as the sheet's run ID.
+ *
+ * The job's API token must still be valid and within its quotas before
+ * each keyword; the keyword's SERP calls are counted towards it as they're
+ * made. Keywords stop expanding once the token's quota, the job's or their
+ * own credit budget is spent.
+ */
+async function runKeyword(kw, params, jobId) {
+    const { provider, refresh, thresholds, tree, similarity, expansions, extended, sheet, bulk, tokenId } = params;
+    const { maxCredits, maxKeywordCredits } = params;
+    const row = bulk?.rows.find((r) => r.label === kw);
+    const { keyword, region, language, location, device, url } = row || { ...params, keyword: kw };
+
+    assertCanRun(tokenId);
+
+    const outcome = await processKeyword(keyword, region, url, {
+        provider,
+        refresh,
+        language,
+        location,
+        device,
+        tree,
+        similarity,
+        expansions,
+        extended,
+        ...thresholds,
+        sheetOptions: sheet || {},
+        runId: jobId,
+        tokenId,
+        maxKeywordCredits,
+        budget: jobBudget(jobId, maxCredits, tokenId),
+    });
 
-    // ── Single sheet write after all runs ────────────────────
-    if (collected.length > 0) {
-        const final = collected.slice(0, MAX_QUESTIONS);
+    if (tokenId) {
+        recordUsage(tokenId, { cacheHits: outcome.cacheHits, keywords: 1, questions: outcome.questions.length });
+    }
+    return outcome;
+}
+
+/** Booleans from JSON bodies or multipart form fields ("true" / "1"). */
+function isTrue(value) {
+    return value === true || value === "true" || value === "1";
+}
+
+/**
+ * Options shared by every job, from a JSON body or multipart form fields.
+ * Throws on invalid values.
+ */
+function resolveRunOptions(body) {
+    const { provider } = body;
+    if (provider && !providerNames.includes(provider)) {
+        throw new Error(`Unknown provider "${provider}". Use one of: ${providerNames.join(", ")}.`);
+    }
+
+    // Form fields arrive as strings
+    let sheet = body.sheet || {};
+    if (typeof sheet === "string") {
         try {
-            await appendToSheet(kw, region, url || "", final);
-            console.log(`📤  Wrote ${final.length} question(s) for "${kw}" to sheet.`);
-        } catch (e) {
-            console.error(`⚠️  Sheet write failed for "${kw}":`, e.message);
+            sheet = JSON.parse(sheet);
+        } catch {
+            throw new Error("sheet must be a JSON object.");
         }
-        console.log(`📊  Final count for "${kw}": ${final.length} question(s).\n`);
-        return final;
     }
+    resolveSheetOptions(sheet);
+
+    return {
+        provider,
+        refresh: isTrue(body.refresh),
+        extended: isTrue(body.extended),
+        thresholds: resolveThresholds(body),
+        tree: resolveTreeOptions(body),
+        similarity: resolveSimilarity(body.similarity),
+        expansions: resolveExpansions(body.expansions),
+        sheet,
+        ...resolveBudgets(body),
+    };
+}
+
+/**
+ * Dry run: what the keywords would cost under `options` (see resolveRunOptions),
+ * without fetching anything. Estimates come from the caller's own history.
+ */
+function dryRun(req, searches, options) {
+    return estimateCredits(searches, {
+        tokenId: callerScope(req),
+        ...options.thresholds,
+        tree: options.tree,
+        expansions: options.expansions,
+        maxCredits: options.maxCredits,
+        maxKeywordCredits: options.maxKeywordCredits,
+    });
+}
+
+/** Create a job and start it in the background. */
+function startJob(keywords, params) {
+    const job = createJob(keywords, params);
+    if (params.tokenId) recordUsage(params.tokenId, { jobs: 1 });
+
+    log.info(`\n📦  Job ${job.id}: queued ${keywords.length} keyword(s): [${keywords.join(", ")}]\n${"─".repeat(50)}`, { jobId: job.id, keywords: keywords.length });
+
+    // Run in the background — the client follows along via /api/jobs/:id
+    runJob(job, runKeyword)
+        .then(() => jobFinished(job))
+        .catch((e) => log.error(`❌  Wrap-up of job ${job.id} failed`, { jobId: job.id, error: e.message }));
+
+    return job;
+}
+
+/** Wrap-up once every keyword of a job is in (fresh or resumed). */
+async function jobFinished(job) {
+    const { spent } = creditSummary(job.outcomes);
+    log.info(`${"─".repeat(50)}\n📦  Job ${job.id} done — ${job.totalCount} total questions, ${spent} credit(s) spent.\n`, {
+        jobId: job.id,
+        status: job.status,
+        questions: job.totalCount,
+        creditsSpent: spent,
+    });
+    jobBudgets.delete(job.id);
+
+    // The batch's domain share goes to the sheet once every keyword is in
+    if (Object.values(job.outcomes).some((o) => o.sheet?.written)) {
+        await writeDomainShare(job.id, job.params.sheet);
+    }
+
+    if (job.params.watchlist) {
+        await notifyWatchlist(job.params.watchlist, watchlistSummary(job));
+    }
+}
+
+function jobLinks(job) {
+    return {
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`,
+        exportUrl: `/api/jobs/${job.id}/export`,
+        domainsUrl: `/api/runs/${job.id}/domains`,
+    };
+}
+
+// ─── Watchlists ─────────────────────────────────────────────
+
+function isActive(job) {
+    return Boolean(job) && (job.status === "queued" || job.status === "running");
+}
+
+/** The JSON a watchlist's webhook receives when one of its runs ends. */
+function watchlistSummary(job) {
+    const status = jobStatus(job);
+    const results = Object.fromEntries(job.keywords.map((kw) => {
+        const outcome = job.outcomes[kw];
+        const progress = job.progress[kw];
+        return [kw, {
+            status: outcome?.status || progress.status,
+            count: progress.count,
+            reason: outcome?.reason || null,
+            error: outcome?.error || progress.error || null,
+        }];
+    }));
+    const failed = Object.values(results).filter((r) => r.status === "failed").length;
+    const runFailed = job.status === "failed" || failed === job.keywords.length;
+
+    return {
+        event: runFailed ? "watchlist.run.failed" : "watchlist.run.finished",
+        watchlist: job.params.watchlist,
+        jobId: job.id,
+        status: runFailed ? "failed" : "done",
+        error: job.error,
+        startedAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        keywords: job.keywords.length,
+        failed,
+        totalCount: job.totalCount,
+        sheetUpdated: status.sheetUpdated,
+        results,
+        ...jobLinks(job),
+    };
+}
+
+/** POST a run summary to the watchlist's webhook (or PAA_WEBHOOK_URL) and record the result. */
+async function notifyWatchlist({ id }, summary) {
+    const own = getWatchlist(id)?.webhook;
+    const url = own || process.env.PAA_WEBHOOK_URL;
+    const webhook = url ? await sendWebhook(url, summary, { trusted: !own }) : null;
+    markFinished(id, summary.status, webhook);
+}
 
-    // ── 0 questions after all retries ────────────────────────
-    console.log(`⚠️  No questions found for "${kw}" after ${MAX_RUNS} runs.`);
+/**
+ * Start a watchlist's keywords as a job, on behalf of the token that saved
+ * it. A watchlist whose options no longer validate, or whose token was
+ * revoked or is out of quota, still counts as run — its webhook hears about
+ * the failure before this rejects.
+ */
+async function runWatchlist(watchlist) {
+    const { id, name, schedule, keywords, region, language, location, device, url, tokenId } = watchlist;
+
+    let options;
     try {
-        await appendToSheet(kw, region, url || "", []);
+        options = resolveRunOptions(watchlist.options);
+        assertCanRun(tokenId);
     } catch (e) {
-        console.error(`⚠️  Sheet write failed for "${kw}":`, e.message);
+        markStarted(watchlist, null);
+        await notifyWatchlist(watchlist, {
+            event: "watchlist.run.failed",
+            watchlist: { id, name, schedule },
+            jobId: null,
+            status: "failed",
+            error: e.message,
+        });
+        throw e;
     }
-    console.log(`📊  Final count for "${kw}": 0 question(s).\n`);
-    return [];
+
+    const job = startJob(keywords, { region, language, location, device, url, ...options, watchlist: { id, name, schedule }, tokenId });
+    markStarted(watchlist, job.id);
+    return job;
 }
 
-// ─── API Route ──────────────────────────────────────────────
+// ─── API Routes ─────────────────────────────────────────────
 
-app.post("/api/paa", async (req, res) => {
-    const { keyword, region, url } = req.body;
+app.post("/api/paa", requireLongRunning, (req, res) => {
+    const { keyword, url } = req.body;
 
     if (!keyword || !keyword.trim()) {
         return res.status(400).json({ error: "At least one keyword is required." });
     }
 
-    const validRegions = ["us", "in"];
-    const safeRegion = validRegions.includes(region) ? region : "us";
+    let options, locale;
+    try {
+        options = resolveRunOptions(req.body);
+        locale = resolveLocale(req.body);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
 
     // Split comma-separated keywords and deduplicate
-    const keywords = [...new Set(
-        keyword.split(",").map((k) => k.trim()).filter(Boolean)
-    )];
+    const keywords = splitKeywords(keyword);
+
+    if (isTrue(req.body.dryRun)) {
+        return res.json(dryRun(req, keywords.map((kw) => ({ keyword: kw, ...locale, url: url || "" })), options));
+    }
+
+    const quota = req.token && quotaError(req.token, keywords.length);
+    if (quota) {
+        return res.status(quota.status).json({ error: quota.error });
+    }
+
+    const job = startJob(keywords, { ...locale, url: url || "", ...options, tokenId: req.token?.id });
+
+    return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        keywords,
+        ...locale,
+        ...options.thresholds,
+        mode: options.tree ? "tree" : "list",
+        tree: options.tree,
+        similarity: options.similarity,
+        expansions: options.expansions,
+        extended: options.extended,
+        maxCredits: options.maxCredits,
+        maxKeywordCredits: options.maxKeywordCredits,
+        ...jobLinks(job),
+    });
+});
+
+/**
+ * Bulk upload: a CSV or XLSX file (field "file") with one keyword per row
+ * and optional region / language / location / device / url columns.
+ * Form fields set the defaults and the same options as POST /api/paa.
+ *
+ * Every row is validated before anything is fetched: any invalid row
+ * rejects the upload with a row-level error list, unless skipInvalid=true,
+ * in which case only the valid rows are queued.
+ */
+app.post("/api/paa/upload", requireLongRunning, (req, res) => {
+    // multer finishes outside the request's log context, so restore it
+    upload.single("file")(req, res, (uploadError) => withLogContext({ requestId: req.id }, async () => {
+        if (uploadError) {
+            const message = uploadError.code === "LIMIT_FILE_SIZE"
+                ? `File is too large — the limit is ${MAX_UPLOAD_BYTES / 1024 / 1024} MB.`
+                : uploadError.message;
+            return res.status(400).json({ error: message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: `Upload a ${uploadFormats.join(" or ")} file in the "file" field.` });
+        }
+
+        let options, defaults, format, parsed;
+        try {
+            options = resolveRunOptions(req.body);
+            defaults = resolveLocale(req.body);
+            format = uploadFormat(req.file.originalname);
+            parsed = await parseUpload(req.file.buffer, format);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+
+        const { rows, errors } = validateRows(parsed, defaults);
+        const skipInvalid = isTrue(req.body.skipInvalid);
+
+        if (rows.length === 0 || (errors.length > 0 && !skipInvalid)) {
+            return res.status(400).json({
+                error: `${errors.length} row(s) failed validation — nothing was fetched.`,
+                validRows: rows.length,
+                errors,
+            });
+        }
+
+        const labels = rowLabels(rows);
+        const bulk = {
+            filename: req.file.originalname,
+            format,
+            headers: parsed.headers,
+            rows: rows.map((r, i) => ({ ...r, label: labels[i] })),
+            // Kept with their input so the write-back still lists them
+            skipped: errors.map((e) => ({ ...e, input: parsed.rows.find((r) => r.row === e.row)?.values || [] })),
+        };
+
+        if (isTrue(req.body.dryRun)) {
+            return res.json({ ...dryRun(req, rows, options), skipped: errors });
+        }
+
+        const quota = req.token && quotaError(req.token, labels.length);
+        if (quota) {
+            return res.status(quota.status).json({ error: quota.error });
+        }
+
+        const job = startJob(labels, { ...defaults, url: "", ...options, bulk, tokenId: req.token?.id });
+
+        return res.status(202).json({
+            jobId: job.id,
+            status: job.status,
+            keywords: labels,
+            rows: rows.length,
+            skipped: errors,
+            ...options.thresholds,
+            mode: options.tree ? "tree" : "list",
+            expansions: options.expansions,
+            maxCredits: options.maxCredits,
+            maxKeywordCredits: options.maxKeywordCredits,
+            ...jobLinks(job),
+        });
+    }));
+});
 
-    console.log(`\n📦  Processing ${keywords.length} keyword(s): [${keywords.join(", ")}]\n${"─".repeat(50)}`);
+/** The job in `:id`, or null if it doesn't exist or belongs to another token. */
+function findJob(req) {
+    const job = getJob(req.params.id);
+    return job && canAccess(req, job.params.tokenId) ? job : null;
+}
+
+app.get("/api/jobs/:id", (req, res) => {
+    const job = findJob(req);
+    if (!job) {
+        return res.status(404).json({ error: "Job not found." });
+    }
+
+    return res.json({
+        ...jobStatus(job),
+        keywords: job.keywords,
+        region: job.params.region,
+        language: job.params.language || "en",
+        location: job.params.location || "",
+        device: job.params.device || "desktop",
+        mode: job.params.tree ? "tree" : "list",
+        ...(job.params.bulk && {
+            upload: { filename: job.params.bulk.filename, rows: job.params.bulk.rows.length, skipped: job.params.bulk.skipped.length },
+        }),
+        exportUrl: `/api/jobs/${job.id}/export`,
+        domainsUrl: `/api/runs/${job.id}/domains`,
+        grouped: job.grouped,
+        outcomes: job.outcomes,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+    });
+});
+
+/**
+ * Download a job's results. Uploaded jobs get their original rows back
+ * with each row's outcome appended (?format=csv|xlsx, default: the
+ * upload's format); other jobs export like history (csv, json, ndjson, md, xlsx, jsonld).
+ */
+app.get("/api/jobs/:id/export", async (req, res) => {
+    const job = findJob(req);
+    if (!job) {
+        return res.status(404).json({ error: "Job not found." });
+    }
+
+    const { bulk } = job.params;
+    const format = String(req.query.format || bulk?.format || "csv").toLowerCase();
+    const allowed = bulk ? uploadFormats : exportFormats;
+    if (!allowed.includes(format)) {
+        return res.status(400).json({ error: `Unknown format "${format}". Use one of: ${allowed.join(", ")}.` });
+    }
 
     try {
-        const grouped = {};
-        let totalCount = 0;
+        const body = bulk
+            ? await renderWriteBack(format, bulk.headers, [
+                ...bulk.rows.map((r) => ({
+                    row: r.row,
+                    input: r.input,
+                    outcome: job.outcomes[r.label],
+                    questions: job.grouped[r.label],
+                    error: job.progress[r.label]?.error,
+                })),
+                ...bulk.skipped.map((r) => ({ row: r.row, input: r.input, status: "invalid", error: r.error })),
+            ].sort((a, b) => a.row - b.row))
+            : await renderResults(format, job.grouped, job.params);
+        const name = bulk ? bulk.filename.replace(/\.[^.]+$/, "") + "-paa" : `paa-${job.id.slice(0, 8)}`;
+
+        res.set({
+            "Content-Type": exportContentTypes[format],
+            "Content-Disposition": `attachment; filename="${name.replace(/[^\w.-]+/g, "_")}.${format}"`,
+        });
+        return res.send(body);
+    } catch (err) {
+        log.error("Export error", { error: err.message });
+        return res.status(500).json({ error: err.message });
+    }
+});
 
-        // Process each keyword sequentially with retry + top-up + sheet writes
-        for (const kw of keywords) {
-            grouped[kw] = await processKeyword(kw, safeRegion, url);
-            totalCount += grouped[kw].length;
+/**
+ * Server-Sent Events stream for a job.
+ * Replays keywords that already finished, then pushes each new
+ * keyword's results as soon as it's done. Closes after "done".
+ */
+app.get("/api/jobs/:id/events", (req, res) => {
+    const job = findJob(req);
+    if (!job) {
+        return res.status(404).json({ error: "Job not found." });
+    }
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    for (const kw of job.keywords) {
+        if (kw in job.grouped) {
+            send("keyword", {
+                keyword: kw,
+                results: job.grouped[kw],
+                outcome: job.outcomes?.[kw],
+                error: job.progress[kw].error,
+            });
+        }
+    }
+    send("progress", jobStatus(job));
+
+    if (job.status === "done" || job.status === "failed") {
+        send("done", jobStatus(job));
+        return res.end();
+    }
+
+    const unsubscribe = subscribe(job.id, (event, data) => {
+        send(event, data);
+        if (event === "done") {
+            unsubscribe();
+            res.end();
         }
+    });
+
+    req.on("close", unsubscribe);
+});
 
-        console.log(`${"─".repeat(50)}\n📦  All keywords done — ${totalCount} total questions.\n`);
+// ─── History ────────────────────────────────────────────────
 
+/**
+ * Past keyword runs, newest first (without their questions).
+ * Filters: ?keyword= &region= &language= &url= &status= &runId= &from= &to=
+ *          &tokenId= (admin only — other tokens only ever see their own runs)
+ * Paging:  ?limit= (default 20, max 100) &offset=
+ */
+app.get("/api/history", (req, res) => {
+    try {
+        return res.json(listHistory({ ...req.query, tokenId: callerScope(req) ?? req.query.tokenId }));
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+});
+
+/** One past run with its full questions, answers and links (plus the nested tree in tree mode). */
+app.get("/api/history/:id", (req, res) => {
+    const entry = getHistoryEntry(req.params.id, { tokenId: callerScope(req) });
+    if (!entry) {
+        return res.status(404).json({ error: "History entry not found." });
+    }
+    return res.json(entry.mode === "tree" ? { ...entry, tree: buildTree(entry.questions) } : entry);
+});
+
+/**
+ * New, disappeared and moved questions between a past run and an earlier one.
+ * Compares against the previous run of the same search unless ?against=<id>.
+ */
+app.get("/api/history/:id/diff", (req, res) => {
+    let diff;
+    try {
+        diff = diffById(req.params.id, req.query.against, { tokenId: callerScope(req) });
+    } catch (e) {
+        return res.status(404).json({ error: e.message });
+    }
+
+    if (!diff) {
+        return res.status(404).json({ error: "No earlier run of this search to compare against." });
+    }
+    return res.json(diff);
+});
+
+/**
+ * Diff the two latest runs of a search:
+ * ?keyword= (required) &region= &language= &location= &device= &url= &mode=
+ */
+app.get("/api/diff", (req, res) => {
+    const { keyword, url, mode } = req.query;
+    if (!keyword || !keyword.trim()) {
+        return res.status(400).json({ error: "keyword is required." });
+    }
+
+    let locale;
+    try {
+        locale = resolveLocale(req.query);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+
+    const diff = diffLatest({ keyword: keyword.trim(), ...locale, url: url || "", mode: mode || "list" }, { tokenId: callerScope(req) });
+    if (!diff) {
+        return res.status(404).json({ error: "This search needs at least two recorded runs to compare." });
+    }
+    return res.json(diff);
+});
+
+/**
+ * Answer domain share across every keyword of a job / CLI run (the job ID
+ * is its run ID): share of voice per domain, per-keyword coverage and how
+ * our own domain ranks. ?url= overrides our site (default: the run's URL filter).
+ */
+app.get("/api/runs/:runId/domains", (req, res) => {
+    try {
+        return res.json(domainShareForRun(req.params.runId, { url: req.query.url, tokenId: callerScope(req) }));
+    } catch (e) {
+        return res.status(/not found/.test(e.message) ? 404 : 400).json({ error: e.message });
+    }
+});
+
+/** Re-export a past run in any export format — no new SERP search. */
+app.get("/api/history/:id/export", async (req, res) => {
+    const entry = getHistoryEntry(req.params.id, { tokenId: callerScope(req) });
+    if (!entry) {
+        return res.status(404).json({ error: "History entry not found." });
+    }
+
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!exportFormats.includes(format)) {
+        return res.status(400).json({ error: `Unknown format "${format}". Use one of: ${exportFormats.join(", ")}.` });
+    }
+
+    try {
+        const body = await renderResults(format, { [entry.keyword]: entry.questions }, entry);
+        const slug = entry.keyword.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "paa";
+
+        res.set({
+            "Content-Type": exportContentTypes[format],
+            "Content-Disposition": `attachment; filename="${slug}-${entry.createdAt.slice(0, 10)}.${format}"`,
+        });
+        return res.send(body);
+    } catch (err) {
+        log.error("Export error", { error: err.message });
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Download every keyword of a job / CLI run (the job ID is its run ID)
+ * from the history: ?runId= (required) &format=csv|json|ndjson|md|xlsx|jsonld
+ */
+app.get("/api/export", async (req, res) => {
+    const { runId } = req.query;
+    if (!runId) {
+        return res.status(400).json({ error: "runId is required." });
+    }
+
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!exportFormats.includes(format)) {
+        return res.status(400).json({ error: `Unknown format "${format}". Use one of: ${exportFormats.join(", ")}.` });
+    }
+
+    const entries = findRunEntries(String(runId), { tokenId: callerScope(req) });
+    if (entries.length === 0) {
+        return res.status(404).json({ error: `Run "${runId}" not found in history.` });
+    }
+
+    try {
+        const { grouped, meta } = groupRunEntries(entries);
+        const body = await renderResults(format, grouped, meta);
+
+        res.set({
+            "Content-Type": exportContentTypes[format],
+            "Content-Disposition": `attachment; filename="paa-${String(runId).slice(0, 8).replace(/[^\w-]+/g, "_")}.${format}"`,
+        });
+        return res.send(body);
+    } catch (err) {
+        log.error("Export error", { error: err.message });
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// ─── Watchlist routes ───────────────────────────────────────
+
+/** A watchlist plus where its latest run stands. */
+function watchlistView(watchlist) {
+    const job = watchlist.lastJobId ? getJob(watchlist.lastJobId) : null;
+    return {
+        ...watchlist,
+        running: isActive(job),
+        lastJob: job ? { ...jobStatus(job), ...jobLinks(job) } : null,
+    };
+}
+
+/** The watchlist in `:id`, or null if it doesn't exist or belongs to another token. */
+function findWatchlist(req) {
+    const watchlist = getWatchlist(req.params.id);
+    return watchlist && canAccess(req, watchlist.tokenId) ? watchlist : null;
+}
+
+app.get("/api/watchlists", (req, res) => {
+    return res.json(listWatchlists().filter((w) => canAccess(req, w.tokenId)).map(watchlistView));
+});
+
+/**
+ * Save a watchlist: { name, keywords (array or comma / newline separated),
+ * region, language, location, device, url, schedule, webhook, enabled,
+ * startAt, options } — `options` takes the run options of POST /api/paa.
+ */
+app.post("/api/watchlists", (req, res) => {
+    try {
+        resolveRunOptions(req.body.options || {});
+        const capError = req.token && keywordCapError(req.token, resolveKeywords(req.body.keywords).length);
+        if (capError) return res.status(403).json({ error: capError });
+
+        return res.status(201).json(watchlistView(createWatchlist(req.body, { tokenId: req.token?.id })));
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+});
+
+app.get("/api/watchlists/:id", (req, res) => {
+    const watchlist = findWatchlist(req);
+    if (!watchlist) {
+        return res.status(404).json({ error: "Watchlist not found." });
+    }
+    return res.json(watchlistView(watchlist));
+});
+
+/**
+ * Change some of a watchlist's fields, e.g. { "enabled": false } to pause it.
+ * New keywords are checked against the cap of the token runs are charged to.
+ */
+app.patch("/api/watchlists/:id", (req, res) => {
+    let watchlist = findWatchlist(req);
+    if (!watchlist) {
+        return res.status(404).json({ error: "Watchlist not found." });
+    }
+
+    try {
+        if (req.body.options !== undefined) resolveRunOptions(req.body.options || {});
+        const owner = watchlist.tokenId && getToken(watchlist.tokenId);
+        if (owner && req.body.keywords !== undefined) {
+            const capError = keywordCapError(owner, resolveKeywords(req.body.keywords).length);
+            if (capError) return res.status(403).json({ error: capError });
+        }
+        watchlist = updateWatchlist(watchlist.id, req.body);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+    return res.json(watchlistView(watchlist));
+});
+
+app.delete("/api/watchlists/:id", (req, res) => {
+    const watchlist = findWatchlist(req);
+    if (!watchlist) {
+        return res.status(404).json({ error: "Watchlist not found." });
+    }
+    deleteWatchlist(watchlist.id);
+    return res.status(204).end();
+});
+
+/** Run a watchlist now instead of waiting for its schedule. */
+app.post("/api/watchlists/:id/run", requireLongRunning, async (req, res) => {
+    const watchlist = findWatchlist(req);
+    if (!watchlist) {
+        return res.status(404).json({ error: "Watchlist not found." });
+    }
+    if (isActive(getJob(watchlist.lastJobId))) {
+        return res.status(409).json({ error: "This watchlist is already running.", jobId: watchlist.lastJobId });
+    }
+
+    let job;
+    try {
+        job = await runWatchlist(watchlist);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+    return res.status(202).json({ jobId: job.id, status: job.status, keywords: job.keywords, ...jobLinks(job) });
+});
+
+// ─── API tokens ─────────────────────────────────────────────
+
+/** Every token with its quotas and calls left (never the token itself). Admin only. */
+app.get("/api/tokens", (req, res) => {
+    return res.json(listTokens());
+});
+
+/**
+ * Issue a token: { name, dailyCalls, monthlyCalls, maxKeywords }. Admin only.
+ * The response is the only place the token (`secret`) is shown.
+ */
+app.post("/api/tokens", (req, res) => {
+    const { name, ...quotas } = req.body;
+    try {
+        return res.status(201).json(issueToken(name, quotas));
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+});
+
+/** Change a token's quotas; 0 or null removes a limit. Admin only. */
+app.patch("/api/tokens/:id", (req, res) => {
+    let token;
+    try {
+        token = updateToken(req.params.id, req.body);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+    if (!token) {
+        return res.status(404).json({ error: "Token not found." });
+    }
+    return res.json(token);
+});
+
+/** Revoke a token. Its usage stays on record. Admin only. */
+app.delete("/api/tokens/:id", (req, res) => {
+    const token = revokeToken(req.params.id);
+    if (!token) {
+        return res.status(404).json({ error: "Token not found." });
+    }
+    return res.json(token);
+});
+
+/** A token's usage per day: ?from= &to= (YYYY-MM-DD, default: this month). Admin only. */
+app.get("/api/tokens/:id/usage", (req, res) => {
+    let usage;
+    try {
+        usage = tokenUsage(req.params.id, req.query);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+    if (!usage) {
+        return res.status(404).json({ error: "Token not found." });
+    }
+    return res.json(usage);
+});
+
+/** The calling token's own quotas and usage: ?from= &to= */
+app.get("/api/usage", (req, res) => {
+    if (!req.token || req.token.admin) {
+        return res.status(404).json({ error: "Usage is tracked per API token — call this with one." });
+    }
+    try {
+        return res.json({ ...tokenUsage(req.token.id, req.query), quotas: req.token.quotas, remaining: getToken(req.token.id).remaining });
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+});
+
+// ─── Locales ────────────────────────────────────────────────
+
+/** Google country / language codes and devices for the frontend selects. */
+app.get("/api/locales", (req, res) => {
+    return res.json({ regions, languages, devices });
+});
+
+// ─── SERP cache ─────────────────────────────────────────────
+
+app.get("/api/cache", (req, res) => {
+    return res.json(getCacheStats());
+});
+
+/** Remove expired cache entries, or everything with ?all=1. Admin only once auth is on. */
+app.delete("/api/cache", requireCacheAdmin, (req, res) => {
+    const removed = purgeCache({ all: req.query.all === "1" || req.query.all === "true" });
+    log.info(`🧹  Purged ${removed} cache entr${removed === 1 ? "y" : "ies"}.`, { removed });
+    return res.json({ removed, ...getCacheStats() });
+});
+
+// ─── API key health ─────────────────────────────────────────
+
+/**
+ * Masked keys with usage counters and exhaustion state.
+ * ?provider=valueserp picks another provider; ?refresh=1 also looks up
+ * remaining credits from the provider's account endpoint.
+ */
+app.get("/api/keys/status", async (req, res) => {
+    const name = req.query.provider || process.env.SERP_PROVIDER || "serpapi";
+    if (!providerNames.includes(name)) {
+        return res.status(400).json({ error: `Unknown provider "${name}". Use one of: ${providerNames.join(", ")}.` });
+    }
+
+    const provider = getProvider(name);
+    if (!provider.keyEnv) {
+        return res.status(400).json({ error: `Provider "${name}" doesn't use rotating API keys.` });
+    }
+
+    const km = getKeyManager(provider.keyEnv);
+
+    try {
+        if (req.query.refresh === "1" || req.query.refresh === "true") {
+            await km.refreshCredits(provider.fetchCredits);
+        }
+
+        const keys = km.status();
         return res.json({
-            keywords,
-            region: safeRegion,
-            totalCount,
-            grouped,
-            sheetUpdated: true,
+            provider: name,
+            totalKeys: keys.length,
+            available: keys.filter((k) => !k.exhausted).length,
+            keys,
         });
     } catch (err) {
-        console.error("API error:", err.message);
+        log.error("Key status error", { error: err.message });
         return res.status(500).json({ error: err.message });
     }
 });
 
+// ─── Metrics ────────────────────────────────────────────────
+
+/** True if `secret` is PAA_METRICS_TOKEN (compared in constant time). */
+function isMetricsToken(secret) {
+    const digest = (value) => createHash("sha256").update(String(value)).digest();
+    return Boolean(secret) && timingSafeEqual(digest(secret), digest(process.env.PAA_METRICS_TOKEN));
+}
+
+/** Prometheus scrape endpoint. With PAA_METRICS_TOKEN set, it needs that token. */
+app.get("/metrics", (req, res) => {
+    if (process.env.PAA_METRICS_TOKEN && !isMetricsToken(requestToken(req))) {
+        return res.status(401).json({ error: "GET /metrics needs PAA_METRICS_TOKEN (Authorization: Bearer <token>)." });
+    }
+    res.set("Content-Type", METRICS_CONTENT_TYPE);
+    return res.send(renderMetrics());
+});
+
+// Load custom intent rules and expansion templates up front so a broken file fails at startup
+getClassifier();
+getTemplates();
+
+// Pick up any jobs that were interrupted by a restart
+resumeJobs(runKeyword, jobFinished);
+
+// Serverless instances don't live long enough to keep a schedule
+if (!process.env.VERCEL && process.env.PAA_SCHEDULER !== "off") {
+    startScheduler(runWatchlist, { isRunning: (w) => isActive(getJob(w.lastJobId)) });
+}
+
 // ─── Start ──────────────────────────────────────────────────
 
 if (process.env.NODE_ENV !== "production") {
     app.listen(PORT, () => {
-        console.log(`\n🚀  PAA Extractor running at http://localhost:${PORT}\n`);
+        log.info(`\n🚀  PAA Extractor running at http://localhost:${PORT}\n`, { port: Number(PORT) });
+        if (!authEnabled()) {
+            log.warn("🔓  No API tokens issued — the API is open. Issue one with `node index.js tokens issue <name>`.\n");
+        }
     });
 }
 
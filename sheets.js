@@ -1,6 +1,17 @@
 // ─────────────────────────────────────────────────────────────
 //  sheets.js – Google Sheets helper for appending PAA results
 //
+//  Columns are configurable; results can go to one tab or a tab per
+//  keyword (created with headers on first use), and upsert mode
+//  replaces a keyword's existing rows instead of duplicating them.
+//
+//  Every value is written RAW: questions, answers and titles come
+//  from the SERP, and a scraped "=IMPORTXML(…)" must stay text
+//  rather than run as a formula in the user's spreadsheet.
+//
+//  Failed writes are counted in paa_sheet_write_failures_total
+//  (see metrics.js), by kind: questions, changes or domains.
+//
 //  Supports two auth modes:
 //    - Local: reads credentials.json file
 //    - Vercel: reads GOOGLE_CREDENTIALS env var (base64-encoded JSON)
@@ -10,6 +21,8 @@ import { google } from "googleapis";
 import { existsSync, readFileSync } from "fs";
 import { fileURLToPath } from "url";
 import path from "path";
+import { log } from "./logger.js";
+import { sheetWriteFailures } from "./metrics.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -51,41 +64,386 @@ function getAuthClient() {
     );
 }
 
+// ─── Column mapping ─────────────────────────────────────────
+
+/** Every column the sheet can hold: key → header label + value getter. */
+const COLUMNS = {
+    url: { header: "URL", value: (r) => r.url },
+    keyword: { header: "Keyword", value: (r) => r.keyword },
+    region: { header: "Region", value: (r) => r.region },
+    question: { header: "Question", value: (r) => r.question },
+    language: { header: "Language", value: (r) => r.language },
+    location: { header: "Location", value: (r) => r.location },
+    answer: { header: "Answer", value: (r) => r.answer },
+    link: { header: "Source Link", value: (r) => r.link },
+    position: { header: "Position", value: (r) => r.position },
+    parent: { header: "Parent Question", value: (r) => r.parent },
+    depth: { header: "Depth", value: (r) => r.depth },
+    timestamp: { header: "Timestamp", value: (r) => r.timestamp },
+    runId: { header: "Run ID", value: (r) => r.runId },
+    variants: { header: "Merged Variants", value: (r) => (r.variants || []).join(" | ") },
+    intent: { header: "Intent", value: (r) => r.intent },
+    tags: { header: "Tags", value: (r) => (r.tags || []).join(", ") },
+    source: { header: "Source", value: (r) => r.source },
+    expansion: { header: "Expansion Query", value: (r) => r.expansion },
+    title: { header: "Answer Title", value: (r) => r.title },
+    domain: { header: "Answer Domain", value: (r) => r.domain },
+    serpPosition: { header: "PAA Position", value: (r) => r.serpPosition },
+};
+
+const CHANGE_HEADER = [
+    "Timestamp", "Keyword", "Region", "Language", "Change",
+    "Question", "Old Position", "New Position", "Run ID", "Previous Run",
+];
+
+const DOMAINS_HEADER = [
+    "Timestamp", "Run ID", "Rank", "Domain", "Answers", "Share of Voice",
+    "Keywords", "Keyword Coverage", "Best Position", "Avg Position", "Own Domain",
+];
+
+// The first four keep the layout of sheets written by earlier versions (url, keyword, region, question)
+const DEFAULT_COLUMNS = [
+    "url", "keyword", "region", "question", "language", "location",
+    "answer", "link", "timestamp", "runId", "variants", "intent", "tags",
+];
+
+export const sheetColumnNames = Object.keys(COLUMNS);
+
+// ─── Helpers ────────────────────────────────────────────────
+
+function columnLetter(n) {
+    let letters = "";
+    for (let i = n; i > 0; i = Math.floor((i - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((i - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+function quoteTab(tab) {
+    return `'${tab.replace(/'/g, "''")}'`;
+}
+
+/** Turn a keyword into a valid tab title (max 100 chars, no []*?:/\). */
+function keywordTabName(keyword) {
+    return keyword.replace(/[[\]*?:/\\]/g, " ").replace(/\s+/g, " ").trim().slice(0, 100) || "keyword";
+}
+
+/** Accept either a bare spreadsheet ID or a full Google Sheets URL. */
+function parseSpreadsheetId(value) {
+    const match = String(value).match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
+    return match ? match[1] : String(value).trim();
+}
+
 /**
- * Append PAA results to a Google Sheet.
+ * Read sheet options from a request body / CLI flags, with env defaults:
+ *   spreadsheetId  – ID or URL (default: GOOGLE_SHEET_ID)
+ *   tab            – tab to write to (default: GOOGLE_SHEET_TAB or "Sheet1")
+ *   perKeywordTab  – write each keyword to its own tab instead
+ *   upsert         – replace a keyword's existing rows instead of appending
+ *   columns        – array or comma-separated list of column keys
+ *                    (default: GOOGLE_SHEET_COLUMNS or the built-in layout)
+ *   changesTab     – tab for new / disappeared / moved questions
+ *                    (default: GOOGLE_SHEET_CHANGES_TAB or "PAA Changes")
+ *   domainsTab     – tab for a run's answer domain share report
+ *                    (default: GOOGLE_SHEET_DOMAINS_TAB or "PAA Domains")
  *
- * Columns: A = url, B = keyword, C = region, D = questions
+ * Throws on unknown column names.
  */
-export async function appendToSheet(keyword, region, url, results) {
-    const sheetId = process.env.GOOGLE_SHEET_ID;
+export function resolveSheetOptions(input = {}) {
+    const rawColumns = input.columns || process.env.GOOGLE_SHEET_COLUMNS;
+    const columns = rawColumns
+        ? (Array.isArray(rawColumns) ? rawColumns : String(rawColumns).split(","))
+            .map((c) => c.trim()).filter(Boolean)
+        : DEFAULT_COLUMNS;
 
-    if (!sheetId) {
-        throw new Error("❌  GOOGLE_SHEET_ID is missing from env.");
+    const unknown = columns.filter((c) => !COLUMNS[c]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown sheet column(s): ${unknown.join(", ")}. Use any of: ${sheetColumnNames.join(", ")}.`);
     }
 
-    const auth = getAuthClient();
-    const sheets = google.sheets({ version: "v4", auth });
+    const upsert = Boolean(input.upsert);
+    if (upsert && !columns.includes("keyword")) {
+        throw new Error("Upsert mode needs the \"keyword\" column to find existing rows.");
+    }
 
-    const rows = results.map((item) => [
-        url || "",
-        keyword,
-        region,
-        item.question,
-    ]);
+    const tab = String(input.tab || process.env.GOOGLE_SHEET_TAB || "Sheet1").trim();
+    const changesTab = String(input.changesTab || process.env.GOOGLE_SHEET_CHANGES_TAB || "PAA Changes").trim();
+    const domainsTab = String(input.domainsTab || process.env.GOOGLE_SHEET_DOMAINS_TAB || "PAA Domains").trim();
+    if ([tab, changesTab, domainsTab].some((t) => t.length > 100)) {
+        throw new Error("Sheet tab names can be at most 100 characters.");
+    }
+
+    return {
+        spreadsheetId: input.spreadsheetId ? parseSpreadsheetId(input.spreadsheetId) : process.env.GOOGLE_SHEET_ID,
+        tab,
+        perKeywordTab: Boolean(input.perKeywordTab),
+        upsert,
+        columns,
+        changesTab,
+        domainsTab,
+    };
+}
+
+let clientOverride = null;     // set by tests, see setSheetsClient()
 
-    if (rows.length === 0) {
-        rows.push([url || "", keyword, region, "No PAA questions found"]);
+export function getSheetsClient() {
+    return clientOverride || google.sheets({ version: "v4", auth: getAuthClient() });
+}
+
+/**
+ * Use `client` instead of the googleapis Sheets client — e.g. the fake
+ * backend in test/helpers/. Pass null to go back to the real one.
+ */
+export function setSheetsClient(client) {
+    clientOverride = client;
+}
+
+/**
+ * Make sure a tab exists, creating it with a header row if not.
+ * Returns the tab's numeric sheetId (needed for row deletes).
+ */
+export async function ensureTab(sheets, spreadsheetId, tab, header) {
+    const { data } = await sheets.spreadsheets.get({
+        spreadsheetId,
+        fields: "sheets.properties",
+    });
+
+    const existing = data.sheets.find((s) => s.properties.title === tab);
+    if (existing) return existing.properties.sheetId;
+
+    log.info(`🆕  Creating tab "${tab}"...`, { spreadsheetId, tab });
+    const created = await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: { requests: [{ addSheet: { properties: { title: tab } } }] },
+    });
+
+    await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${quoteTab(tab)}!A1`,
+        valueInputOption: "RAW",
+        requestBody: { values: [header] },
+    });
+
+    return created.data.replies[0].addSheet.properties.sheetId;
+}
+
+/**
+ * Replace the rows matching `matches(row)` with `rows`: overwrite in place,
+ * append any extra rows and delete leftovers.
+ */
+async function upsertRows(sheets, spreadsheetId, tab, sheetId, rows, matches) {
+    const lastCol = columnLetter(rows[0].length);
+    const { data } = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `${quoteTab(tab)}!A:${lastCol}`,
+    });
+
+    // 1-based sheet row numbers of the keyword's existing rows
+    const existing = (data.values || [])
+        .map((row, i) => (matches(row) ? i + 1 : null))
+        .filter(Boolean);
+
+    const overwrite = Math.min(existing.length, rows.length);
+    const result = { appended: 0, updated: overwrite, deleted: 0 };
+
+    if (overwrite > 0) {
+        await sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+                valueInputOption: "RAW",
+                data: existing.slice(0, overwrite).map((rowNum, i) => ({
+                    range: `${quoteTab(tab)}!A${rowNum}:${lastCol}${rowNum}`,
+                    values: [rows[i]],
+                })),
+            },
+        });
     }
 
-    console.log(`📤  Writing ${rows.length} row(s) to Google Sheet...`);
+    if (rows.length > overwrite) {
+        await appendRows(sheets, spreadsheetId, tab, rows.slice(overwrite));
+        result.appended = rows.length - overwrite;
+    }
 
+    const leftovers = existing.slice(overwrite);
+    if (leftovers.length > 0) {
+        // Delete bottom-up so earlier row numbers stay valid
+        await sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+                requests: leftovers.reverse().map((rowNum) => ({
+                    deleteDimension: {
+                        range: { sheetId, dimension: "ROWS", startIndex: rowNum - 1, endIndex: rowNum },
+                    },
+                })),
+            },
+        });
+        result.deleted = leftovers.length;
+    }
+
+    return result;
+}
+
+// Keywords run in parallel, but writes to one spreadsheet go one at a
+// time: concurrent upserts would delete each other's row numbers, and two
+// writers could both try to create the same missing tab.
+const writeQueues = new Map();
+
+function serialize(spreadsheetId, fn) {
+    const previous = writeQueues.get(spreadsheetId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    writeQueues.set(spreadsheetId, next);
+    return next;
+}
+
+/** serialize() a write, counting it as a `kind` failure if the Sheets API rejects it. */
+async function sheetWrite(kind, spreadsheetId, fn) {
+    try {
+        return await serialize(spreadsheetId, fn);
+    } catch (e) {
+        sheetWriteFailures.inc({ kind });
+        throw e;
+    }
+}
+
+async function appendRows(sheets, spreadsheetId, tab, rows) {
     await sheets.spreadsheets.values.append({
-        spreadsheetId: sheetId,
-        range: "Sheet1!A:D",
-        valueInputOption: "USER_ENTERED",
+        spreadsheetId,
+        range: `${quoteTab(tab)}!A:${columnLetter(rows[0].length)}`,
+        valueInputOption: "RAW",
         insertDataOption: "INSERT_ROWS",
         requestBody: { values: rows },
     });
+}
+
+// ─── Public API ─────────────────────────────────────────────
+
+/**
+ * Write PAA results for one keyword to a Google Sheet.
+ *
+ * Columns follow `options.columns` (see resolveSheetOptions); by default:
+ *   url, keyword, region, question, language, location,
+ *   answer, link, timestamp, runId, variants, intent, tags
+ *
+ * @param {object} [options] - search meta ({ language, location, runId }) plus
+ *                             sheet options from resolveSheetOptions()
+ * @returns {{ spreadsheetId, tab, appended, updated, deleted }}
+ */
+export async function appendToSheet(keyword, region, url, results, options = {}) {
+    const { language = "en", location = "", runId = "" } = options;
+    const { spreadsheetId, tab: defaultTab, perKeywordTab, upsert, columns } = resolveSheetOptions(options);
+
+    if (!spreadsheetId) {
+        throw new Error("❌  GOOGLE_SHEET_ID is missing from env.");
+    }
+
+    const sheets = getSheetsClient();
+    const tab = perKeywordTab ? keywordTabName(keyword) : defaultTab;
+    const timestamp = new Date().toISOString();
+    const base = { url: url || "", keyword, region, language, location, timestamp, runId };
+
+    const records = results.length > 0
+        ? results.map((item, i) => ({ ...base, ...item, position: i + 1 }))
+        : [{ ...base, question: "No PAA questions found" }];
+
+    const rows = records.map((r) => columns.map((c) => COLUMNS[c].value(r) ?? ""));
+
+    log.info(`📤  Writing ${rows.length} row(s) to Google Sheet tab "${tab}"${upsert ? " (upsert)" : ""}...`, { spreadsheetId, tab, rows: rows.length, upsert });
+
+    const result = await sheetWrite("questions", spreadsheetId, async () => {
+        const sheetId = await ensureTab(sheets, spreadsheetId, tab, columns.map((c) => COLUMNS[c].header));
+
+        if (!upsert) {
+            await appendRows(sheets, spreadsheetId, tab, rows);
+            return { appended: rows.length, updated: 0, deleted: 0 };
+        }
+
+        // Rows of the same search: keyword, locale and URL filter, as far
+        // as the layout has those columns (the API drops trailing blanks)
+        const key = [["keyword", keyword], ["region", region], ["language", language], ["location", location], ["url", base.url]]
+            .map(([column, value]) => [columns.indexOf(column), value])
+            .filter(([col]) => col !== -1);
+
+        return upsertRows(sheets, spreadsheetId, tab, sheetId, rows, (row) =>
+            key.every(([col, value]) => (row[col] ?? "") === value)
+        );
+    });
+
+    log.info(`✅  Google Sheet updated successfully.`, { spreadsheetId, tab, ...result });
+    return { spreadsheetId, tab, ...result };
+}
+
+/**
+ * Log a keyword's PAA changes since its previous run (see diff.js) to the
+ * changes tab: one row per new, disappeared or moved question.
+ * Does nothing when nothing changed.
+ *
+ * @param {object} diff    - result of diffRuns()
+ * @param {object} [options] - sheet options plus { runId }
+ * @returns {{ spreadsheetId, tab, appended }}
+ */
+export async function appendChangesToSheet(diff, options = {}) {
+    const { spreadsheetId, changesTab: tab } = resolveSheetOptions(options);
+
+    if (!spreadsheetId) {
+        throw new Error("❌  GOOGLE_SHEET_ID is missing from env.");
+    }
+
+    const timestamp = new Date().toISOString();
+    const row = (change, question, from, to) => [
+        timestamp, diff.keyword, diff.region, diff.language, change,
+        question, from ?? "", to ?? "", options.runId || "", diff.from.id,
+    ];
+
+    const rows = [
+        ...diff.added.map((q) => row("new", q.question, null, q.position)),
+        ...diff.removed.map((q) => row("disappeared", q.question, q.position, null)),
+        ...diff.moved.map((q) => row("moved", q.question, q.from, q.to)),
+    ];
+
+    if (rows.length === 0) return { spreadsheetId, tab, appended: 0 };
+
+    log.info(`📤  Logging ${rows.length} PAA change(s) for "${diff.keyword}" to tab "${tab}"...`, { spreadsheetId, tab, rows: rows.length });
+
+    const sheets = getSheetsClient();
+    await sheetWrite("changes", spreadsheetId, async () => {
+        await ensureTab(sheets, spreadsheetId, tab, CHANGE_HEADER);
+        await appendRows(sheets, spreadsheetId, tab, rows);
+    });
+
+    return { spreadsheetId, tab, appended: rows.length };
+}
+
+/**
+ * Write a run's domain share report (see domains.js) to the domains tab:
+ * one row per answer domain, ranked by share of voice.
+ * Does nothing when the run has no answer links.
+ *
+ * @param {object} report  - result of domainShareForRun()
+ * @param {object} [options] - sheet options
+ * @returns {{ spreadsheetId, tab, appended }}
+ */
+export async function appendDomainsToSheet(report, options = {}) {
+    const { spreadsheetId, domainsTab: tab } = resolveSheetOptions(options);
+
+    if (!spreadsheetId) {
+        throw new Error("❌  GOOGLE_SHEET_ID is missing from env.");
+    }
+
+    const timestamp = new Date().toISOString();
+    const rows = report.domains.map((d) => [
+        timestamp, report.runId, d.rank, d.domain, d.answers, d.share,
+        d.keywords, d.coverage, d.bestPosition, d.avgPosition, d.own ? "yes" : "",
+    ]);
+
+    if (rows.length === 0) return { spreadsheetId, tab, appended: 0 };
+
+    log.info(`📤  Writing ${rows.length} answer domain(s) for run ${report.runId} to tab "${tab}"...`, { spreadsheetId, tab, rows: rows.length, runId: report.runId });
+
+    const sheets = getSheetsClient();
+    await sheetWrite("domains", spreadsheetId, async () => {
+        await ensureTab(sheets, spreadsheetId, tab, DOMAINS_HEADER);
+        await appendRows(sheets, spreadsheetId, tab, rows);
+    });
 
-    console.log(`✅  Google Sheet updated successfully.`);
+    return { spreadsheetId, tab, appended: rows.length };
 }
@@ -0,0 +1,146 @@
+// ─────────────────────────────────────────────────────────────
+//  similarity.js – Near-duplicate detection for PAA questions
+//
+//  Questions are normalized (lowercase, contractions expanded,
+//  number words as digits, punctuation and filler words dropped,
+//  light suffix stemming) and compared by token Jaccard
+//  similarity. Anything at or above
+//  the threshold joins the cluster of the first — highest-ranked —
+//  question it matches, which stays the cluster's representative.
+//
+//    "What is a CRM?"  ≈  "What's CRM software?"   (0.67)
+// ─────────────────────────────────────────────────────────────
+
+export const DEFAULT_SIMILARITY = 0.6;
+
+const CONTRACTIONS = [
+    [/\b(what|who|how|where|when|why|it|that|there)'s\b/g, "$1 is"],
+    [/\bcan't\b/g, "can not"],
+    [/\bwon't\b/g, "will not"],
+    [/n't\b/g, " not"],
+    [/'re\b/g, " are"],
+    [/'ve\b/g, " have"],
+    [/'ll\b/g, " will"],
+    [/'d\b/g, " would"],
+];
+
+// Articles, auxiliaries and prepositions that don't change what is asked.
+// Question words (what / how / why …) are kept — they do.
+const STOPWORDS = new Set([
+    "a", "an", "the", "is", "are", "was", "were", "be", "been", "am",
+    "do", "does", "did", "of", "for", "to", "in", "on", "at", "by",
+    "with", "and", "or", "i", "you", "your", "my", "me", "we", "our",
+    "it", "its", "this", "that", "there", "any", "some",
+]);
+
+// "three types" ≈ "3 types"
+const NUMBER_WORDS = {
+    one: "1", two: "2", three: "3", four: "4", five: "5",
+    six: "6", seven: "7", eight: "8", nine: "9", ten: "10",
+};
+
+// ─── Helpers ────────────────────────────────────────────────
+
+/** Strip common English suffixes so "businesses" ≈ "business", "using" ≈ "use". */
+function stem(word) {
+    if (word.length <= 3) return word;
+    if (word.endsWith("ies") && word.length > 4) return word.slice(0, -3) + "y";
+    if (/(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith("s") && !word.endsWith("ss") && !word.endsWith("us")) return word.slice(0, -1);
+    if (word.endsWith("ing") && word.length > 5) return word.slice(0, -3);
+    if (word.endsWith("ed") && word.length > 4) return word.slice(0, -2);
+    if (word.endsWith("ly") && word.length > 4) return word.slice(0, -2);
+    return word;
+}
+
+/** Normalized, stemmed content tokens of a question. */
+export function questionTokens(question) {
+    let text = question.toLowerCase().replace(/[’‘]/g, "'");
+    for (const [pattern, replacement] of CONTRACTIONS) {
+        text = text.replace(pattern, replacement);
+    }
+
+    return new Set(
+        text
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter((w) => w && !STOPWORDS.has(w))
+            .map((w) => NUMBER_WORDS[w] || stem(w))
+    );
+}
+
+/** Jaccard similarity of two token sets, 0–1. */
+export function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    for (const token of a) if (b.has(token)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Validate a similarity threshold from a request body / CLI flag.
+ * 0 turns clustering off (exact matching only). Throws on invalid values.
+ */
+export function resolveSimilarity(value) {
+    if (value === undefined || value === null || value === "") {
+        const fromEnv = process.env.PAA_SIMILARITY_THRESHOLD;
+        return fromEnv === undefined || fromEnv === "" ? DEFAULT_SIMILARITY : resolveSimilarity(fromEnv);
+    }
+
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > 1) {
+        throw new Error("similarity must be a number between 0 (off) and 1.");
+    }
+    return n;
+}
+
+// ─── Clusters ───────────────────────────────────────────────
+
+/**
+ * Incrementally groups questions into near-duplicate clusters.
+ * Feed questions in rank order; the first question of each cluster
+ * is its representative.
+ */
+export class QuestionClusters {
+    constructor(threshold = DEFAULT_SIMILARITY) {
+        this.threshold = threshold;
+        this.clusters = [];              // [{ representative, tokens, variants }]
+    }
+
+    /**
+     * Add a question. Returns the representative it was merged into,
+     * or null if it starts a new cluster (i.e. it should be kept).
+     */
+    add(question) {
+        const tokens = questionTokens(question);
+
+        let best = null;
+        let bestScore = 0;
+        for (const cluster of this.clusters) {
+            const score = jaccard(tokens, cluster.tokens);
+            if (score >= this.threshold && score > bestScore) {
+                best = cluster;
+                bestScore = score;
+            }
+        }
+
+        if (best) {
+            best.variants.push({ question, similarity: Number(bestScore.toFixed(3)) });
+            return best.representative;
+        }
+
+        this.clusters.push({ representative: question, tokens, variants: [] });
+        return null;
+    }
+
+    /** Questions merged into `representative`, as { question, similarity }. */
+    variantsOf(representative) {
+        return this.clusters.find((c) => c.representative === representative)?.variants || [];
+    }
+
+    /** Every cluster that absorbed at least one variant. */
+    merged() {
+        return this.clusters
+            .filter((c) => c.variants.length > 0)
+            .map(({ representative, variants }) => ({ representative, variants }));
+    }
+}
@@ -0,0 +1,52 @@
+// ─────────────────────────────────────────────────────────────
+//  storage.js – Tiny JSON file store for local persistence
+//
+//  Files live in PAA_DATA_DIR (default: ./data). On Vercel the
+//  project directory is read-only, so we fall back to /tmp there.
+// ─────────────────────────────────────────────────────────────
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import { fileURLToPath } from "url";
+import path from "path";
+import { log } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Resolve a path inside the data directory, creating the directory if needed.
+ */
+export function dataPath(...parts) {
+    const base = process.env.PAA_DATA_DIR
+        || (process.env.VERCEL ? "/tmp/paa-data" : path.join(__dirname, "data"));
+    const full = path.join(base, ...parts);
+    mkdirSync(path.dirname(full), { recursive: true });
+    return full;
+}
+
+/**
+ * Read a JSON file from the data directory. Returns `fallback` if the
+ * file is missing or unreadable.
+ */
+export function readJSON(name, fallback) {
+    const file = dataPath(name);
+    if (!existsSync(file)) return fallback;
+
+    try {
+        return JSON.parse(readFileSync(file, "utf8"));
+    } catch (e) {
+        log.warn(`⚠️  Could not read ${name}`, { file: name, error: e.message });
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON file to the data directory.
+ * Writes to a temp file first so a crash never leaves half a file behind.
+ */
+export function writeJSON(name, data) {
+    const file = dataPath(name);
+    const tmp = `${file}.tmp`;
+    writeFileSync(tmp, JSON.stringify(data, null, 2));
+    renameSync(tmp, file);
+}
@@ -0,0 +1,51 @@
+// ─────────────────────────────────────────────────────────────
+//  test/helpers/env.js – Offline test environment
+//
+//  Import this before any app module: it points persistence at a
+//  throwaway data directory, turns off pacing and long retries,
+//  and blanks settings a local .env could otherwise fill in
+//  (dotenv never overrides a variable that's already set).
+//
+//  App logs are muted — Node 20's test runner can choke on them
+//  in a test file's stdout. Set PAA_TEST_LOGS=1 to see them.
+// ─────────────────────────────────────────────────────────────
+
+import { mkdtempSync, rmSync } from "fs";
+import os from "os";
+import path from "path";
+
+export const TEST_KEYS = ["test-key-1", "test-key-2"];
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), "paa-test-"));
+
+Object.assign(process.env, {
+    NODE_ENV: "production",          // server.js doesn't listen on PORT
+    PAA_DATA_DIR: dataDir,
+    SERP_PROVIDER: "serpapi",
+    SERPAPI_KEY: TEST_KEYS.join(","),
+    SERPAPI_TIMEOUT_MS: "300",
+    PAA_RATE_LIMIT: "0",
+    PAA_RETRIES: "1",
+    PAA_RETRY_BASE_MS: "1",
+    PAA_CONCURRENCY: "1",
+    PAA_SCHEDULER: "off",
+    PAA_ADMIN_TOKEN: "",
+    PAA_EXPANSIONS: "",
+    PAA_EXPANSION_TEMPLATES: "",
+    PAA_INTENT_RULES: "",
+    PAA_RECORD_FIXTURES: "",
+    PAA_WEBHOOK_URL: "",
+    PAA_LOG_LEVEL: "",
+    PAA_LOG_FORMAT: "",
+    PAA_METRICS_TOKEN: "",
+    PAA_SYNC_MAX_KEYWORDS: "",
+    GOOGLE_SHEET_ID: "",
+    GOOGLE_SHEET_COLUMNS: "",
+    GOOGLE_SHEET_TAB: "",
+});
+
+if (!process.env.PAA_TEST_LOGS) {
+    for (const method of ["log", "info", "warn", "error"]) console[method] = () => {};
+}
+
+process.on("exit", () => rmSync(dataDir, { recursive: true, force: true }));
@@ -0,0 +1,112 @@
+// ─────────────────────────────────────────────────────────────
+//  test/helpers/fake-sheets.js – In-memory Google Sheets backend
+//
+//  Implements the slice of the googleapis Sheets v4 client that
+//  sheets.js uses (spreadsheets.get / batchUpdate, values.get /
+//  update / append / batchUpdate). Install it with
+//  setSheetsClient(fake.client).
+//
+//  fake.failNext(method, message) makes the next call to `method`
+//  (e.g. "values.append", or "*" for any) throw, like an API error.
+// ─────────────────────────────────────────────────────────────
+
+/** "'My tab'!A1:C3" → { tab: "My tab", row: 1 } */
+function parseRange(range) {
+    const [, quoted, bare, row] = range.match(/^(?:'((?:[^']|'')*)'|([^!]+))!?[A-Z]*(\d+)?/);
+    return { tab: quoted !== undefined ? quoted.replace(/''/g, "'") : bare, row: row ? Number(row) : null };
+}
+
+export function createFakeSheets({ tabs = ["Sheet1"] } = {}) {
+    const sheets = new Map();      // title → { sheetId, rows: string[][] }
+    const calls = [];
+    const failures = [];
+    let nextSheetId = 0;
+
+    const addTab = (title) => {
+        sheets.set(title, { sheetId: nextSheetId++, rows: [] });
+        return sheets.get(title);
+    };
+    for (const title of tabs) addTab(title);
+
+    const tabOf = (range) => {
+        const { tab, row } = parseRange(range);
+        const sheet = sheets.get(tab);
+        if (!sheet) throw Object.assign(new Error(`Unable to parse range: ${range}`), { code: 400 });
+        return { sheet, row };
+    };
+
+    // Every call is recorded, and may fail on request
+    const method = (name, fn) => async (params) => {
+        calls.push({ method: name, params });
+        const i = failures.findIndex((f) => f.method === name || f.method === "*");
+        if (i !== -1) {
+            const { message, code } = failures.splice(i, 1)[0];
+            throw Object.assign(new Error(message), { code });
+        }
+        return { data: await fn(params) };
+    };
+
+    const client = {
+        spreadsheets: {
+            get: method("get", () => ({
+                sheets: [...sheets].map(([title, s]) => ({ properties: { title, sheetId: s.sheetId } })),
+            })),
+
+            batchUpdate: method("batchUpdate", ({ requestBody }) => ({
+                replies: requestBody.requests.map((request) => {
+                    if (request.addSheet) {
+                        const { title } = request.addSheet.properties;
+                        return { addSheet: { properties: { title, sheetId: addTab(title).sheetId } } };
+                    }
+                    if (request.deleteDimension) {
+                        const { sheetId, startIndex, endIndex } = request.deleteDimension.range;
+                        const sheet = [...sheets.values()].find((s) => s.sheetId === sheetId);
+                        sheet.rows.splice(startIndex, endIndex - startIndex);
+                    }
+                    return {};
+                }),
+            })),
+
+            values: {
+                get: method("values.get", ({ range }) => ({ values: tabOf(range).sheet.rows.map((r) => [...r]) })),
+
+                update: method("values.update", ({ range, requestBody }) => {
+                    const { sheet, row } = tabOf(range);
+                    requestBody.values.forEach((values, i) => { sheet.rows[(row || 1) - 1 + i] = values.map(String); });
+                    return {};
+                }),
+
+                append: method("values.append", ({ range, requestBody }) => {
+                    tabOf(range).sheet.rows.push(...requestBody.values.map((values) => values.map(String)));
+                    return { updates: { updatedRows: requestBody.values.length } };
+                }),
+
+                batchUpdate: method("values.batchUpdate", ({ requestBody }) => {
+                    for (const { range, values } of requestBody.data) {
+                        const { sheet, row } = tabOf(range);
+                        sheet.rows[row - 1] = values[0].map(String);
+                    }
+                    return {};
+                }),
+            },
+        },
+    };
+
+    return {
+        client,
+        calls,
+
+        /** Rows of a tab, header first (empty array for an unknown tab). */
+        rows(tab = tabs[0]) {
+            return sheets.get(tab)?.rows ?? [];
+        },
+
+        tabs() {
+            return [...sheets.keys()];
+        },
+
+        failNext(name, message = "The service is currently unavailable.", code = 503) {
+            failures.push({ method: name, message, code });
+        },
+    };
+}
@@ -0,0 +1,116 @@
+// ─────────────────────────────────────────────────────────────
+//  test/helpers/mock-serpapi.js – Local stand-in for SerpAPI
+//
+//  Serves /search.json and /account.json on a random port; point
+//  the serpapi provider at it with SERPAPI_BASE_URL. Responses are
+//  scripted per query (`q`, case-insensitive):
+//
+//    mock.page(q, body)          – answer q with `body` every time
+//    mock.script(q, responses)   – answer q's next calls in order,
+//                                  then fall back to its page
+//
+//  A scripted response is { body, status = 200, headers, delayMs,
+//  drop } — `drop` closes the connection without an answer. Queries
+//  without a page get a SERP with no PAA box.
+// ─────────────────────────────────────────────────────────────
+
+import http from "http";
+
+/**
+ * A SerpAPI search response with these PAA questions — strings get a
+ * made-up answer and link — plus related searches and organic results.
+ */
+export function paaPage(questions = [], { related = [], organic = [], answerBox } = {}) {
+    return {
+        related_questions: questions.map((q, i) => (typeof q === "string"
+            ? { question: q, snippet: `About ${q}`, link: `https://answers.example.com/${i + 1}`, title: q }
+            : q)),
+        related_searches: related.map((query) => ({ query })),
+        organic_results: organic,
+        ...(answerBox && { answer_box: answerBox }),
+    };
+}
+
+/** The 200-with-error body SerpAPI sends once a key is out of searches. */
+export const OUT_OF_SEARCHES = { error: "Your account has run out of searches." };
+
+export async function startMockSerpApi() {
+    const pages = new Map();
+    const scripts = new Map();
+    const credits = new Map();    // api_key → searches left, for /account.json
+    const requests = [];          // query params of every /search.json call
+    const timers = new Set();
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        const params = Object.fromEntries(url.searchParams);
+
+        if (url.pathname === "/account.json") {
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ total_searches_left: credits.get(params.api_key) ?? 100, this_month_usage: 0, searches_per_month: 100 }));
+            return;
+        }
+        if (url.pathname !== "/search.json") {
+            res.writeHead(404).end();
+            return;
+        }
+
+        requests.push(params);
+        const query = String(params.q || "").toLowerCase();
+        const queue = scripts.get(query);
+        const response = queue?.length ? queue.shift() : { body: pages.get(query) ?? paaPage() };
+
+        const send = () => {
+            if (response.drop) {
+                req.socket.destroy();
+                return;
+            }
+            res.writeHead(response.status ?? 200, { "Content-Type": "application/json", ...response.headers });
+            res.end(JSON.stringify(response.body ?? {}));
+        };
+
+        if (!response.delayMs) return send();
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            if (!res.destroyed) send();
+        }, response.delayMs);
+        timers.add(timer);
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+
+        page(query, body) {
+            pages.set(query.toLowerCase(), body);
+        },
+
+        script(query, responses) {
+            scripts.set(query.toLowerCase(), [...responses]);
+        },
+
+        setCredits(apiKey, remaining) {
+            credits.set(apiKey, remaining);
+        },
+
+        /** Queries asked so far, in order. */
+        queries() {
+            return requests.map((r) => r.q);
+        },
+
+        reset() {
+            pages.clear();
+            scripts.clear();
+            credits.clear();
+            requests.length = 0;
+        },
+
+        close() {
+            for (const timer of timers) clearTimeout(timer);
+            server.closeAllConnections();
+            return new Promise((resolve) => server.close(resolve));
+        },
+    };
+}
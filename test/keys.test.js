@@ -0,0 +1,141 @@
+// KeyManager: rotation, exhaustion windows, persisted state.
+
+import "./helpers/env.js";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { KeyManager } from "../keys.js";
+import { readJSON } from "../storage.js";
+
+let managers = 0;
+
+/** A manager over `keys`, under an env var no other test uses. */
+function manager(keys = ["key-aaaa-1111", "key-bbbb-2222", "key-cccc-3333"]) {
+    const envVar = `TEST_KEYS_${++managers}`;
+    process.env[envVar] = keys.join(", ");
+    return new KeyManager(envVar);
+}
+
+function nextUtcMidnight() {
+    const d = new Date();
+    d.setUTCHours(24, 0, 0, 0);
+    return d.toISOString();
+}
+
+test("rotates through the keys in order", () => {
+    const km = manager();
+
+    assert.equal(km.current, "key-aaaa-1111");
+    assert.equal(km.rotate(), true);
+    assert.equal(km.current, "key-bbbb-2222");
+    assert.equal(km.rotate(), true);
+    assert.equal(km.current, "key-cccc-3333");
+});
+
+test("fails once every key is exhausted", () => {
+    const km = manager(["key-aaaa-1111", "key-bbbb-2222"]);
+
+    assert.equal(km.rotate("quota"), true);
+    assert.equal(km.rotate("quota"), false);
+    assert.throws(() => km.current, /All TEST_KEYS_\d+ keys are exhausted until/);
+});
+
+test("a missing env var fails on first use", () => {
+    const km = manager([]);
+
+    assert.equal(km.totalKeys, 0);
+    assert.throws(() => km.current, /is not set/);
+});
+
+test("quota errors last until UTC midnight, rate limits for KEY_COOLDOWN_MINUTES", () => {
+    process.env.KEY_COOLDOWN_MINUTES = "5";
+    const km = manager();
+
+    km.rotate("quota");
+    const before = Date.now();
+    km.rotate("rate_limit");
+
+    const [quota, limited] = km.status();
+    assert.equal(quota.exhaustedUntil, nextUtcMidnight());
+    assert.equal(quota.reason, "quota");
+    assert.equal(limited.reason, "rate_limit");
+    assert.ok(Math.abs(Date.parse(limited.exhaustedUntil) - (before + 5 * 60_000)) < 1000);
+
+    delete process.env.KEY_COOLDOWN_MINUTES;
+});
+
+test("re-enables a key once its window has passed", () => {
+    const km = manager();
+
+    km.rotate("rate_limit");
+    km.state[0].exhaustedUntil = new Date(Date.now() - 1000).toISOString();
+
+    assert.equal(km.isAvailable(0), true);
+    assert.equal(km.state[0].reason, null);
+});
+
+test("a stale rotate for a key already rotated past leaves the current key alone", () => {
+    const km = manager();
+
+    km.rotate("rate_limit", "key-aaaa-1111");
+    assert.equal(km.current, "key-bbbb-2222");
+
+    // A second request in flight on the first key hits the limit too
+    assert.equal(km.rotate("rate_limit", "key-aaaa-1111"), true);
+    assert.equal(km.current, "key-bbbb-2222");
+});
+
+test("a short Retry-After keeps the key, a long one rotates", () => {
+    const km = manager();
+
+    assert.equal(km.rateLimited("key-aaaa-1111", "0"), true);
+    assert.equal(km.current, "key-aaaa-1111");
+
+    assert.equal(km.rateLimited("key-aaaa-1111", "3600"), true);
+    assert.equal(km.current, "key-bbbb-2222");
+});
+
+test("counts calls and remaining credits", () => {
+    const km = manager();
+    km.state[0].remaining = 10;
+
+    km.recordCall("key-aaaa-1111");
+    km.recordCall("key-aaaa-1111");
+
+    const [first] = km.status();
+    assert.equal(first.calls, 2);
+    assert.equal(first.callsToday, 2);
+    assert.equal(first.remaining, 8);
+});
+
+test("credit lookups mark empty keys exhausted and revive refilled ones", async () => {
+    const km = manager();
+    km.rotate("quota", "key-bbbb-2222");
+
+    await km.refreshCredits(async (key) => ({ remaining: key === "key-aaaa-1111" ? 0 : 50 }));
+
+    const [empty, refilled] = km.status();
+    assert.equal(empty.exhausted, true);
+    assert.equal(empty.reason, "quota");
+    assert.equal(refilled.exhausted, false);
+    assert.equal(refilled.remaining, 50);
+});
+
+test("state survives a restart without storing raw keys", () => {
+    const km = manager();
+    km.recordCall();
+    km.rotate("quota");
+
+    const restarted = new KeyManager(km.envVar);
+
+    assert.equal(restarted.current, "key-bbbb-2222");
+    assert.equal(restarted.state[0].calls, 1);
+    assert.equal(restarted.state[0].reason, "quota");
+    assert.doesNotMatch(JSON.stringify(readJSON("keys.json", {})), /key-aaaa-1111/);
+});
+
+test("status masks keys", () => {
+    const km = manager(["abcdefghijkl", "short"]);
+
+    assert.deepEqual(km.status().map((k) => k.key), ["abcd…ijkl", "****"]);
+});
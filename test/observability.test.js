@@ -0,0 +1,185 @@
+// Structured logs, request IDs and the Prometheus /metrics endpoint.
+
+import "./helpers/env.js";
+
+import assert from "node:assert/strict";
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import { OUT_OF_SEARCHES, paaPage, startMockSerpApi } from "./helpers/mock-serpapi.js";
+import { createFakeSheets } from "./helpers/fake-sheets.js";
+import { setSheetsClient } from "../sheets.js";
+import { log, withLogContext } from "../logger.js";
+import { Counter, Histogram, renderMetrics } from "../metrics.js";
+import app from "../server.js";
+
+let mock;
+let sheets;
+let server;
+let base;
+
+before(async () => {
+    mock = await startMockSerpApi();
+    process.env.SERPAPI_BASE_URL = mock.url;
+    sheets = createFakeSheets();
+    setSheetsClient(sheets.client);
+
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await mock.close();
+});
+
+beforeEach(() => mock.reset());
+
+/** Collect what the logger writes (JSON lines, parsed) until the test ends. */
+let lines;
+const muted = { log: console.log, warn: console.warn, error: console.error };
+
+beforeEach(() => {
+    lines = [];
+    process.env.PAA_LOG_FORMAT = "json";
+    for (const method of Object.keys(muted)) console[method] = (line) => lines.push(line);
+});
+
+afterEach(() => {
+    Object.assign(console, muted);
+    process.env.PAA_LOG_FORMAT = "";
+    process.env.PAA_LOG_LEVEL = "";
+});
+
+const entries = () => lines.map((line) => JSON.parse(line));
+
+/** Poll a job until it has finished. */
+async function waitForJob(jobId, timeoutMs = 10_000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const job = await (await fetch(`${base}/api/jobs/${jobId}`)).json();
+        if (job.status === "done" || job.status === "failed") return job;
+        if (Date.now() > deadline) throw new Error(`Job ${jobId} still ${job.status} after ${timeoutMs}ms`);
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+}
+
+async function startJob(body, headers = {}) {
+    const res = await fetch(`${base}/api/paa`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+    });
+    return { res, body: await res.json() };
+}
+
+const RUN = { minQuestions: 2, maxQuestions: 2, maxRuns: 1, expansions: "none" };
+
+describe("logger", () => {
+    test("JSON lines carry the level, a plain message and the context fields", () => {
+        withLogContext({ requestId: "req-1" }, () => {
+            withLogContext({ keyword: "nested" }, () => log.warn("⚠️  Something odd", { error: "boom" }));
+        });
+
+        const [entry] = entries();
+        assert.equal(entry.level, "warn");
+        assert.equal(entry.msg, "Something odd");
+        assert.equal(entry.requestId, "req-1");
+        assert.equal(entry.keyword, "nested");
+        assert.equal(entry.error, "boom");
+        assert.ok(!Number.isNaN(Date.parse(entry.time)));
+    });
+
+    test("PAA_LOG_LEVEL drops less severe lines", () => {
+        process.env.PAA_LOG_LEVEL = "warn";
+        log.debug("debug");
+        log.info("info");
+        log.error("error");
+
+        assert.deepEqual(entries().map((e) => e.level), ["error"]);
+    });
+
+    test("text mode keeps the familiar lines", () => {
+        process.env.PAA_LOG_FORMAT = "text";
+        withLogContext({ requestId: "req-2" }, () => log.error("❌  Sheet write failed", { error: "quota" }));
+
+        assert.deepEqual(lines, ["❌  Sheet write failed: quota"]);
+    });
+});
+
+describe("metrics", () => {
+    test("renders counters and histograms in the Prometheus text format", () => {
+        const counter = new Counter("test_things_total", "Things.", ["kind"]);
+        counter.inc({ kind: 'a "quoted"\nvalue' }, 2);
+        const histogram = new Histogram("test_wait_seconds", "Waits.", [], [1, 5]);
+        histogram.observe({}, 3);
+
+        const text = renderMetrics();
+
+        assert.match(text, /^# HELP test_things_total Things\.\n# TYPE test_things_total counter\ntest_things_total\{kind="a \\"quoted\\"\\nvalue"\} 2$/m);
+        assert.match(text, /^test_wait_seconds_bucket\{le="1"\} 0$/m);
+        assert.match(text, /^test_wait_seconds_bucket\{le="5"\} 1$/m);
+        assert.match(text, /^test_wait_seconds_bucket\{le="\+Inf"\} 1$/m);
+        assert.match(text, /^test_wait_seconds_sum 3$/m);
+        assert.match(text, /^test_wait_seconds_count 1$/m);
+    });
+});
+
+describe("HTTP", () => {
+    test("echoes a caller's X-Request-Id and generates one otherwise", async () => {
+        const given = await fetch(`${base}/api/locales`, { headers: { "X-Request-Id": "client-42" } });
+        const generated = await fetch(`${base}/api/locales`);
+        const invalid = await fetch(`${base}/api/locales`, { headers: { "X-Request-Id": "no spaces allowed" } });
+
+        assert.equal(given.headers.get("x-request-id"), "client-42");
+        assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+        assert.notEqual(invalid.headers.get("x-request-id"), "no spaces allowed");
+    });
+
+    test("a job's log lines carry the request ID that started it", async () => {
+        mock.page("traced seed", paaPage(["Traced first?", "Traced second?"]));
+
+        const { body } = await startJob({ keyword: "traced seed", ...RUN }, { "X-Request-Id": "trace-me" });
+        await waitForJob(body.jobId);
+
+        const traced = entries().filter((e) => e.keyword === "traced seed");
+        assert.ok(traced.length > 0);
+        assert.ok(traced.every((e) => e.requestId === "trace-me" && e.jobId === body.jobId));
+        assert.ok(entries().some((e) => e.requestId === "trace-me" && e.route === "/api/paa" && e.status === 202));
+    });
+
+    test("GET /metrics counts SERP calls, questions, rotations and sheet failures", async () => {
+        mock.script("metered seed", [{ body: OUT_OF_SEARCHES }]);
+        mock.page("metered seed", paaPage(["Metered first?", "Metered second?"]));
+        sheets.failNext("values.append");
+
+        const { body } = await startJob({ keyword: "metered seed", ...RUN, sheet: { spreadsheetId: "metrics-sheet" } });
+        await waitForJob(body.jobId);
+
+        const res = await fetch(`${base}/metrics`);
+        const text = await res.text();
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+        assert.match(text, /^paa_serp_calls_total\{key_env="SERPAPI_KEY",key="test…ey-1"\} \d+$/m);
+        assert.match(text, /^paa_serp_calls_total\{key_env="SERPAPI_KEY",key="test…ey-2"\} \d+$/m);
+        assert.match(text, /^paa_key_rotations_total\{key_env="SERPAPI_KEY",reason="quota"\} 1$/m);
+        assert.match(text, /^paa_keyword_questions_count\{mode="list"\} \d+$/m);
+        assert.match(text, /^paa_keywords_total\{status="complete"\} \d+$/m);
+        assert.match(text, /^paa_sheet_write_failures_total\{kind="questions"\} 1$/m);
+        assert.match(text, /^paa_serp_request_duration_seconds_count\{provider="serpapi",outcome="ok"\} \d+$/m);
+        assert.match(text, /^paa_http_request_duration_seconds_count\{method="POST",route="\/api\/paa",status="202"\} \d+$/m);
+        assert.ok(!text.includes("test-key"));
+    });
+
+    test("PAA_METRICS_TOKEN protects /metrics", async () => {
+        process.env.PAA_METRICS_TOKEN = "scrape-secret";
+        try {
+            assert.equal((await fetch(`${base}/metrics`)).status, 401);
+            assert.equal((await fetch(`${base}/metrics`, { headers: { Authorization: "Bearer wrong" } })).status, 401);
+            assert.equal((await fetch(`${base}/metrics`, { headers: { Authorization: "Bearer scrape-secret" } })).status, 200);
+        } finally {
+            process.env.PAA_METRICS_TOKEN = "";
+        }
+    });
+});
@@ -0,0 +1,167 @@
+// getPAA against the mock SerpAPI server: expansion order, fallbacks,
+// retries, key rotation and typed errors.
+
+import { TEST_KEYS } from "./helpers/env.js";
+
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { OUT_OF_SEARCHES, paaPage, startMockSerpApi } from "./helpers/mock-serpapi.js";
+import { getPAA } from "../paa.js";
+import { getKeyManager } from "../keys.js";
+
+let mock;
+
+before(async () => {
+    mock = await startMockSerpApi();
+    process.env.SERPAPI_BASE_URL = mock.url;
+});
+
+after(() => mock.close());
+
+beforeEach(() => mock.reset());
+
+/** getPAA with no fallback queries and one page at a time, unless overridden. */
+async function run(keyword, maxQuestions, options = {}) {
+    let error = null;
+    const results = await getPAA(keyword, "us", undefined, maxQuestions, new Set(), {
+        expansions: [],
+        concurrency: 1,
+        onError: (e) => { error = e; },
+        ...options,
+    });
+    return { results, error };
+}
+
+describe("expansion", () => {
+    test("walks questions breadth-first, recording parent and depth", async () => {
+        mock.page("bfs seed", paaPage(["What is A?", "What is B?"]));
+        mock.page("What is A?", paaPage(["What is A1?", "What is B?"]));
+        mock.page("What is B?", paaPage(["What is B1?"]));
+
+        const { results, error } = await run("bfs seed", 4);
+
+        assert.equal(error, null);
+        assert.deepEqual(results.map((r) => [r.question, r.parent, r.depth]), [
+            ["What is A?", null, 1],
+            ["What is B?", null, 1],
+            ["What is A1?", "What is A?", 2],
+            ["What is B1?", "What is B?", 2],
+        ]);
+        assert.equal(results[0].answer, "About What is A?");
+        assert.deepEqual(mock.queries(), ["bfs seed", "What is A?", "What is B?"]);
+    });
+
+    test("stops at maxQuestions without fetching the rest of the queue", async () => {
+        mock.page("cap seed", paaPage(["Cap one?", "Cap two?", "Cap three?"]));
+
+        const { results } = await run("cap seed", 2);
+
+        assert.deepEqual(results.map((r) => r.question), ["Cap one?", "Cap two?"]);
+        assert.deepEqual(mock.queries(), ["cap seed"]);
+    });
+
+    test("falls back to related searches when the queue runs dry", async () => {
+        mock.page("related seed", paaPage([], { related: ["related seed ideas"] }));
+        mock.page("related seed ideas", paaPage(["Is related good?"]));
+
+        const { results } = await run("related seed", 3, { expansions: ["related"], minQuestions: 3 });
+
+        assert.equal(results.length, 1);
+        assert.equal(results[0].source, "related");
+        assert.equal(results[0].expansion, "related seed ideas");
+        assert.deepEqual(mock.queries(), ["related seed", "related seed ideas", "Is related good?"]);
+    });
+
+    test("serves repeated queries from the cache", async () => {
+        mock.page("cached seed", paaPage(["Cached one?"]));
+        const stats = { apiCalls: 0, cacheHits: 0 };
+
+        await run("cached seed", 1, { stats });
+        const { results } = await run("cached seed", 1, { stats });
+
+        assert.equal(results[0].question, "Cached one?");
+        assert.deepEqual(stats, { apiCalls: 1, cacheHits: 1 });
+        assert.equal(mock.requests.length, 1);
+    });
+});
+
+describe("failures", () => {
+    test("retries a 5xx response", async () => {
+        mock.script("upstream seed", [{ status: 502, body: { error: "Bad gateway" } }]);
+        mock.page("upstream seed", paaPage(["After the retry?"]));
+
+        const { results, error } = await run("upstream seed", 1);
+
+        assert.equal(error, null);
+        assert.equal(results[0].question, "After the retry?");
+        assert.equal(mock.requests.length, 2);
+    });
+
+    test("waits out a 429 with Retry-After on the same key", async () => {
+        mock.script("throttled seed", [{ status: 429, headers: { "Retry-After": "0" }, body: { error: "Too many requests" } }]);
+        mock.page("throttled seed", paaPage(["After the wait?"]));
+
+        const { results, error } = await run("throttled seed", 1);
+
+        assert.equal(error, null);
+        assert.equal(results.length, 1);
+        assert.equal(mock.requests.length, 2);
+        assert.equal(mock.requests[0].api_key, mock.requests[1].api_key);
+    });
+
+    test("reports a timeout as a network error once retries run out", async () => {
+        mock.script("slow seed", [{ delayMs: 1000 }, { delayMs: 1000 }]);
+
+        const { results, error } = await run("slow seed", 1);
+
+        assert.deepEqual(results, []);
+        assert.equal(error.type, "network");
+        assert.equal(mock.requests.length, 2);
+    });
+
+    test("reports a dropped connection as a network error", async () => {
+        mock.script("dropped seed", [{ drop: true }, { drop: true }]);
+
+        const { error } = await run("dropped seed", 1);
+
+        assert.equal(error.type, "network");
+    });
+
+    test("keeps the questions found before a failure", async () => {
+        mock.page("partial seed", paaPage(["Found first?"]));
+        mock.script("Found first?", [{ status: 500 }, { status: 500 }]);
+
+        const { results, error } = await run("partial seed", 3);
+
+        assert.deepEqual(results.map((r) => r.question), ["Found first?"]);
+        assert.equal(error.type, "upstream");
+        assert.equal(error.status, 500);
+    });
+
+    test("rotates to the next key when one runs out of searches", async () => {
+        mock.script("rotate seed", [{ body: OUT_OF_SEARCHES }]);
+        mock.page("rotate seed", paaPage(["On the second key?"]));
+
+        const { results, error } = await run("rotate seed", 1);
+
+        assert.equal(error, null);
+        assert.equal(results[0].question, "On the second key?");
+        assert.deepEqual(mock.requests.map((r) => r.api_key), TEST_KEYS);
+
+        const [first, second] = getKeyManager("SERPAPI_KEY").status();
+        assert.equal(first.exhausted, true);
+        assert.equal(first.reason, "quota");
+        assert.equal(second.active, true);
+    });
+
+    // Leaves every key exhausted, so it runs last
+    test("fails with a quota error once every key is out of searches", async () => {
+        mock.script("quota seed", [{ body: OUT_OF_SEARCHES }, { body: OUT_OF_SEARCHES }]);
+
+        const { results, error } = await run("quota seed", 1);
+
+        assert.deepEqual(results, []);
+        assert.equal(error.type, "quota");
+        assert.ok(getKeyManager("SERPAPI_KEY").status().every((k) => k.exhausted));
+    });
+});
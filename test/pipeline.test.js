@@ -0,0 +1,202 @@
+// processKeyword end to end: mock SerpAPI in, fake Google Sheet and
+// local history out.
+
+import "./helpers/env.js";
+
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { paaPage, startMockSerpApi } from "./helpers/mock-serpapi.js";
+import { createFakeSheets } from "./helpers/fake-sheets.js";
+import { processKeyword, processKeywords, resolveThresholds } from "../pipeline.js";
+import { setSheetsClient } from "../sheets.js";
+import { getHistoryEntry } from "../history.js";
+import { estimateCredits } from "../budget.js";
+
+const SHEET = { spreadsheetId: "test-sheet" };
+
+let mock;
+let sheets;
+
+before(async () => {
+    mock = await startMockSerpApi();
+    process.env.SERPAPI_BASE_URL = mock.url;
+});
+
+after(() => {
+    setSheetsClient(null);
+    return mock.close();
+});
+
+beforeEach(() => {
+    mock.reset();
+    sheets = createFakeSheets();
+    setSheetsClient(sheets.client);
+});
+
+/** One run of up to `count` questions, no fallback queries. */
+function extract(keyword, count, options = {}) {
+    return processKeyword(keyword, "us", "", {
+        minQuestions: count,
+        maxQuestions: count,
+        maxRuns: 1,
+        expansions: [],
+        sheetOptions: SHEET,
+        ...options,
+    });
+}
+
+describe("resolveThresholds", () => {
+    test("moves the other bound when only one is given", () => {
+        assert.deepEqual(resolveThresholds({ maxQuestions: 5 }), { minQuestions: 5, maxQuestions: 5, maxRuns: 6 });
+        assert.deepEqual(resolveThresholds({ minQuestions: 15, maxQuestions: "" }), { minQuestions: 15, maxQuestions: 15, maxRuns: 6 });
+    });
+
+    test("rejects crossed or out-of-range bounds", () => {
+        assert.throws(() => resolveThresholds({ minQuestions: 5, maxQuestions: 3 }), /can't be larger/);
+        assert.throws(() => resolveThresholds({ maxQuestions: 500 }), /between 1 and 50/);
+    });
+});
+
+describe("processKeyword", () => {
+    test("writes the questions to the sheet and the history", async () => {
+        mock.page("sheet seed", paaPage(["How do sheets work?", "Why use sheets?"]));
+
+        const outcome = await extract("sheet seed", 2);
+
+        assert.equal(outcome.status, "complete");
+        assert.equal(outcome.apiCalls, 1);
+        assert.deepEqual(outcome.sheet, { written: true, rows: 2, spreadsheetId: "test-sheet", tab: "Sheet1", appended: 2, updated: 0, deleted: 0 });
+
+        const rows = sheets.rows("Sheet1");
+        assert.equal(rows.length, 2);
+        assert.equal(rows[0][1], "sheet seed");
+        assert.equal(rows[0][3], "How do sheets work?");
+
+        const entry = getHistoryEntry(outcome.historyId);
+        assert.equal(entry.keyword, "sheet seed");
+        assert.deepEqual(entry.questions.map((q) => q.question), ["How do sheets work?", "Why use sheets?"]);
+    });
+
+    test("writes a placeholder row when nothing is found", async () => {
+        const outcome = await extract("empty seed", 2);
+
+        assert.equal(outcome.status, "complete");
+        assert.match(outcome.reason, /no People Also Ask questions/);
+        assert.deepEqual(sheets.rows("Sheet1").map((r) => r[3]), ["No PAA questions found"]);
+    });
+
+    test("writes scraped text as-is, never as a formula", async () => {
+        mock.page("formula seed", paaPage(['=IMPORTXML("https://evil.example","//a")', "+1 why?"]));
+
+        await extract("formula seed", 2);
+
+        assert.deepEqual(sheets.rows("Sheet1").map((r) => r[3]), ['=IMPORTXML("https://evil.example","//a")', "+1 why?"]);
+        const writes = sheets.calls.filter((c) => c.method === "values.append" || c.method === "values.batchUpdate");
+        assert.ok(writes.every((c) => (c.params.valueInputOption || c.params.requestBody.valueInputOption) === "RAW"));
+    });
+
+    test("upsert replaces the keyword's rows instead of appending", async () => {
+        mock.page("upsert seed", paaPage(["First?", "Second?", "Third?"]));
+        await extract("upsert seed", 3, { sheetOptions: { ...SHEET, tab: "Upserts", upsert: true } });
+
+        mock.page("upsert seed", paaPage(["Second?", "Fourth?"]));
+        const outcome = await extract("upsert seed", 3, { sheetOptions: { ...SHEET, tab: "Upserts", upsert: true }, refresh: true, minQuestions: 2 });
+
+        assert.deepEqual([outcome.sheet.updated, outcome.sheet.deleted], [2, 1]);
+        const rows = sheets.rows("Upserts");
+        assert.equal(rows[0][0], "URL");
+        assert.deepEqual(rows.slice(1).map((r) => r[3]), ["Second?", "Fourth?"]);
+    });
+
+    test("upsert keeps the rows of the same keyword with another URL or location", async () => {
+        const upsert = { ...SHEET, tab: "Upserts by search", upsert: true };
+        mock.page("shared seed", paaPage(["Shared one?"]));
+        await extract("shared seed", 1, { sheetOptions: upsert });
+        await processKeyword("shared seed", "us", "https://example.com", {
+            minQuestions: 1, maxQuestions: 1, maxRuns: 1, expansions: [], sheetOptions: upsert, refresh: true,
+        });
+        await extract("shared seed", 1, { sheetOptions: upsert, location: "Austin, Texas", refresh: true });
+
+        const outcome = await extract("shared seed", 1, { sheetOptions: upsert, refresh: true });
+
+        assert.deepEqual([outcome.sheet.updated, outcome.sheet.deleted], [1, 0]);
+        assert.deepEqual(sheets.rows("Upserts by search").slice(1).map((r) => [r[0], r[5]]), [
+            ["", ""], ["https://example.com", ""], ["", "Austin, Texas"],
+        ]);
+    });
+
+    test("keeps the history when the sheet write fails", async () => {
+        mock.page("flaky seed", paaPage(["Does it still save?"]));
+        sheets.failNext("values.append", "The service is currently unavailable.");
+
+        const outcome = await extract("flaky seed", 1);
+
+        assert.equal(outcome.status, "complete");
+        assert.deepEqual(outcome.sheet, { written: false, error: "The service is currently unavailable." });
+        assert.ok(getHistoryEntry(outcome.historyId));
+    });
+
+    test("stops at the keyword's credit budget", async () => {
+        mock.page("budget seed", paaPage(["Budget one?"]));
+        mock.page("Budget one?", paaPage(["Budget two?"]));
+        mock.page("Budget two?", paaPage(["Budget three?"]));
+
+        const outcome = await extract("budget seed", 5, { maxKeywordCredits: 2, sheet: false });
+
+        assert.equal(outcome.budgetReached, true);
+        assert.equal(outcome.status, "partial");
+        assert.equal(outcome.apiCalls, 2);
+        assert.deepEqual(outcome.questions.map((q) => q.question), ["Budget one?", "Budget two?"]);
+        assert.equal(mock.requests.length, 2);
+    });
+
+    test("fails a keyword whose SERP calls keep failing", async () => {
+        mock.script("broken seed", [{ status: 500 }, { status: 500 }]);
+
+        const outcome = await extract("broken seed", 2, { sheet: false });
+
+        assert.equal(outcome.status, "failed");
+        assert.equal(outcome.errorType, "upstream");
+        assert.equal(getHistoryEntry(outcome.historyId).errorType, "upstream");
+    });
+});
+
+describe("API token scoping", () => {
+    test("changes and dry-run estimates only use the same token's runs", async () => {
+        mock.page("scoped seed", paaPage(["Only A saw this?"]));
+        await extract("scoped seed", 1, { tokenId: "token-a" });
+        mock.page("scoped seed", paaPage(["What B sees?"]));
+
+        const first = await extract("scoped seed", 1, { tokenId: "token-b" });
+        const second = await extract("scoped seed", 1, { tokenId: "token-b" });
+
+        assert.equal(first.changes, null);
+        assert.deepEqual(second.changes.removed, []);
+
+        const search = { keyword: "scoped seed", region: "us", language: "en", url: "" };
+        const estimate = (tokenId) => estimateCredits([search], { maxQuestions: 1, maxRuns: 1, expansions: [], tokenId }).perKeyword[0].basis;
+        assert.equal(estimate("token-a"), "history");
+        assert.equal(estimate("token-c"), "default");
+    });
+});
+
+describe("processKeywords", () => {
+    test("shares maxCredits across the batch", async () => {
+        for (const kw of ["batch one", "batch two", "batch three"]) {
+            mock.page(kw, paaPage([`${kw} question?`]));
+        }
+
+        const outcomes = await processKeywords(["batch one", "batch two", "batch three"], "us", "", {
+            minQuestions: 1,
+            maxQuestions: 1,
+            maxRuns: 1,
+            expansions: [],
+            sheet: false,
+            maxCredits: 2,
+        }, { concurrency: 1 });
+
+        assert.deepEqual(Object.values(outcomes).map((o) => o.apiCalls), [1, 1, 0]);
+        assert.equal(outcomes["batch three"].budgetReached, true);
+        assert.equal(mock.requests.length, 2);
+    });
+});
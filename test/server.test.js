@@ -0,0 +1,323 @@
+// The Express API over HTTP: validation, jobs, exports, dry runs and
+// API tokens.
+
+import "./helpers/env.js";
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { paaPage, startMockSerpApi } from "./helpers/mock-serpapi.js";
+import { createFakeSheets } from "./helpers/fake-sheets.js";
+import { setSheetsClient } from "../sheets.js";
+import { issueToken } from "../tokens.js";
+import { dataPath } from "../storage.js";
+import app from "../server.js";
+
+let mock;
+let sheets;
+let server;
+let base;
+
+before(async () => {
+    mock = await startMockSerpApi();
+    process.env.SERPAPI_BASE_URL = mock.url;
+    sheets = createFakeSheets();
+    setSheetsClient(sheets.client);
+
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await mock.close();
+});
+
+beforeEach(() => mock.reset());
+
+async function request(method, path, { body, token } = {}) {
+    const res = await fetch(base + path, {
+        method,
+        headers: {
+            ...(body && { "Content-Type": "application/json" }),
+            ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        body: body && JSON.stringify(body),
+    });
+    const type = res.headers.get("content-type") || "";
+    return { status: res.status, headers: res.headers, body: type.includes("json") ? await res.json() : await res.text() };
+}
+
+/** Poll a job until it has finished. */
+async function waitForJob(jobId, { token, timeoutMs = 10_000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const { body } = await request("GET", `/api/jobs/${jobId}`, { token });
+        if (body.status === "done" || body.status === "failed") return body;
+        if (Date.now() > deadline) throw new Error(`Job ${jobId} still ${body.status} after ${timeoutMs}ms`);
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+}
+
+const RUN = { minQuestions: 2, maxQuestions: 2, maxRuns: 1, expansions: "none" };
+
+describe("POST /api/paa", () => {
+    test("rejects a missing keyword", async () => {
+        const res = await request("POST", "/api/paa", { body: {} });
+
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, /keyword is required/);
+    });
+
+    test("rejects invalid options", async () => {
+        for (const [body, message] of [
+            [{ keyword: "x", maxQuestions: 0 }, /maxQuestions must be a whole number/],
+            [{ keyword: "x", provider: "nope" }, /Unknown provider "nope"/],
+            [{ keyword: "x", maxCredits: 0 }, /maxCredits must be a whole number/],
+            [{ keyword: "x", sheet: { columns: "nope" } }, /Unknown sheet column/],
+        ]) {
+            const res = await request("POST", "/api/paa", { body });
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, message);
+        }
+        assert.equal(mock.requests.length, 0);
+    });
+
+    test("runs a job, writes the sheet and exports the results", async () => {
+        mock.page("job one", paaPage(["Job one first?", "Job one second?"]));
+        mock.page("job two", paaPage(["Job two first?", "Job two second?"]));
+
+        const started = await request("POST", "/api/paa", {
+            body: { keyword: "job one, job two, job one", ...RUN, sheet: { spreadsheetId: "server-sheet", tab: "Jobs" } },
+        });
+        assert.equal(started.status, 202);
+        assert.deepEqual(started.body.keywords, ["job one", "job two"]);
+
+        const job = await waitForJob(started.body.jobId);
+        assert.equal(job.status, "done");
+        assert.deepEqual(job.grouped["job two"].map((q) => q.question), ["Job two first?", "Job two second?"]);
+        assert.equal(job.credits.spent, 2);
+        assert.equal(job.outcomes["job one"].sheet.written, true);
+        assert.deepEqual(sheets.rows("Jobs").slice(1).map((r) => r[3]), ["Job one first?", "Job one second?", "Job two first?", "Job two second?"]);
+
+        // Progress saves are batched, but a finished job is on disk straight away
+        const saved = JSON.parse(readFileSync(dataPath("jobs.json"), "utf8")).find((j) => j.id === started.body.jobId);
+        assert.equal(saved.status, "done");
+
+        const csv = await request("GET", `${started.body.exportUrl}?format=csv`);
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get("content-disposition"), /\.csv"$/);
+        assert.match(csv.body, /Job two second\?/);
+    });
+
+    test("a dry run estimates credits without calling the API", async () => {
+        const res = await request("POST", "/api/paa", { body: { keyword: "dry one, dry two", ...RUN, dryRun: true, maxKeywordCredits: 3 } });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.dryRun, true);
+        assert.equal(res.body.keywords, 2);
+        assert.ok(res.body.perKeyword.every((k) => k.worstCase <= 3));
+        assert.equal(mock.requests.length, 0);
+    });
+
+    test("returns 404 for an unknown job", async () => {
+        const res = await request("GET", "/api/jobs/no-such-job");
+
+        assert.equal(res.status, 404);
+    });
+});
+
+describe("other routes", () => {
+    test("refuses background jobs on Vercel", async () => {
+        process.env.VERCEL = "1";
+        try {
+            const res = await request("POST", "/api/paa", { body: { keyword: "serverless seed", ...RUN } });
+            assert.equal(res.status, 501);
+            assert.match(res.body.error, /long-running server/);
+        } finally {
+            delete process.env.VERCEL;
+        }
+        assert.equal(mock.requests.length, 0);
+    });
+
+    test("refuses watchlist webhooks that point to internal hosts", async () => {
+        for (const webhook of ["http://localhost:8080/hook", "http://127.0.0.1/hook", "http://[::1]/hook", "http://169.254.169.254/latest", "https://10.0.0.5/hook"]) {
+            const res = await request("POST", "/api/watchlists", {
+                body: { name: "Internal", keywords: "webhook seed", schedule: "daily", enabled: false, webhook },
+            });
+            assert.equal(res.status, 400, webhook);
+            assert.match(res.body.error, /public host/);
+        }
+
+        const res = await request("POST", "/api/watchlists", {
+            body: { name: "Public", keywords: "webhook seed", schedule: "daily", enabled: false, webhook: "https://hooks.example.com/paa" },
+        });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.webhook, "https://hooks.example.com/paa");
+        await request("DELETE", `/api/watchlists/${res.body.id}`);
+    });
+
+    test("GET /api/locales lists regions, languages and devices", async () => {
+        const res = await request("GET", "/api/locales");
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.regions.length > 0);
+        assert.ok(res.body.devices.includes("mobile"));
+    });
+
+    test("GET /api/keys/status masks the keys", async () => {
+        const res = await request("GET", "/api/keys/status");
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.totalKeys, 2);
+        assert.ok(res.body.keys.every((k) => !k.key.includes("test-key")));
+    });
+
+    test("GET /api/keys/status?refresh=1 retires keys with no searches left", async () => {
+        mock.setCredits("test-key-1", 0);
+        mock.setCredits("test-key-2", 40);
+
+        const res = await request("GET", "/api/keys/status?refresh=1");
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.available, 1);
+        assert.deepEqual(res.body.keys.map((k) => [k.exhausted, k.remaining]), [[true, 0], [false, 40]]);
+    });
+});
+
+// Issuing a token turns auth on for the rest of the file, so these run last
+describe("API tokens", () => {
+    let client;
+
+    before(() => {
+        client = issueToken("test client", { maxKeywords: 1 });
+    });
+
+    test("requests without a valid token get a 401", async () => {
+        assert.equal((await request("POST", "/api/paa", { body: { keyword: "x" } })).status, 401);
+        assert.equal((await request("GET", "/api/history", { token: "paa_wrong" })).status, 401);
+    });
+
+    test("locales stay public", async () => {
+        assert.equal((await request("GET", "/api/locales")).status, 200);
+    });
+
+    test("a batch over the token's keyword cap gets a 403", async () => {
+        const res = await request("POST", "/api/paa", { body: { keyword: "cap one, cap two" }, token: client.secret });
+
+        assert.equal(res.status, 403);
+        assert.equal(mock.requests.length, 0);
+    });
+
+    test("a job's calls count towards the token's usage", async () => {
+        mock.page("token seed", paaPage(["Token first?", "Token second?"]));
+
+        const started = await request("POST", "/api/paa", { body: { keyword: "token seed", ...RUN }, token: client.secret });
+        assert.equal(started.status, 202);
+        await waitForJob(started.body.jobId, { token: client.secret });
+
+        const usage = await request("GET", "/api/usage", { token: client.secret });
+        assert.equal(usage.status, 200);
+        assert.equal(usage.body.today.calls, 1);
+        assert.equal(usage.body.today.jobs, 1);
+    });
+
+    test("keywords running in parallel stop exactly at the token's call quota", async () => {
+        const metered = issueToken("metered client", { dailyCalls: 3 });
+        mock.page("quota one", paaPage(["Quota one first?", "Quota one second?", "Quota one third?"]));
+        mock.page("quota two", paaPage(["Quota two first?", "Quota two second?", "Quota two third?"]));
+
+        process.env.PAA_CONCURRENCY = "2";
+        try {
+            const started = await request("POST", "/api/paa", {
+                body: { keyword: "quota one, quota two", minQuestions: 9, maxQuestions: 12, maxRuns: 1, expansions: "none" },
+                token: metered.secret,
+            });
+            assert.equal(started.status, 202);
+            await waitForJob(started.body.jobId, { token: metered.secret });
+        } finally {
+            process.env.PAA_CONCURRENCY = "1";
+        }
+
+        assert.equal(mock.requests.length, 3);
+        const usage = await request("GET", "/api/usage", { token: metered.secret });
+        assert.equal(usage.body.today.calls, 3);
+        assert.equal(usage.body.remaining.daily, 0);
+        assert.equal((await request("POST", "/api/paa", { body: { keyword: "quota three" }, token: metered.secret })).status, 429);
+    });
+
+    test("tokens only see their own jobs, history and watchlists", async () => {
+        const other = issueToken("other client");
+        mock.page("scoped seed", paaPage(["Scoped first?", "Scoped second?"]));
+
+        const started = await request("POST", "/api/paa", { body: { keyword: "scoped seed", ...RUN }, token: client.secret });
+        const { jobId } = started.body;
+        await waitForJob(jobId, { token: client.secret });
+        const watchlist = await request("POST", "/api/watchlists", {
+            body: { name: "Scoped", keywords: "scoped seed", schedule: "daily", enabled: false },
+            token: client.secret,
+        });
+        assert.equal(watchlist.status, 201);
+
+        const history = await request("GET", `/api/history?runId=${jobId}`, { token: client.secret });
+        assert.equal(history.body.total, 1);
+        const entryId = history.body.items[0].id;
+
+        for (const [method, path] of [
+            ["GET", `/api/jobs/${jobId}`],
+            ["GET", `/api/jobs/${jobId}/export`],
+            ["GET", `/api/history/${entryId}`],
+            ["GET", `/api/history/${entryId}/export`],
+            ["GET", `/api/export?runId=${jobId}`],
+            ["GET", `/api/runs/${jobId}/domains`],
+            ["GET", `/api/watchlists/${watchlist.body.id}`],
+            ["PATCH", `/api/watchlists/${watchlist.body.id}`],
+            ["POST", `/api/watchlists/${watchlist.body.id}/run`],
+            ["DELETE", `/api/watchlists/${watchlist.body.id}`],
+        ]) {
+            const res = await request(method, path, { body: method === "PATCH" ? { keywords: "hijacked" } : undefined, token: other.secret });
+            assert.equal(res.status, 404, `${method} ${path}`);
+        }
+        assert.equal((await request("GET", `/api/history?runId=${jobId}`, { token: other.secret })).body.total, 0);
+        assert.deepEqual((await request("GET", "/api/watchlists", { token: other.secret })).body, []);
+
+        const own = await request("GET", `/api/watchlists/${watchlist.body.id}`, { token: client.secret });
+        assert.deepEqual(own.body.keywords, ["scoped seed"]);
+        assert.equal(mock.requests.length, 1);
+    });
+
+    test("watchlist keywords are capped by the owner's token, whoever edits them", async () => {
+        const watchlist = await request("POST", "/api/watchlists", {
+            body: { name: "Capped", keywords: "capped seed", schedule: "daily", enabled: false },
+            token: client.secret,
+        });
+
+        process.env.PAA_ADMIN_TOKEN = "test-admin";
+        try {
+            const res = await request("PATCH", `/api/watchlists/${watchlist.body.id}`, { body: { keywords: "one, two" }, token: "test-admin" });
+            assert.equal(res.status, 403);
+        } finally {
+            process.env.PAA_ADMIN_TOKEN = "";
+        }
+    });
+
+    test("only the admin token can purge the shared cache", async () => {
+        assert.equal((await request("DELETE", "/api/cache?all=1", { token: client.secret })).status, 403);
+        assert.equal((await request("GET", "/api/cache", { token: client.secret })).status, 200);
+
+        process.env.PAA_ADMIN_TOKEN = "test-admin";
+        try {
+            assert.equal((await request("DELETE", "/api/cache", { token: "test-admin" })).status, 200);
+        } finally {
+            process.env.PAA_ADMIN_TOKEN = "";
+        }
+    });
+
+    test("token management needs PAA_ADMIN_TOKEN", async () => {
+        const res = await request("GET", "/api/tokens", { token: client.secret });
+
+        assert.equal(res.status, 403);
+    });
+});
@@ -0,0 +1,126 @@
+// The Vercel function (api/paa.js), mounted on a bare Express app the
+// way Vercel hands it a parsed JSON body.
+
+import "./helpers/env.js";
+
+import assert from "node:assert/strict";
+import { after, before, beforeEach, test } from "node:test";
+import express from "express";
+import { paaPage, startMockSerpApi } from "./helpers/mock-serpapi.js";
+import handler from "../api/paa.js";
+
+let mock;
+let server;
+let base;
+
+before(async () => {
+    mock = await startMockSerpApi();
+    process.env.SERPAPI_BASE_URL = mock.url;
+
+    const app = express();
+    app.use(express.json());
+    app.all("/api/paa", handler);
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await mock.close();
+});
+
+beforeEach(() => mock.reset());
+
+async function post(body) {
+    const res = await fetch(`${base}/api/paa`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+const RUN = { minQuestions: 2, maxQuestions: 2, maxRuns: 1, expansions: "none" };
+
+test("only accepts POST", async () => {
+    const res = await fetch(`${base}/api/paa`);
+
+    assert.equal(res.status, 405);
+});
+
+test("validates the request", async () => {
+    assert.equal((await post({})).status, 400);
+    assert.match((await post({ keyword: "x", device: "fridge" })).body.error, /device/);
+    assert.equal(mock.requests.length, 0);
+});
+
+test("runs every keyword and reports the credits spent", async () => {
+    mock.page("vercel one", paaPage(["Vercel one first?", "Vercel one second?"]));
+    mock.page("vercel two", paaPage(["Vercel two first?"]));
+
+    const res = await post({ keyword: "vercel one, vercel two", ...RUN, sheet: {} });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.keywords, ["vercel one", "vercel two"]);
+    assert.deepEqual(res.body.grouped["vercel one"].map((q) => q.question), ["Vercel one first?", "Vercel one second?"]);
+    assert.equal(res.body.outcomes["vercel two"].status, "partial");
+    // "vercel two" expands its one question looking for a second
+    assert.equal(res.body.credits.spent, 3);
+    // No GOOGLE_SHEET_ID — the write fails without failing the request
+    assert.equal(res.body.sheetUpdated, false);
+});
+
+test("stops at maxCredits", async () => {
+    mock.page("capped one", paaPage(["Capped one first?", "Capped one second?"]));
+    mock.page("capped two", paaPage(["Capped two first?", "Capped two second?"]));
+
+    const res = await post({ keyword: "capped one, capped two", ...RUN, maxCredits: 1 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.credits.spent, 1);
+    assert.deepEqual(res.body.credits.budgetReached, ["capped two"]);
+    assert.equal(mock.requests.length, 1);
+});
+
+test("a dry run doesn't call the API", async () => {
+    const res = await post({ keyword: "dry vercel", ...RUN, dryRun: true });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dryRun, true);
+    assert.equal(res.body.perKeyword[0].keyword, "dry vercel");
+    assert.equal((await post({ keyword: "dry vercel", ...RUN, dryRun: "1" })).body.dryRun, true);
+    assert.equal(mock.requests.length, 0);
+});
+
+test('reads "false" as false for extended', async () => {
+    mock.page("flag seed", paaPage(["Flag first?", "Flag second?"]));
+
+    assert.equal((await post({ keyword: "flag seed", ...RUN, extended: "false" })).body.extended, false);
+    assert.equal((await post({ keyword: "flag seed", ...RUN, extended: "true" })).body.extended, true);
+});
+
+test('refresh: "false" still uses the cache', async () => {
+    mock.page("cached seed", paaPage(["Cached first?", "Cached second?"]));
+    await post({ keyword: "cached seed", ...RUN });
+    const calls = mock.requests.length;
+
+    const res = await post({ keyword: "cached seed", ...RUN, refresh: "false" });
+
+    assert.equal(res.body.credits.spent, 0);
+    assert.equal(mock.requests.length, calls);
+});
+
+test("refuses batches over PAA_SYNC_MAX_KEYWORDS up front", async () => {
+    process.env.PAA_SYNC_MAX_KEYWORDS = "2";
+    try {
+        const res = await post({ keyword: "big one, big two, big three", ...RUN });
+
+        assert.equal(res.status, 413);
+        assert.match(res.body.error, /at most 2 keyword/);
+    } finally {
+        process.env.PAA_SYNC_MAX_KEYWORDS = "";
+    }
+    assert.equal(mock.requests.length, 0);
+});
@@ -0,0 +1,334 @@
+// ─────────────────────────────────────────────────────────────
+//  tokens.js – API tokens, quotas and per-token usage
+//
+//  Each client project gets its own token. Only a SHA-256 hash of
+//  the token is stored (data/tokens.json); the token itself is
+//  shown once, when it's issued.
+//
+//  A token can carry quotas:
+//    dailyCalls    – SERP API calls per UTC day
+//    monthlyCalls  – SERP API calls per UTC month
+//    maxKeywords   – keywords per request / job
+//
+//  Usage (SERP calls, cache hits, keywords, questions, jobs) is
+//  counted per token per day, for billing client projects.
+//
+//  The call quotas are hard limits: a run draws its credits from
+//  quotaBudget(), which counts each call as it's made, so keywords
+//  running in parallel stop together once the quota is spent.
+//
+//  The server asks for a token once any token has been issued or
+//  PAA_ADMIN_TOKEN is set. PAA_ADMIN_TOKEN also unlocks the
+//  token admin routes, and isn't subject to quotas.
+// ─────────────────────────────────────────────────────────────
+
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import { readJSON, writeJSON } from "./storage.js";
+import { CreditBudget } from "./budget.js";
+import { log } from "./logger.js";
+
+const TOKENS_FILE = "tokens.json";
+const TOKEN_PREFIX = "paa_";
+
+export const quotaNames = ["dailyCalls", "monthlyCalls", "maxKeywords"];
+
+// Stands in for a token when the caller used PAA_ADMIN_TOKEN
+const ADMIN = Object.freeze({ id: "admin", name: "admin", admin: true, quotas: {} });
+
+let tokens;                    // Map<id, token>, loaded lazily from disk
+
+// ─── Helpers ────────────────────────────────────────────────
+
+function hashToken(secret) {
+    return createHash("sha256").update(secret).digest("hex");
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function safeEqual(a, b) {
+    const x = Buffer.from(a);
+    const y = Buffer.from(b);
+    return x.length === y.length && timingSafeEqual(x, y);
+}
+
+function loadTokens() {
+    if (!tokens) {
+        tokens = new Map(readJSON(TOKENS_FILE, []).map((t) => [t.id, t]));
+    }
+    return tokens;
+}
+
+function saveTokens() {
+    try {
+        writeJSON(TOKENS_FILE, [...loadTokens().values()]);
+    } catch (e) {
+        log.error(`⚠️  Could not save tokens`, { error: e.message });
+    }
+}
+
+/** A token as the API / CLI shows it — never the hash. */
+function publicView({ hash, usage, ...rest }) {
+    return rest;
+}
+
+function emptyUsage() {
+    return { calls: 0, cacheHits: 0, keywords: 0, questions: 0, jobs: 0 };
+}
+
+function sumUsage(days) {
+    const total = emptyUsage();
+    for (const day of days) {
+        for (const key of Object.keys(total)) total[key] += day[key] || 0;
+    }
+    return total;
+}
+
+// ─── Quotas ─────────────────────────────────────────────────
+
+/**
+ * Validate quotas from a request body / CLI flags. Each is a whole
+ * number ≥ 1, or null / "" / 0 for no limit. Throws on anything else.
+ */
+export function resolveQuotas(input = {}, current = {}) {
+    const quotas = { ...current };
+    for (const name of quotaNames) {
+        if (input[name] === undefined) continue;
+        if (input[name] === null || input[name] === "" || Number(input[name]) === 0) {
+            quotas[name] = null;
+            continue;
+        }
+
+        const n = Number(input[name]);
+        if (!Number.isInteger(n) || n < 1) {
+            throw new Error(`${name} must be a whole number ≥ 1 (or 0 for no limit).`);
+        }
+        quotas[name] = n;
+    }
+    return quotas;
+}
+
+/** SERP calls left today and this month (null = unlimited). */
+export function remainingCalls(token) {
+    if (token.admin) return { daily: null, monthly: null };
+
+    const { dailyCalls, monthlyCalls } = token.quotas;
+    const usage = tokenUsage(token.id);
+    return {
+        daily: dailyCalls ? Math.max(0, dailyCalls - usage.today.calls) : null,
+        monthly: monthlyCalls ? Math.max(0, monthlyCalls - usage.month.calls) : null,
+    };
+}
+
+/** Error message if `keywords` is over the token's per-request cap, else null. */
+export function keywordCapError(token, keywords) {
+    const { maxKeywords } = token.quotas;
+    return !token.admin && maxKeywords && keywords > maxKeywords
+        ? `This token can run at most ${maxKeywords} keyword(s) per request.`
+        : null;
+}
+
+/**
+ * A token's call quotas as a credit budget: what's left today and this
+ * month, with each credit taken recorded as a call straight away.
+ */
+class QuotaBudget extends CreditBudget {
+    constructor(token) {
+        super();
+        this.token = token;
+    }
+
+    get remaining() {
+        const { daily, monthly } = remainingCalls(this.token);
+        if (daily === null) return monthly;
+        return monthly === null ? daily : Math.min(daily, monthly);
+    }
+
+    take() {
+        if (!super.take()) return false;
+        recordUsage(this.token.id, { calls: 1 });
+        return true;
+    }
+}
+
+/**
+ * The budget a run for token `id` draws its SERP calls from (see
+ * budget.js): make it the parent of the run's own budgets. Its calls
+ * are recorded as they're made. Null for runs without a token (auth
+ * off) and admin runs, which have no quotas.
+ */
+export function quotaBudget(id) {
+    const token = id && id !== ADMIN.id ? loadTokens().get(id) : null;
+    return token ? new QuotaBudget(token) : null;
+}
+
+/**
+ * Why `token` can't start `keywords` more keyword runs right now,
+ * as { status, error } (403 keyword cap, 429 spent quota), or null if it can.
+ */
+export function quotaError(token, keywords = 0) {
+    if (token.admin) return null;
+
+    const capError = keywordCapError(token, keywords);
+    if (capError) return { status: 403, error: capError };
+
+    const { daily, monthly } = remainingCalls(token);
+    if (daily === 0) return { status: 429, error: "This token's daily SERP call quota is used up. It resets at midnight UTC." };
+    if (monthly === 0) return { status: 429, error: "This token's monthly SERP call quota is used up." };
+    return null;
+}
+
+// ─── Public API ─────────────────────────────────────────────
+
+/** True once requests need a token: any token issued, or PAA_ADMIN_TOKEN set. */
+export function authEnabled() {
+    return Boolean(process.env.PAA_ADMIN_TOKEN) || loadTokens().size > 0;
+}
+
+/** True if `secret` is PAA_ADMIN_TOKEN. */
+export function isAdminToken(secret) {
+    const admin = process.env.PAA_ADMIN_TOKEN;
+    return Boolean(admin && secret) && safeEqual(secret, admin);
+}
+
+/**
+ * The token a secret belongs to, or null if it's unknown or revoked.
+ * PAA_ADMIN_TOKEN resolves to a quota-free admin token.
+ */
+export function authenticate(secret) {
+    if (!secret) return null;
+    if (isAdminToken(secret)) return ADMIN;
+
+    const hash = hashToken(secret);
+    const token = [...loadTokens().values()].find((t) => safeEqual(t.hash, hash));
+    if (!token || token.revokedAt) return null;
+
+    token.lastUsedAt = new Date().toISOString();
+    return token;
+}
+
+/**
+ * Issue a token for a client project. Returns the stored token plus
+ * its `secret` — the only time the secret is available.
+ *
+ * @param {string} name   - who / which project the token is for
+ * @param {object} [quotas] - { dailyCalls, monthlyCalls, maxKeywords }
+ */
+export function issueToken(name, quotas = {}) {
+    const label = String(name || "").trim();
+    if (!label) throw new Error("A token needs a name, e.g. the client project it's for.");
+
+    const secret = TOKEN_PREFIX + randomBytes(24).toString("base64url");
+    const token = {
+        id: randomUUID(),
+        name: label,
+        prefix: secret.slice(0, TOKEN_PREFIX.length + 6),
+        hash: hashToken(secret),
+        quotas: resolveQuotas(quotas, { dailyCalls: null, monthlyCalls: null, maxKeywords: null }),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null,
+        usage: {},
+    };
+
+    loadTokens().set(token.id, token);
+    saveTokens();
+    return { ...publicView(token), secret };
+}
+
+/** Every token, without secrets, oldest first. */
+export function listTokens() {
+    return [...loadTokens().values()].map((t) => ({ ...publicView(t), remaining: remainingCalls(t) }));
+}
+
+export function getToken(id) {
+    const token = loadTokens().get(id);
+    return token ? { ...publicView(token), remaining: remainingCalls(token) } : null;
+}
+
+/** Change a token's quotas. Returns null for an unknown ID; throws on invalid quotas. */
+export function updateToken(id, quotas) {
+    const token = loadTokens().get(id);
+    if (!token) return null;
+
+    token.quotas = resolveQuotas(quotas, token.quotas);
+    saveTokens();
+    return getToken(id);
+}
+
+/** Revoke a token; its usage stays on record. Returns null for an unknown ID. */
+export function revokeToken(id) {
+    const token = loadTokens().get(id);
+    if (!token) return null;
+
+    token.revokedAt ||= new Date().toISOString();
+    saveTokens();
+    return getToken(id);
+}
+
+/**
+ * Check, before a job's next keyword, that the token it runs for is still
+ * valid and has calls left. Throws if not. Runs without a token (auth
+ * off) and admin runs always pass.
+ */
+export function assertCanRun(id) {
+    if (!id || id === ADMIN.id) return;
+
+    const token = loadTokens().get(id);
+    if (!token || token.revokedAt) throw new Error("The API token for this run has been revoked.");
+
+    const problem = quotaError(token);
+    if (problem) throw new Error(problem.error);
+}
+
+/**
+ * Add to a token's usage for today. SERP calls of runs that draw from
+ * quotaBudget() are already counted.
+ *
+ * @param {string} id
+ * @param {object} usage - any of { calls, cacheHits, keywords, questions, jobs }
+ */
+export function recordUsage(id, usage) {
+    const token = loadTokens().get(id);
+    if (!token) return;
+
+    const day = (token.usage[today()] ||= emptyUsage());
+    for (const key of Object.keys(day)) day[key] += usage[key] || 0;
+    saveTokens();
+}
+
+/**
+ * A token's usage: today, this month, all time, and per day between
+ * `from` and `to` (YYYY-MM-DD, inclusive; default: this month).
+ * Returns null for an unknown ID.
+ */
+export function tokenUsage(id, { from, to } = {}) {
+    const token = loadTokens().get(id);
+    if (!token) return null;
+
+    const day = today();
+    const month = day.slice(0, 7);
+    const start = from || `${month}-01`;
+    const end = to || day;
+    if (![start, end].every((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))) {
+        throw new Error("from and to must be dates like 2024-05-01.");
+    }
+
+    const days = Object.entries(token.usage)
+        .filter(([d]) => d >= start && d <= end)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, usage]) => ({ date, ...usage }));
+
+    return {
+        id: token.id,
+        name: token.name,
+        today: token.usage[day] || emptyUsage(),
+        month: sumUsage(Object.entries(token.usage).filter(([d]) => d.startsWith(month)).map(([, u]) => u)),
+        total: sumUsage(Object.values(token.usage)),
+        from: start,
+        to: end,
+        days,
+        period: sumUsage(days),
+    };
+}
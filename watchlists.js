@@ -0,0 +1,349 @@
+// ─────────────────────────────────────────────────────────────
+//  watchlists.js – Saved keyword lists that re-run on a schedule
+//
+//  A watchlist holds keywords, a locale, an optional URL filter
+//  and a schedule ("weekly", "daily", "every 12h", …). The
+//  scheduler checks every minute for watchlists that are due and
+//  hands them to the server, which runs them as ordinary jobs
+//  (same pipeline, same sheet writes, same history).
+//
+//  When a watchlist's run finishes or fails, a JSON summary is
+//  POSTed to its webhook (or PAA_WEBHOOK_URL). With
+//  PAA_WEBHOOK_SECRET set, the body is signed with HMAC-SHA256
+//  in the X-PAA-Signature header. A watchlist's own webhook must
+//  point to a public host: loopback, private and link-local
+//  addresses are refused when it is saved and again when it is
+//  sent, so a caller can't use it to reach the internal network.
+//
+//  Watchlists are saved to data/watchlists.json.
+// ─────────────────────────────────────────────────────────────
+
+import axios from "axios";
+import { createHmac, randomUUID } from "crypto";
+import { lookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+import { readJSON, writeJSON } from "./storage.js";
+import { resolveLocale } from "./locales.js";
+import { sleep } from "./ratelimit.js";
+import { log, withLogContext } from "./logger.js";
+
+const WATCHLISTS_FILE = "watchlists.json";
+
+export const MAX_WATCHLIST_KEYWORDS = 500;
+export const DEFAULT_SCHEDULER_TICK_MS = 60_000;
+const MIN_INTERVAL_MS = 15 * 60_000;
+
+const NAMED_SCHEDULES = { hourly: "every 1h", daily: "every 1d", weekly: "every 1w" };
+const UNIT_MS = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_ATTEMPTS = 3;
+
+// Where a caller-supplied webhook may not point: this host, private
+// networks, link-local (cloud metadata) and IPv4-mapped IPv6
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+    ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16],
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [["::", 127], ["::ffff:0:0", 96], ["fc00::", 7], ["fe80::", 10]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+let watchlists;                // Map<id, watchlist>, loaded lazily from disk
+
+// ─── Persistence ────────────────────────────────────────────
+
+function loadWatchlists() {
+    if (!watchlists) {
+        watchlists = new Map(readJSON(WATCHLISTS_FILE, []).map((w) => [w.id, w]));
+    }
+    return watchlists;
+}
+
+function saveWatchlists() {
+    try {
+        writeJSON(WATCHLISTS_FILE, [...loadWatchlists().values()]);
+    } catch (e) {
+        log.error(`⚠️  Could not save watchlists`, { error: e.message });
+    }
+}
+
+// ─── Validation ─────────────────────────────────────────────
+
+/**
+ * Interval of a schedule: "hourly", "daily", "weekly" or "every <n><m|h|d|w>"
+ * (e.g. "every 12h", "every 2 days"). Throws on anything else, or on
+ * intervals shorter than 15 minutes.
+ */
+export function scheduleInterval(schedule) {
+    const text = String(schedule || "").trim().toLowerCase();
+    const match = (NAMED_SCHEDULES[text] || text)
+        .match(/^(?:every\s+)?(\d+)\s*(m|mins?|minutes?|h|hours?|d|days?|w|weeks?)$/);
+    if (!match) {
+        throw new Error(`Unknown schedule "${schedule}". Use hourly, daily, weekly or "every <n>m|h|d|w" (e.g. "every 12h").`);
+    }
+
+    const ms = Number(match[1]) * UNIT_MS[match[2][0]];
+    if (ms < MIN_INTERVAL_MS) {
+        throw new Error("Schedules must be at least 15 minutes apart.");
+    }
+    return ms;
+}
+
+/** Unique keywords from an array or a comma / newline separated string. Throws if empty or too many. */
+export function resolveKeywords(value) {
+    const list = Array.isArray(value) ? value : String(value || "").split(/[,\n]/);
+    const keywords = [...new Set(list.map((k) => String(k).trim()).filter(Boolean))];
+
+    if (keywords.length === 0) throw new Error("A watchlist needs at least one keyword.");
+    if (keywords.length > MAX_WATCHLIST_KEYWORDS) {
+        throw new Error(`A watchlist can hold at most ${MAX_WATCHLIST_KEYWORDS} keywords.`);
+    }
+    return keywords;
+}
+
+function isPrivateAddress(address) {
+    const family = isIP(address);
+    return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/** Throws unless `url` names a public host (literal IPs and "localhost" only — names are checked on send). */
+function assertPublicHost(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    if (host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host)) {
+        throw new Error("webhook must point to a public host, not a loopback, private or link-local address.");
+    }
+}
+
+/** DNS lookup for axios that refuses names resolving to a private address. */
+async function publicLookup(hostname) {
+    const addresses = await lookup(hostname, { all: true });
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+        throw Object.assign(
+            new Error(`webhook host ${hostname} resolves to ${blocked.address}, which is not a public address.`),
+            { code: "EPRIVATEHOST" },
+        );
+    }
+    return addresses;
+}
+
+function resolveWebhook(value) {
+    if (!value) return "";
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        throw new Error(`webhook "${value}" is not a valid URL.`);
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+        throw new Error("webhook must be an http(s) URL.");
+    }
+    assertPublicHost(url);
+    return url.href;
+}
+
+/**
+ * Merge `input` over `current` and validate the result. Run options
+ * (provider, thresholds, sheet, …) are kept as given under `options` —
+ * the server validates them the same way as POST /api/paa.
+ */
+function resolveWatchlist(input, current = {}) {
+    const pick = (key) => (input[key] !== undefined ? input[key] : current[key]);
+
+    const name = String(pick("name") || "").trim();
+    if (!name) throw new Error("A watchlist needs a name.");
+
+    const schedule = String(pick("schedule") || "weekly").trim().toLowerCase();
+    scheduleInterval(schedule);
+
+    const options = pick("options") || {};
+    if (typeof options !== "object" || Array.isArray(options)) {
+        throw new Error("options must be an object.");
+    }
+
+    return {
+        name,
+        keywords: resolveKeywords(pick("keywords")),
+        ...resolveLocale({
+            region: pick("region"),
+            language: pick("language"),
+            location: pick("location"),
+            device: pick("device"),
+        }),
+        url: String(pick("url") || "").trim(),
+        schedule,
+        webhook: resolveWebhook(pick("webhook")),
+        enabled: pick("enabled") === undefined ? true : pick("enabled") === true || pick("enabled") === "true",
+        options,
+    };
+}
+
+// ─── Public API ─────────────────────────────────────────────
+
+/** Every watchlist, oldest first. */
+export function listWatchlists() {
+    return [...loadWatchlists().values()];
+}
+
+export function getWatchlist(id) {
+    return loadWatchlists().get(id) || null;
+}
+
+/**
+ * Save a new watchlist. Its first run is due straight away, or at
+ * `startAt` (ISO date) when given. Throws on invalid input.
+ *
+ * @param {object} input - { name, keywords, region, language, location, device,
+ *                           url, schedule, webhook, enabled, options, startAt }
+ * @param {object} [owner] - { tokenId } of the API token runs are charged to
+ */
+export function createWatchlist(input = {}, { tokenId = null } = {}) {
+    const now = new Date().toISOString();
+    const startAt = input.startAt ? Date.parse(input.startAt) : Date.now();
+    if (Number.isNaN(startAt)) throw new Error("startAt must be a valid date.");
+
+    const watchlist = {
+        id: randomUUID(),
+        ...resolveWatchlist(input),
+        tokenId,
+        createdAt: now,
+        updatedAt: now,
+        nextRunAt: new Date(startAt).toISOString(),
+        lastRunAt: null,
+        lastJobId: null,
+        lastStatus: null,
+        lastWebhook: null,
+    };
+
+    loadWatchlists().set(watchlist.id, watchlist);
+    saveWatchlists();
+    return watchlist;
+}
+
+/**
+ * Update some of a watchlist's fields. A new schedule takes effect
+ * from its last run. Returns null for an unknown ID; throws on invalid input.
+ */
+export function updateWatchlist(id, input = {}) {
+    const current = getWatchlist(id);
+    if (!current) return null;
+
+    const updated = { ...current, ...resolveWatchlist(input, current), updatedAt: new Date().toISOString() };
+    if (input.schedule !== undefined && current.lastRunAt) {
+        updated.nextRunAt = new Date(Date.parse(current.lastRunAt) + scheduleInterval(updated.schedule)).toISOString();
+    }
+
+    loadWatchlists().set(id, updated);
+    saveWatchlists();
+    return updated;
+}
+
+/** Delete a watchlist. Returns false if it didn't exist. */
+export function deleteWatchlist(id) {
+    const deleted = loadWatchlists().delete(id);
+    if (deleted) saveWatchlists();
+    return deleted;
+}
+
+/** Record that a run started now as job `jobId`, and schedule the next one. */
+export function markStarted(watchlist, jobId) {
+    const now = Date.now();
+    Object.assign(watchlist, {
+        lastRunAt: new Date(now).toISOString(),
+        nextRunAt: new Date(now + scheduleInterval(watchlist.schedule)).toISOString(),
+        lastJobId: jobId,
+        lastStatus: "running",
+    });
+    saveWatchlists();
+}
+
+/** Record how a run ended and how its webhook went. */
+export function markFinished(id, status, webhook = null) {
+    const watchlist = getWatchlist(id);
+    if (!watchlist) return;
+
+    watchlist.lastStatus = status;
+    if (webhook) watchlist.lastWebhook = webhook;
+    saveWatchlists();
+}
+
+// ─── Scheduler ──────────────────────────────────────────────
+
+/**
+ * Check for due watchlists every `tickMs` and start them with
+ * `run(watchlist)`. A watchlist whose previous run is still going
+ * (`isRunning(watchlist)`) waits for the next tick.
+ * Returns a function that stops the scheduler.
+ */
+export function startScheduler(run, { isRunning = () => false, tickMs = DEFAULT_SCHEDULER_TICK_MS } = {}) {
+    const tick = () => {
+        const now = Date.now();
+        for (const watchlist of listWatchlists()) {
+            if (!watchlist.enabled || Date.parse(watchlist.nextRunAt) > now || isRunning(watchlist)) continue;
+
+            // Each scheduled run gets its own request ID
+            withLogContext({ requestId: randomUUID(), watchlistId: watchlist.id }, async () => {
+                log.info(`⏰  Watchlist "${watchlist.name}" is due — ${watchlist.keywords.length} keyword(s).`, { keywords: watchlist.keywords.length });
+                try {
+                    await run(watchlist);
+                } catch (e) {
+                    log.error(`⚠️  Could not start watchlist "${watchlist.name}"`, { error: e.message });
+                }
+            });
+        }
+    };
+
+    const timer = setInterval(tick, tickMs);
+    timer.unref();
+    tick();
+
+    return () => clearInterval(timer);
+}
+
+// ─── Webhooks ───────────────────────────────────────────────
+
+/**
+ * POST `payload` as JSON to `url`, retrying failures twice. Never
+ * throws — returns { url, ok, status, error, at } for the watchlist.
+ * Unless `trusted` (the operator's PAA_WEBHOOK_URL), the host must
+ * resolve to a public address and redirects are not followed.
+ */
+export async function sendWebhook(url, payload, { trusted = false } = {}) {
+    const body = JSON.stringify(payload);
+    const headers = { "Content-Type": "application/json", "User-Agent": "paa-extractor" };
+    if (process.env.PAA_WEBHOOK_SECRET) {
+        headers["X-PAA-Signature"] = `sha256=${createHmac("sha256", process.env.PAA_WEBHOOK_SECRET).update(body).digest("hex")}`;
+    }
+
+    const options = trusted
+        ? { headers, timeout: WEBHOOK_TIMEOUT_MS }
+        : { headers, timeout: WEBHOOK_TIMEOUT_MS, maxRedirects: 0, lookup: publicLookup };
+
+    let error = null;
+    try {
+        if (!trusted) assertPublicHost(new URL(url));
+    } catch (e) {
+        error = e;
+    }
+    for (let attempt = 1; !error && attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+        try {
+            const res = await axios.post(url, body, options);
+            log.info(`🔔  Webhook delivered to ${url} (${res.status}).`, { webhook: url, status: res.status });
+            return { url, ok: true, status: res.status, error: null, at: new Date().toISOString() };
+        } catch (e) {
+            if (e.code === "EPRIVATEHOST" || attempt === WEBHOOK_ATTEMPTS) {
+                error = e;
+            } else {
+                await sleep(1000 * attempt);
+            }
+        }
+    }
+
+    log.error(`⚠️  Webhook to ${url} failed`, { webhook: url, status: error.response?.status ?? null, error: error.message });
+    return { url, ok: false, status: error.response?.status ?? null, error: error.message, at: new Date().toISOString() };
+}